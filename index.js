@@ -1,45 +1,213 @@
+// Timer that hides the current alert, so a newer alert is not hidden early by an older one
+let liveAlertTimeout = null;
+
 /**
        * Displays a floating alert message to the user.
        * @param {string} message - The message to display.
        * @param {string} type - The Bootstrap alert type (e.g., 'success', 'danger', 'info').
+       * @param {Object} [action] - Optional button in the alert, as { label, handler }, e.g. an "Undo" action.
        */
-function showLiveAlert(message, type = 'success') {
+function showLiveAlert(message, type = 'success', action = null) {
     // Defer the execution to ensure DOM is fully ready
     setTimeout(() => {
       const alertDiv = document.querySelector('.floating-alert');
       const alertMessage = document.getElementById('alert-message');
+      const alertAction = document.getElementById('alert-action');
 
-      if (!alertDiv || !alertMessage) {
+      if (!alertDiv || !alertMessage || !alertAction) {
           console.error("Alert elements not found in DOM. Cannot display live alert after timeout.");
           return;
       }
 
       alertDiv.className = `floating-alert alert alert-${type} alert-dismissible fade show`;
       alertMessage.textContent = message;
+      alertAction.classList.toggle('d-none', !action);
+      alertAction.textContent = action ? action.label : '';
+      alertAction.onclick = action
+        ? () => {
+            hideLiveAlert();
+            action.handler();
+          }
+        : null;
       alertDiv.style.display = 'block';
 
-      setTimeout(() => {
-        if (typeof $ !== 'undefined' && $.fn.alert) {
-          $(alertDiv).alert('close');
-        } else {
-          alertDiv.style.display = 'none';
-        }
-      }, 3000);
+      // Keep the element in the DOM (Bootstrap's close would remove it) so later alerts can reuse it
+      clearTimeout(liveAlertTimeout);
+      liveAlertTimeout = setTimeout(hideLiveAlert, action ? 8000 : 3000); // Leave time to click the action
     }, 0); // Short timeout to defer execution
   }
 
-  // Initialize with sample data or load from localStorage
-  // Customers data structure: { id, name, phone }
-  let customers = JSON.parse(localStorage.getItem('electroplatingCustomers')) || [];
+  /**
+   * Hides the floating alert.
+   */
+  function hideLiveAlert() {
+    clearTimeout(liveAlertTimeout);
+    const alertDiv = document.querySelector('.floating-alert');
+    if (alertDiv) {
+      alertDiv.style.display = 'none';
+    }
+  }
+
+  // Application data, loaded from storage by loadData() on startup
+  // Customers data structure: { id, name, phone, contactPerson, gstin, stateCode, address, notes }
+  let customers = [];
 
-  // Orders data structure: { id, customer{id, name}, status, gstApply, createdAt, items[], orderTotal }
-  // Each item: { itemName, material, platingTypes[], platingPrices[], quantity, itemRatePerKg, itemTotal }
-  let orders = JSON.parse(localStorage.getItem('electroplatingOrders')) || []
-  
+  // Orders data structure: { id, customer{id, name}, status, gstApply, taxBasis, createdAt, items[], discount, surcharges[{ name, type, value }],
+  //   minimumCharges{ platingType: amount }, subtotal, adjustments[{ label, amount, allocations[{ rate, amount, taxableValue }] }],
+  //   taxableValue, taxTotal, taxBreakup[{ rate, taxableValue, tax }], roundOff, orderTotal, rateCardVersion, invoiceId, quotationId,
+  //   inspection, history[] }
+  // Discounts and surcharges are { type: 'percent' | 'flat', value }. minimumCharges is copied from the settings when the
+  // order is created so later changes to the settings do not reprice it.
+  // taxBasis is how the item rates were entered: 'exclusive' or 'inclusive' of GST, or 'legacy' for orders from before
+  // the tax engine, which add GST to each item total.
+  // Each item: { id, itemName, material, platingTypes[], platingPrices[] (per unit), unit (BILLING_UNITS key), quantity (in unit),
+  //   weightKg, itemRate (per unit), discount, discountAmount, itemTotal (at the entered rate, after discount), taxRate (%, 0 = exempt),
+  //   taxableValue, rateCardEntryIds[], processSpec }
+  // processSpec is null, or { thicknessMicrons (null if not specified), finish (PROCESS_FINISHES or ''), passivation
+  //   (PASSIVATION_COLOURS or ''), tank, saltSprayResult }
+  // inspection is set once the order has been inspected, and cleared when its items or quantities change:
+  //   { number, date, inspector, remarks, result ('Accepted' | 'Partly accepted' | 'Rejected'),
+  //   lines[{ itemId, measuredThicknessMicrons, accepted, rejected, rework }], inspectedAt }. Quantities are in the item's unit.
+  // Each history entry: { at, action, by, changes[{ field, from, to }] }, oldest first
+  let orders = [];
+
+  // Rate card data structure: { version, entries[] }
+  // Each entry: { id, material, platingType, pricePerKg, customerId (null = default rate), effectiveFrom, createdAt }
+  // The version is bumped on every change so orders can record which rate card priced them.
+  let rateCard = { version: 0, entries: [] };
+
+  // Application settings: business details printed on tax invoices and numbering preferences
+  const DEFAULT_SETTINGS = {
+    business: { name: 'Harshad Electroplating', address: '', phone: '', gstin: '', stateCode: '' },
+    sacCode: '998873', // SAC for electroplating and metal finishing job work
+    invoicePrefix: 'INV',
+    orderNumberFormat: 'HE/{FY}/{SEQ:4}',
+    inwardChallanPrefix: 'IC',
+    deliveryChallanPrefix: 'DC',
+    quotationPrefix: 'QT',
+    quotationValidityDays: 15, // Default time a quotation stays open, from its date
+    inspectionPrefix: 'QC',
+    requireInspection: true, // Orders need a QC inspection before they are Completed or Delivered
+    staffName: '', // Recorded in order history as who made each change
+    taxRates: [0, 5, 12, 18, 28], // GST rates offered on order items; 0 marks an item as exempt
+    defaultTaxRate: 18,
+    pricesIncludeTax: false, // Whether item rates on new orders are entered inclusive of GST
+    minimumCharges: {}, // Least charged for a plating type on one order, keyed by plating type
+    taxRounding: 'invoice', // Round GST once per rate on the total ('invoice') or on every line ('line')
+    roundOffTotals: false, // Round order and invoice totals to the nearest rupee with a "Round off" line
+    savedViews: [], // Named order views: { id, name, state, savedAt }, state shaped like DEFAULT_ORDERS_VIEW
+  };
+  let settings = withDefaultSettings({});
+
+  // Document number counters, keyed by series and financial year (e.g. 'invoice:2026-27' -> 12)
+  let counters = {};
+
+  // Tax invoices data structure: stored snapshots so an invoice can be reprinted exactly as issued
+  // { id, number, financialYear, date, billingMonth, customerId, orderIds[], seller{}, buyer{}, placeOfSupply{},
+  //   sacCode, supplyType ('intra' | 'inter'), lines[], taxableValue, taxBreakup[{ rate, taxableValue, cgst, sgst, igst }],
+  //   cgst, sgst, igst, totalTax, roundOff, grandTotal, amountInWords }
+  // Each line: { orderId, orderDate, description, quantity, unit, rate, taxRate, taxableValue }; lines for order discounts,
+  // surcharges and minimum charge top-ups have no quantity, unit or rate.
+  // Invoices issued before per-item GST rates have a single taxRate instead of taxBreakup.
+  let invoices = [];
+
+  // Payments data structure: { id, customerId, date, amount, mode, reference, invoiceId, orderIds[], notes, createdAt }
+  // A payment is against an invoice, against specific orders, or on account when neither is set.
+  let payments = [];
+
+  // Challans data structure: { id, type ('inward' | 'outward'), number, financialYear, date, customerId, orderId,
+  //   reference (customer challan no. or vehicle), notes, lines[], createdAt }
+  // Each line: { itemId, itemName, material, platingTypes[], quantity (kg), pieces, balanceAfter (outward only) }
+  let challans = [];
+
+  // Quotations data structure: { id, number, financialYear, date, validUntil, customer{id, name}, status, gstApply, taxBasis,
+  //   items[], minimumCharges{}, subtotal, adjustments[], taxableValue, taxTotal, taxBreakup[], roundOff, orderTotal,
+  //   rateCardVersion, notes, orderId, createdAt }
+  // Items and totals are shaped and worked out as on orders, so a quotation converts into an order as quoted.
+  // status is one of QUOTATION_STATUSES; orderId is set once the quotation is converted into an order.
+  let quotations = [];
+
+  // Item master data structure: { id, partNumber, description, customerId (null = all customers), material, platingTypes[],
+  //   platingPrices[] (per unit; empty to use the rate card), unit (BILLING_UNITS key), weightPerUnitKg, useCount, lastUsedAt,
+  //   createdAt }
+  // Offered by the item name autocomplete; picking an entry fills the whole item row.
+  let itemMaster = [];
+
+  // Stock items data structure: { id, name, unit (STOCK_UNITS), reorderLevel (0 = no alert), norms{ platingType: quantity per kg
+  //   plated, in the item's unit }, createdAt }
+  let stockItems = [];
+
+  // Stock movements data structure: { id, stockItemId, type ('in' | 'adjustment' | 'consumption'), date, quantity (+ in, - out),
+  //   rate (per unit, stock in only), reference, orderId (consumption only), createdAt }
+  // The balance of a stock item is the sum of its movements. Consumption is recorded when an order is completed.
+  let stockMovements = [];
+
+  // Recycle bin: deleted orders, as the order plus deletedAt, until restored or purged
+  let deletedOrders = [];
+
+  // Snapshots data structure: { id, reason, createdAt, counts{}, backup }
+  // Full backups taken automatically before destructive actions such as Clear Data.
+  let snapshots = [];
+
+  // GST state codes, used for customer and business state and for place of supply
+  const INDIAN_STATES = [
+    { code: '01', name: 'Jammu and Kashmir' },
+    { code: '02', name: 'Himachal Pradesh' },
+    { code: '03', name: 'Punjab' },
+    { code: '04', name: 'Chandigarh' },
+    { code: '05', name: 'Uttarakhand' },
+    { code: '06', name: 'Haryana' },
+    { code: '07', name: 'Delhi' },
+    { code: '08', name: 'Rajasthan' },
+    { code: '09', name: 'Uttar Pradesh' },
+    { code: '10', name: 'Bihar' },
+    { code: '11', name: 'Sikkim' },
+    { code: '12', name: 'Arunachal Pradesh' },
+    { code: '13', name: 'Nagaland' },
+    { code: '14', name: 'Manipur' },
+    { code: '15', name: 'Mizoram' },
+    { code: '16', name: 'Tripura' },
+    { code: '17', name: 'Meghalaya' },
+    { code: '18', name: 'Assam' },
+    { code: '19', name: 'West Bengal' },
+    { code: '20', name: 'Jharkhand' },
+    { code: '21', name: 'Odisha' },
+    { code: '22', name: 'Chhattisgarh' },
+    { code: '23', name: 'Madhya Pradesh' },
+    { code: '24', name: 'Gujarat' },
+    { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+    { code: '27', name: 'Maharashtra' },
+    { code: '29', name: 'Karnataka' },
+    { code: '30', name: 'Goa' },
+    { code: '31', name: 'Lakshadweep' },
+    { code: '32', name: 'Kerala' },
+    { code: '33', name: 'Tamil Nadu' },
+    { code: '34', name: 'Puducherry' },
+    { code: '35', name: 'Andaman and Nicobar Islands' },
+    { code: '36', name: 'Telangana' },
+    { code: '37', name: 'Andhra Pradesh' },
+    { code: '38', name: 'Ladakh' },
+  ];
+
+  // Materials and plating types offered in the item form and the rate card
+  const MATERIALS = ['Brass', 'Steel', 'Copper', 'Aluminum'];
+  const PLATING_TYPES = ['Chrome', 'Zinc', 'Nickel', 'Gold', 'Silver'];
+  const ORDER_STATUSES = ['Pending', 'In Progress', 'Completed', 'Delivered'];
+  // Finishes and passivation colours offered in an item's process specification
+  const PROCESS_FINISHES = ['Bright', 'Satin', 'Matte'];
+  const PASSIVATION_COLOURS = ['Clear', 'Blue', 'Yellow', 'Black', 'Olive'];
+  // Units an item can be billed in. Weight in kg is recorded for every item, whatever it is billed by.
+  const BILLING_UNITS = {
+    kg: { label: 'kg', name: 'Per kg', aliases: ['kgs', 'kilogram', 'kilograms'] },
+    pc: { label: 'pc', name: 'Per piece', aliases: ['pcs', 'piece', 'pieces', 'nos', 'no'] },
+    dm2: { label: 'dm²', name: 'Per dm²', aliases: ['dm²', 'sq dm', 'sqdm'] },
+    ft2: { label: 'ft²', name: 'Per ft²', aliases: ['ft²', 'sq ft', 'sqft'] },
+    lot: { label: 'lot', name: 'Lot charge', aliases: ['lots', 'fixed'] },
+  };
 
   // Pagination variables
   let currentPage = 1;
-  const rowsPerPage = 10;
+  let rowsPerPage = 10;
   // Sorting variables
   let sortColumn = 'createdAt';
   let sortDirection = 'desc'; // Default sort by date, descending
@@ -54,23 +222,841 @@ function showLiveAlert(message, type = 'success') {
     };
   }
 
+  // IDs handed out in this session, so several IDs made in the same millisecond never collide
+  const issuedIds = new Set();
+
   /**
    * Generates a unique ID with a given prefix.
    * @param {string} prefix - The prefix for the ID (e.g., 'CUST', 'ORD').
    * @returns {string} A unique ID string.
    */
   function generateUniqueId(prefix) {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000);
-    return `${prefix}-${timestamp}-${random}`;
+    let id;
+    do {
+      const timestamp = Date.now();
+      const random = Math.floor(Math.random() * 1000);
+      id = `${prefix}-${timestamp}-${random}`;
+    } while (issuedIds.has(id));
+    issuedIds.add(id);
+    return id;
+  }
+
+  // Everything that is persisted, with how to read, replace and merge it. Used by storage, backup and restore.
+  // 'list' collections are arrays of records with an id, each kept in its own IndexedDB object store;
+  // 'object' collections are plain objects (with an initial value), kept in the meta store.
+  // A new list collection also needs a DB_SCHEMA_UPGRADES step to create its store.
+  // Collections marked backup: false are stored but not written to or restored from backups.
+  // An object collection's validate(value) returns a problem with a restored value, or null if it is usable.
+  const DATA_COLLECTIONS = {
+    customers: { label: 'Customers', type: 'list', get: () => customers, set: (value) => (customers = value) },
+    orders: { label: 'Orders', type: 'list', get: () => orders, set: (value) => (orders = value) },
+    invoices: { label: 'Invoices', type: 'list', get: () => invoices, set: (value) => (invoices = value) },
+    payments: { label: 'Payments', type: 'list', get: () => payments, set: (value) => (payments = value) },
+    challans: { label: 'Challans', type: 'list', get: () => challans, set: (value) => (challans = value) },
+    quotations: { label: 'Quotations', type: 'list', get: () => quotations, set: (value) => (quotations = value) },
+    itemMaster: { label: 'Item Master', type: 'list', get: () => itemMaster, set: (value) => (itemMaster = value) },
+    stockItems: { label: 'Stock Items', type: 'list', get: () => stockItems, set: (value) => (stockItems = value) },
+    stockMovements: {
+      label: 'Stock Ledger',
+      type: 'list',
+      get: () => stockMovements,
+      set: (value) => (stockMovements = value),
+    },
+    deletedOrders: {
+      label: 'Recycle Bin',
+      type: 'list',
+      get: () => deletedOrders,
+      set: (value) => (deletedOrders = value),
+    },
+    // Snapshots hold full backups, so they are kept out of backup files
+    snapshots: { label: 'Snapshots', type: 'list', backup: false, get: () => snapshots, set: (value) => (snapshots = value) },
+    rateCard: {
+      label: 'Rate Card',
+      type: 'object',
+      initial: () => ({ version: 0, entries: [] }),
+      get: () => rateCard,
+      set: (value) => (rateCard = value),
+      validate: (value) => (Array.isArray(value.entries) ? null : 'Rate Card must have a list of entries.'),
+      merge: (current, incoming) => {
+        const entries = mergeRecordsById(current.entries, incoming.entries);
+        const unchanged = JSON.stringify(entries) === JSON.stringify(current.entries);
+        return { version: unchanged ? current.version : Math.max(current.version, incoming.version) + 1, entries };
+      },
+    },
+    settings: {
+      label: 'Settings',
+      type: 'object',
+      initial: () => withDefaultSettings({}),
+      get: () => settings,
+      set: (value) => (settings = value),
+      merge: (current, incoming) => ({
+        ...current,
+        ...incoming,
+        business: { ...current.business, ...(incoming.business || {}) },
+        savedViews: mergeRecordsById(current.savedViews, incoming.savedViews || []),
+      }),
+    },
+    counters: {
+      label: 'Number Counters',
+      type: 'object',
+      initial: () => ({}),
+      get: () => counters,
+      set: (value) => (counters = value),
+      // Keep the highest counter so merged data never reuses a number
+      merge: (current, incoming) => {
+        const merged = { ...current };
+        Object.entries(incoming).forEach(([key, value]) => {
+          merged[key] = Math.max(merged[key] || 0, value);
+        });
+        return merged;
+      },
+    },
+  };
+
+  /**
+   * Merges two lists of records by ID. Incoming records replace current records with the same ID.
+   * @param {Object[]} current - The records already stored.
+   * @param {Object[]} incoming - The records being restored.
+   * @returns {Object[]} The merged list.
+   */
+  function mergeRecordsById(current, incoming) {
+    const merged = new Map(current.map((record) => [record.id, record]));
+    incoming.forEach((record) => merged.set(record.id, record));
+    return [...merged.values()];
+  }
+
+  /**
+   * Fills in settings missing from stored or restored data with their defaults.
+   * @param {Object} stored - The stored settings, possibly from an older version.
+   * @returns {Object} The complete settings.
+   */
+  function withDefaultSettings(stored) {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      business: { ...DEFAULT_SETTINGS.business, ...(stored.business || {}) },
+    };
+  }
+
+  // Money. Amounts are stored in rupees with two decimals, but every sum, product and share is worked out
+  // in whole paise so totals always equal the lines they are made of.
+  // Rounding policy: each line amount (rate x quantity, discount, surcharge) is rounded to the paisa, half away
+  // from zero. GST is rounded once per rate on the taxable total ('invoice') or on every line ('line'), as set in
+  // settings.taxRounding, and order and invoice totals may be rounded to the rupee with a "Round off" line.
+
+  /**
+   * Rounds a paise value that may have a fraction of a paisa, half away from zero.
+   * @param {number} paise - The value in paise.
+   * @returns {number} Whole paise.
+   */
+  function roundPaise(paise) {
+    // toFixed(6) drops binary noise such as 100.49999999999999 for 1.005 x 100
+    const magnitude = Math.round(parseFloat(Math.abs(paise).toFixed(6)));
+    return paise < 0 ? -magnitude : magnitude;
+  }
+
+  /**
+   * Converts rupees to whole paise.
+   * @param {number} rupees - The amount in rupees.
+   * @returns {number} The amount in paise.
+   */
+  function toPaise(rupees) {
+    return roundPaise(rupees * 100);
+  }
+
+  /**
+   * Converts whole paise back to rupees for storing and showing.
+   * @param {number} paise - The amount in paise.
+   * @returns {number} The amount in rupees.
+   */
+  function toRupees(paise) {
+    return paise / 100 || 0; // Avoids -0
+  }
+
+  /**
+   * Adds up amounts in rupees exactly.
+   * @param {number[]} amounts - The amounts in rupees.
+   * @returns {number} The total in rupees.
+   */
+  function sumMoney(amounts) {
+    return toRupees(amounts.reduce((sum, amount) => sum + toPaise(amount), 0));
+  }
+
+  /**
+   * Subtracts one amount in rupees from another exactly.
+   * @param {number} amount - The amount in rupees.
+   * @param {number} less - The amount to take off, in rupees.
+   * @returns {number} The difference in rupees.
+   */
+  function subtractMoney(amount, less) {
+    return toRupees(toPaise(amount) - toPaise(less));
+  }
+
+  /**
+   * Multiplies an amount by a quantity or factor, rounded to the paisa.
+   * @param {number} rupees - The amount in rupees, e.g. a rate.
+   * @param {number} factor - The quantity or factor.
+   * @returns {number} The product in rupees.
+   */
+  function multiplyMoney(rupees, factor) {
+    return toRupees(roundPaise(toPaise(rupees) * factor));
+  }
+
+  /**
+   * Takes a percentage of an amount, rounded to the paisa.
+   * @param {number} rupees - The amount in rupees.
+   * @param {number} percent - The percentage.
+   * @returns {number} The share in rupees.
+   */
+  function percentOfMoney(rupees, percent) {
+    return toRupees(roundPaise((toPaise(rupees) * percent) / 100));
+  }
+
+  /**
+   * Splits an amount in paise over weights so the parts add up to it exactly.
+   * Left-over paise go to the parts with the largest remainders.
+   * @param {number} paise - The amount to split, in paise (may be negative).
+   * @param {number[]} weights - The weights; split equally when they add up to zero.
+   * @returns {number[]} The parts in paise, in the order of the weights.
+   */
+  function allocatePaise(paise, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const shares = weights.map((weight) => (totalWeight ? (Math.abs(paise) * weight) / totalWeight : Math.abs(paise) / weights.length));
+    const parts = shares.map((share) => Math.floor(share));
+    let left = Math.abs(paise) - parts.reduce((sum, part) => sum + part, 0);
+    shares
+      .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(({ index }) => {
+        if (left > 0) {
+          parts[index] += 1;
+          left -= 1;
+        }
+      });
+    return parts.map((part) => (paise < 0 ? -part : part));
+  }
+
+  /**
+   * Rounds a total to the nearest rupee when settings.roundOffTotals is on.
+   * @param {number} paise - The total in paise.
+   * @returns {{total: number, roundOff: number}} The total to charge and the round off added, both in paise.
+   */
+  function roundOffPaise(paise) {
+    if (!settings.roundOffTotals) {
+      return { total: paise, roundOff: 0 };
+    }
+    const total = roundPaise(paise / 100) * 100;
+    return { total, roundOff: total - paise };
+  }
+
+  // Data migrations, applied in order to stored data, legacy localStorage data and restored backups.
+  // Each migration upgrades a data object (one property per DATA_COLLECTIONS key; any may be missing in old backups)
+  // to its version, and may return a message for the user. Add new fields to orders or items here.
+  const DATA_MIGRATIONS = [
+    {
+      version: 1,
+      description: "Renumber duplicate order IDs left by the old 'ORD-' + (orders.length + 1) numbering",
+      migrate(data) {
+        const dataOrders = data.orders || [];
+        const dataCounters = data.counters || (data.counters = {});
+        const format = (data.settings && data.settings.orderNumberFormat) || DEFAULT_SETTINGS.orderNumberFormat;
+        const usedIds = new Set(dataOrders.map((order) => order.id));
+        const seenIds = new Set();
+        const repaired = [];
+        dataOrders.forEach((order) => {
+          if (seenIds.has(order.id)) {
+            // The first order with an ID keeps it; later duplicates get fresh IDs
+            const financialYear = getFinancialYear(order.createdAt);
+            const key = `order:${format.includes('{FY}') ? financialYear : 'all'}`;
+            let id;
+            do {
+              dataCounters[key] = (dataCounters[key] || 0) + 1;
+              id = formatDocumentNumber(format, financialYear, dataCounters[key]);
+            } while (usedIds.has(id));
+            repaired.push(`${order.id} → ${id}`);
+            usedIds.add(id);
+            order.id = id;
+          }
+          seenIds.add(order.id);
+        });
+        if (repaired.length > 0) {
+          return `Renumbered ${repaired.length} order(s) that had duplicate IDs.`;
+        }
+        return null;
+      },
+    },
+    {
+      version: 2,
+      description: 'Drop the list of applied migrations from settings; the data version replaces it',
+      migrate(data) {
+        if (data.settings) {
+          delete data.settings.migrations;
+        }
+        return null;
+      },
+    },
+    {
+      version: 3,
+      description: 'Give orders created before the audit trail an empty history',
+      migrate(data) {
+        [...(data.orders || []), ...(data.deletedOrders || [])].forEach((order) => {
+          order.history = order.history || [];
+        });
+        return null;
+      },
+    },
+    {
+      version: 4,
+      description: 'Give every order item a stable ID, so challans can refer to it',
+      migrate(data) {
+        [...(data.orders || []), ...(data.deletedOrders || [])].forEach((order) => {
+          order.items.forEach((item) => {
+            item.id = item.id || generateUniqueId('ITEM');
+          });
+        });
+        return null;
+      },
+    },
+    {
+      version: 5,
+      description: 'Record the billing unit and weight of order items; the per-kg rate becomes a per-unit rate',
+      migrate(data) {
+        [...(data.orders || []), ...(data.deletedOrders || [])].forEach((order) => {
+          order.items.forEach((item) => {
+            if (item.unit) {
+              return;
+            }
+            item.unit = 'kg';
+            item.weightKg = item.quantity;
+            item.itemRate = item.itemRatePerKg;
+            delete item.itemRatePerKg;
+          });
+        });
+        return null;
+      },
+    },
+    {
+      version: 6,
+      description: 'Record the tax basis, GST rate and taxable value of existing orders without changing their totals',
+      migrate(data) {
+        [...(data.orders || []), ...(data.deletedOrders || [])].forEach((order) => {
+          if (order.taxBasis) {
+            return;
+          }
+          // Every order so far added 18% GST to each item total
+          order.taxBasis = 'legacy';
+          order.items.forEach((item) => {
+            item.taxRate = 18;
+            item.taxableValue = parseFloat((item.itemRate * item.quantity).toFixed(2));
+          });
+          order.taxableValue = parseFloat(order.items.reduce((sum, item) => sum + item.itemRate * item.quantity, 0).toFixed(2));
+          order.taxTotal = parseFloat((order.orderTotal - order.taxableValue).toFixed(2));
+          order.taxBreakup = order.gstApply === 'yes' ? [{ rate: 18, taxableValue: order.taxableValue, tax: order.taxTotal }] : [];
+        });
+        return null;
+      },
+    },
+    {
+      version: 7,
+      description: 'Add discounts, surcharges and minimum charges to orders, with none on existing orders',
+      migrate(data) {
+        [...(data.orders || []), ...(data.deletedOrders || [])].forEach((order) => {
+          if (order.adjustments) {
+            return;
+          }
+          order.items.forEach((item) => {
+            item.discount = null;
+            item.discountAmount = 0;
+          });
+          order.discount = null;
+          order.surcharges = [];
+          order.minimumCharges = {};
+          order.subtotal = parseFloat(order.items.reduce((sum, item) => sum + item.itemRate * item.quantity, 0).toFixed(2));
+          order.adjustments = [];
+        });
+        return null;
+      },
+    },
+    {
+      version: 8,
+      description: 'Add the round off line to orders; existing totals are kept until recalculated from Settings',
+      migrate(data) {
+        [...(data.orders || []), ...(data.deletedOrders || [])].forEach((order) => {
+          if (order.roundOff === undefined) {
+            order.roundOff = 0;
+          }
+        });
+        return null;
+      },
+    },
+    {
+      version: 9,
+      description: 'Start the item master with the items each customer has sent before',
+      migrate(data) {
+        if (data.itemMaster || !data.orders || data.orders.length === 0) {
+          return null;
+        }
+        // One entry per customer, item name and material, with the details of its latest order.
+        // IDs come from that key, so restoring an older backup over this data does not add the entries twice.
+        const entries = new Map();
+        [...data.orders]
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+          .forEach((order) => {
+            order.items.forEach((item) => {
+              const key = `${order.customer.id}|${item.itemName}|${item.material}`;
+              const previous = entries.get(key);
+              entries.set(key, {
+                id: `PART-${crc32(key)}`,
+                partNumber: '',
+                description: item.itemName,
+                customerId: order.customer.id,
+                material: item.material,
+                platingTypes: item.platingTypes,
+                platingPrices: item.platingPrices,
+                unit: item.unit,
+                weightPerUnitKg: item.unit === 'kg' ? null : parseFloat((item.weightKg / item.quantity).toFixed(3)),
+                useCount: previous ? previous.useCount + 1 : 1,
+                lastUsedAt: order.createdAt,
+                createdAt: new Date().toISOString(),
+              });
+            });
+          });
+        data.itemMaster = [...entries.values()];
+        return `Added ${entries.size} item(s) from past orders to the item master.`;
+      },
+    },
+    {
+      version: 10,
+      description: 'Give existing order and quotation items an empty process specification',
+      migrate(data) {
+        [...(data.orders || []), ...(data.deletedOrders || []), ...(data.quotations || [])].forEach((order) => {
+          order.items.forEach((item) => {
+            if (item.processSpec === undefined) {
+              item.processSpec = null;
+            }
+          });
+        });
+        return null;
+      },
+    },
+  ];
+
+  // Version of the stored data shape. Written to storage and to backups.
+  const DATA_SCHEMA_VERSION = DATA_MIGRATIONS[DATA_MIGRATIONS.length - 1].version;
+
+  /**
+   * Brings data up to the current schema version.
+   * @param {Object} data - The data object to migrate in place.
+   * @param {number} fromVersion - The schema version the data was written with (0 for legacy data).
+   * @returns {string[]} Messages from migrations that changed something the user should know about.
+   */
+  function runDataMigrations(data, fromVersion) {
+    const messages = [];
+    DATA_MIGRATIONS.filter((migration) => migration.version > fromVersion).forEach((migration) => {
+      const message = migration.migrate(data);
+      if (message) {
+        messages.push(message);
+      }
+    });
+    return messages;
+  }
+
+  // IndexedDB database. Each step in DB_SCHEMA_UPGRADES creates the stores and indexes for one database version;
+  // add a step (never change an old one) when a new store or index is needed.
+  const DB_NAME = 'electroplating';
+  const META_STORE = 'meta'; // Object collections and the data version, as { id, value } records
+  const DB_SCHEMA_UPGRADES = [
+    // Version 1: one store per record list, indexed for lookups by customer, status and date
+    (database) => {
+      database.createObjectStore('customers', { keyPath: 'id' });
+      const orderStore = database.createObjectStore('orders', { keyPath: 'id' });
+      orderStore.createIndex('customerId', 'customer.id');
+      orderStore.createIndex('status', 'status');
+      orderStore.createIndex('createdAt', 'createdAt');
+      const invoiceStore = database.createObjectStore('invoices', { keyPath: 'id' });
+      invoiceStore.createIndex('customerId', 'customerId');
+      invoiceStore.createIndex('date', 'date');
+      const paymentStore = database.createObjectStore('payments', { keyPath: 'id' });
+      paymentStore.createIndex('customerId', 'customerId');
+      paymentStore.createIndex('date', 'date');
+      database.createObjectStore(META_STORE, { keyPath: 'id' });
+    },
+    // Version 2: recycle bin for deleted orders, and snapshots taken before clearing data
+    (database) => {
+      database.createObjectStore('deletedOrders', { keyPath: 'id' }).createIndex('deletedAt', 'deletedAt');
+      database.createObjectStore('snapshots', { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+    },
+    // Version 3: inward and delivery challans
+    (database) => {
+      const challanStore = database.createObjectStore('challans', { keyPath: 'id' });
+      challanStore.createIndex('orderId', 'orderId');
+      challanStore.createIndex('customerId', 'customerId');
+      challanStore.createIndex('date', 'date');
+    },
+    // Version 4: quotations
+    (database) => {
+      const quotationStore = database.createObjectStore('quotations', { keyPath: 'id' });
+      quotationStore.createIndex('customerId', 'customer.id');
+      quotationStore.createIndex('status', 'status');
+      quotationStore.createIndex('date', 'date');
+    },
+    // Version 5: item master
+    (database) => {
+      database.createObjectStore('itemMaster', { keyPath: 'id' }).createIndex('customerId', 'customerId');
+    },
+    // Version 6: chemical and consumable stock
+    (database) => {
+      database.createObjectStore('stockItems', { keyPath: 'id' });
+      const movementStore = database.createObjectStore('stockMovements', { keyPath: 'id' });
+      movementStore.createIndex('stockItemId', 'stockItemId');
+      movementStore.createIndex('orderId', 'orderId');
+      movementStore.createIndex('date', 'date');
+    },
+  ];
+
+  let db = null; // Open IndexedDB connection; null when falling back to localStorage
+  let persistedRecords = {}; // Per store, the JSON of each record as last written; null forces a full rewrite
+  let pendingWrite = Promise.resolve(true); // Chains writes so they reach the database in order
+
+  /**
+   * Returns the localStorage key a collection was kept under before IndexedDB (e.g. 'electroplatingOrders').
+   * @param {string} key - The DATA_COLLECTIONS key.
+   * @returns {string} The localStorage key.
+   */
+  function getLegacyStorageKey(key) {
+    return `electroplating${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+  }
+
+  /**
+   * Wraps an IndexedDB request in a promise.
+   * @param {IDBRequest} request - The request.
+   * @returns {Promise<*>} Resolves with the request result.
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Opens the database, creating or upgrading its stores as needed.
+   * @returns {Promise<IDBDatabase>} The open database.
+   */
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_SCHEMA_UPGRADES.length);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < DB_SCHEMA_UPGRADES.length; version++) {
+          DB_SCHEMA_UPGRADES[version](request.result, request.transaction);
+        }
+      };
+      request.onblocked = () => {
+        showLiveAlert('Please close other tabs of this app so the database can be upgraded.', 'warning');
+      };
+      request.onsuccess = () => {
+        const database = request.result;
+        database.onversionchange = () => {
+          database.close();
+          showLiveAlert('The app was updated in another tab. Please reload this page.', 'warning');
+        };
+        resolve(database);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Reads every record from the database.
+   * @returns {Promise<Object>} The records, keyed by store name.
+   */
+  async function readDatabase() {
+    const storeNames = [...db.objectStoreNames];
+    const transaction = db.transaction(storeNames, 'readonly');
+    const stored = {};
+    await Promise.all(storeNames.map(async (storeName) => {
+      stored[storeName] = await promisifyRequest(transaction.objectStore(storeName).getAll());
+    }));
+    return stored;
+  }
+
+  /**
+   * Reads data kept in localStorage, by older versions of the app or as the fallback when IndexedDB is unavailable.
+   * @returns {{data: Object, version: number, found: boolean}} The data, its schema version and whether any was stored.
+   */
+  function readLocalStorage() {
+    const data = {};
+    let found = false;
+    Object.keys(DATA_COLLECTIONS).forEach((key) => {
+      const stored = localStorage.getItem(getLegacyStorageKey(key));
+      if (stored !== null) {
+        data[key] = JSON.parse(stored);
+        found = true;
+      }
+    });
+    const version = Number(localStorage.getItem(getLegacyStorageKey('dataVersion'))) || 0;
+    return { data, version, found };
+  }
+
+  /**
+   * Lists the records to store for some collections, keyed by store name: one store per list collection,
+   * and the meta store, with every object collection and the data version, if any object collection is included.
+   * @param {string[]} keys - Keys of DATA_COLLECTIONS.
+   * @returns {Object} Arrays of records with an id, keyed by store name.
+   */
+  function getStoredRecords(keys) {
+    const stores = {};
+    keys.filter((key) => DATA_COLLECTIONS[key].type === 'list').forEach((key) => {
+      stores[key] = DATA_COLLECTIONS[key].get();
+    });
+    if (keys.some((key) => DATA_COLLECTIONS[key].type === 'object')) {
+      stores[META_STORE] = [{ id: 'dataVersion', value: DATA_SCHEMA_VERSION }];
+      Object.entries(DATA_COLLECTIONS)
+        .filter(([, collection]) => collection.type === 'object')
+        .forEach(([key, collection]) => stores[META_STORE].push({ id: key, value: collection.get() }));
+    }
+    return stores;
+  }
+
+  /**
+   * Works out which records of some collections were added, changed or removed since the last save and remembers
+   * their new state. After a failed save every collection is rewritten.
+   * @param {string[]} keys - Keys of DATA_COLLECTIONS that may have changed.
+   * @returns {Object} { clear, stores }, where stores maps store names to { puts[], deletes[] } for stores with changes.
+   */
+  function collectChanges(keys) {
+    const clear = persistedRecords === null;
+    const previous = persistedRecords || {};
+    const stores = {};
+    persistedRecords = clear ? {} : { ...previous };
+    Object.entries(getStoredRecords(clear ? Object.keys(DATA_COLLECTIONS) : keys)).forEach(([storeName, records]) => {
+      const before = previous[storeName] || new Map();
+      const after = new Map();
+      const puts = [];
+      records.forEach((record) => {
+        const json = JSON.stringify(record);
+        after.set(record.id, json);
+        if (clear || before.get(record.id) !== json) {
+          puts.push(JSON.parse(json)); // Copy, so edits made before the write runs do not leak into it
+        }
+      });
+      const deletes = [...before.keys()].filter((id) => !after.has(id));
+      persistedRecords[storeName] = after;
+      if (clear || puts.length > 0 || deletes.length > 0) {
+        stores[storeName] = { puts, deletes };
+      }
+    });
+    return { clear, stores };
+  }
+
+  /**
+   * Writes a set of changes in a single transaction, so a save is stored completely or not at all.
+   * @param {Object} changes - The changes from collectChanges().
+   * @returns {Promise<void>} Resolves when the transaction completes.
+   */
+  function writeChanges(changes) {
+    const storeNames = Object.keys(changes.stores);
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      storeNames.forEach((storeName) => {
+        const store = transaction.objectStore(storeName);
+        if (changes.clear) {
+          store.clear();
+        }
+        changes.stores[storeName].deletes.forEach((id) => store.delete(id));
+        changes.stores[storeName].puts.forEach((record) => store.put(record));
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('The save was aborted.'));
+    });
+  }
+
+  /**
+   * Saves data. Callers name the collections they changed, so only those are compared with what was stored;
+   * with IndexedDB only their records that changed since the last save are written.
+   * @param {...string} keys - Keys of DATA_COLLECTIONS that changed. Without any, every collection is saved.
+   * @returns {Promise<boolean>} Resolves with whether everything saved so far reached storage.
+   */
+  function saveData(...keys) {
+    const changedKeys = keys.length > 0 ? keys : Object.keys(DATA_COLLECTIONS);
+    if (!db) {
+      try {
+        changedKeys.forEach((key) => {
+          localStorage.setItem(getLegacyStorageKey(key), JSON.stringify(DATA_COLLECTIONS[key].get()));
+        });
+        localStorage.setItem(getLegacyStorageKey('dataVersion'), String(DATA_SCHEMA_VERSION));
+        return Promise.resolve(true);
+      } catch (error) {
+        console.error('Saving to localStorage failed', error);
+        showLiveAlert('Could not save your changes: browser storage is full. Please download a backup.', 'danger');
+        return Promise.resolve(false);
+      }
+    }
+
+    const changes = collectChanges(changedKeys);
+    if (Object.keys(changes.stores).length === 0) {
+      return pendingWrite;
+    }
+    pendingWrite = pendingWrite
+      .then(() => writeChanges(changes))
+      .then(() => true)
+      .catch((error) => {
+        console.error('Saving to IndexedDB failed', error);
+        persistedRecords = null; // The stored state is unknown now, so rewrite everything next time
+        showLiveAlert('Could not save your changes. Please download a backup.', 'danger');
+        return false;
+      });
+    return pendingWrite;
+  }
+
+  /**
+   * Loads all data on startup. Opens IndexedDB, imports localStorage data on first run,
+   * applies pending data migrations and stores the result. Falls back to localStorage without IndexedDB.
+   */
+  async function loadData() {
+    let data = {};
+    let version = 0;
+    let importFromLocalStorage = false;
+    try {
+      db = await openDatabase();
+      const stored = await readDatabase();
+      Object.entries(stored).forEach(([storeName, records]) => {
+        persistedRecords[storeName] = new Map(records.map((record) => [record.id, JSON.stringify(record)]));
+      });
+      const meta = new Map(stored[META_STORE].map((entry) => [entry.id, entry.value]));
+      if (meta.has('dataVersion')) {
+        version = meta.get('dataVersion');
+        Object.entries(DATA_COLLECTIONS).forEach(([key, collection]) => {
+          data[key] = collection.type === 'list' ? stored[key] : meta.get(key);
+        });
+      } else {
+        ({ data, version, found: importFromLocalStorage } = readLocalStorage()); // First run with IndexedDB
+      }
+    } catch (error) {
+      // IndexedDB is unavailable (e.g. private browsing): keep working from localStorage as before
+      db = null;
+      ({ data, version } = readLocalStorage());
+    }
+
+    const messages = runDataMigrations(data, version);
+    Object.entries(DATA_COLLECTIONS).forEach(([key, collection]) => {
+      collection.set(data[key] !== undefined ? data[key] : collection.initial ? collection.initial() : []);
+    });
+    settings = withDefaultSettings(settings);
+
+    const saved = await saveData();
+    if (importFromLocalStorage && saved) {
+      // The data is safely in IndexedDB now, so free up localStorage
+      Object.keys(DATA_COLLECTIONS).forEach((key) => localStorage.removeItem(getLegacyStorageKey(key)));
+      localStorage.removeItem(getLegacyStorageKey('dataVersion'));
+      messages.push('Your data was moved to the browser database, which has room for many more orders.');
+    }
+    if (messages.length > 0) {
+      showLiveAlert(messages.join(' '), 'info');
+    }
+  }
+
+  /**
+   * Returns the Indian financial year (April to March) a date falls in.
+   * @param {string} [date] - The date (YYYY-MM-DD). Defaults to today.
+   * @returns {string} The financial year, e.g. '2026-27'.
+   */
+  function getFinancialYear(date) {
+    const [year, month] = (date || new Date().toISOString().split('T')[0]).split('-').map(Number);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Takes the next number in a document series for a financial year.
+   * Numbers are never reused, even if the document they were given to is deleted.
+   * @param {string} series - The series name (e.g. 'invoice').
+   * @param {string} financialYear - The financial year, e.g. '2026-27'.
+   * @returns {number} The next sequence number, starting at 1.
+   */
+  function nextSequence(series, financialYear) {
+    const key = `${series}:${financialYear}`;
+    counters[key] = (counters[key] || 0) + 1;
+    return counters[key];
+  }
+
+  /**
+   * Formats a document number from a template.
+   * Supported tokens: {FY} for the financial year and {SEQ} or {SEQ:n} for the sequence zero-padded to n digits.
+   * @param {string} format - The template, e.g. 'HE/{FY}/{SEQ:4}'.
+   * @param {string} financialYear - The financial year, e.g. '2026-27'.
+   * @param {number} sequence - The sequence number.
+   * @returns {string} The formatted number, e.g. 'HE/2026-27/0001'.
+   */
+  function formatDocumentNumber(format, financialYear, sequence) {
+    return format
+      .replace(/\{FY\}/g, financialYear)
+      .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(sequence).padStart(Number(width) || 0, '0'));
+  }
+
+  /**
+   * Generates the next order ID from the configured order number format.
+   * The counter is persisted and never goes back, so deleted orders never free up their number.
+   * Formats with {FY} restart at 1 each financial year.
+   * @param {string} orderDate - The order date (YYYY-MM-DD), which decides the financial year.
+   * @returns {string} A new order ID not used by any existing order.
+   */
+  function generateOrderId(orderDate) {
+    const format = settings.orderNumberFormat;
+    const financialYear = getFinancialYear(orderDate);
+    const series = format.includes('{FY}') ? financialYear : 'all';
+    let id;
+    do {
+      id = formatDocumentNumber(format, financialYear, nextSequence('order', series));
+    } while ([...orders, ...deletedOrders].some((order) => order.id === id)); // Skip numbers taken by older data
+    return id;
+  }
+
+  /**
+   * Finds a state by its GST state code.
+   * @param {string} code - The two-digit state code.
+   * @returns {Object|null} The state { code, name }, or null if unknown.
+   */
+  function getStateByCode(code) {
+    return INDIAN_STATES.find((state) => state.code === code) || null;
+  }
+
+  /**
+   * Returns a customer's GST state code, falling back to the first two digits of their GSTIN.
+   * @param {Object} customer - The customer.
+   * @returns {string} The state code, or '' if unknown.
+   */
+  function getCustomerStateCode(customer) {
+    if (customer.stateCode) {
+      return customer.stateCode;
+    }
+    return customer.gstin && getStateByCode(customer.gstin.slice(0, 2)) ? customer.gstin.slice(0, 2) : '';
+  }
+
+  /**
+   * Checks the basic shape of a GSTIN: two-digit state code followed by 13 letters or digits.
+   * @param {string} gstin - The GSTIN to check.
+   * @returns {boolean} True if the GSTIN looks valid.
+   */
+  function isValidGstin(gstin) {
+    return /^[0-9]{2}[A-Z0-9]{13}$/.test(gstin) && !!getStateByCode(gstin.slice(0, 2));
   }
 
   /**
-   * Saves the current customers and orders data to localStorage.
+   * Fills every state dropdown (customer forms and settings) with the GST state list.
    */
-  function saveData() {
-    localStorage.setItem('electroplatingCustomers', JSON.stringify(customers));
-    localStorage.setItem('electroplatingOrders', JSON.stringify(orders));
+  function renderStateOptions() {
+    document.querySelectorAll('.state-select').forEach((selectElement) => {
+      while (selectElement.options.length > 1) {
+        selectElement.remove(1);
+      }
+      INDIAN_STATES.forEach((state) => selectElement.add(new Option(`${state.code} - ${state.name}`, state.code)));
+    });
   }
 
   /**
@@ -80,9 +1066,27 @@ function showLiveAlert(message, type = 'success') {
     const customerSelect = document.getElementById('customerSelect');
     const customerFilter = document.getElementById('customerFilter');
     const billingCustomer = document.getElementById('billingCustomer');
+    const rateCardCustomer = document.getElementById('rateCardCustomer');
+    const paymentCustomer = document.getElementById('paymentCustomer');
+    const activityCustomer = document.getElementById('activityCustomer');
+    const challanCustomer = document.getElementById('challanCustomer');
+    const quotationCustomer = document.getElementById('quotationCustomer');
+    const itemMasterCustomer = document.getElementById('itemMasterCustomer');
 
     // Clear existing options, keeping the first placeholder option
-    [customerSelect, customerFilter, billingCustomer].forEach((selectElement) => {
+    // The customer filter is a multi-select with no placeholder option; keep its selection
+    const selectedFilterCustomers = $('#customerFilter').val() || [];
+    customerFilter.innerHTML = '';
+    [
+      customerSelect,
+      billingCustomer,
+      rateCardCustomer,
+      paymentCustomer,
+      activityCustomer,
+      challanCustomer,
+      quotationCustomer,
+      itemMasterCustomer,
+    ].forEach((selectElement) => {
       while (selectElement.options.length > 1) {
         selectElement.remove(1);
       }
@@ -91,17 +1095,33 @@ function showLiveAlert(message, type = 'success') {
     // Add each customer as an option
     customers.forEach((customer) => {
       const option1 = new Option(customer.name, customer.id);
-      const option2 = new Option(customer.name, customer.id);
+      const option2 = new Option(customer.name, customer.id, false, selectedFilterCustomers.includes(customer.id));
       const option3 = new Option(customer.name, customer.id);
+      const option4 = new Option(customer.name, customer.id);
+      const option5 = new Option(customer.name, customer.id);
+      const option6 = new Option(customer.name, customer.id);
+      const option7 = new Option(customer.name, customer.id);
+      const option8 = new Option(customer.name, customer.id);
+      const option9 = new Option(customer.name, customer.id);
       customerSelect.add(option1);
       customerFilter.add(option2);
       billingCustomer.add(option3);
+      rateCardCustomer.add(option4);
+      paymentCustomer.add(option5);
+      activityCustomer.add(option6);
+      challanCustomer.add(option7);
+      quotationCustomer.add(option8);
+      itemMasterCustomer.add(option9);
     });
 
     // Trigger change to update Select2 display
     $('#customerSelect').trigger('change');
     $('#customerFilter').trigger('change');
     $('#billingCustomer').trigger('change');
+    $('#rateCardCustomer').trigger('change');
+    $('#paymentCustomer').trigger('change');
+    $('#quotationCustomer').trigger('change');
+    $('#itemMasterCustomer').trigger('change');
   }
 
   /**
@@ -112,18 +1132,31 @@ function showLiveAlert(message, type = 'success') {
     const name = document.getElementById('newCustomerName').value.trim();
     const phone = document.getElementById('newCustomerPhone').value.trim();
 
+    const gstin = document.getElementById('newCustomerGstin').value.trim().toUpperCase();
+    if (gstin && !isValidGstin(gstin)) {
+      showLiveAlert('Please enter a valid 15-character GSTIN.', 'danger');
+      return;
+    }
+
     if (name && phone) {
       const newCustomer = {
         id: generateUniqueId('CUST'),
         name,
         phone,
+        contactPerson: document.getElementById('newCustomerContact').value.trim(),
+        gstin,
+        stateCode: document.getElementById('newCustomerState').value || (gstin ? gstin.slice(0, 2) : ''),
+        address: document.getElementById('newCustomerAddress').value.trim(),
+        notes: document.getElementById('newCustomerNotes').value.trim(),
       };
       customers.push(newCustomer); // Add new customer to array
-      saveData(); // Persist to localStorage
+      saveData('customers'); // Persist to storage
       renderCustomers(); // Update dropdowns
+      renderCustomerList();
       // Clear form fields
-      document.getElementById('newCustomerName').value = '';
-      document.getElementById('newCustomerPhone').value = '';
+      ['newCustomerName', 'newCustomerPhone', 'newCustomerContact', 'newCustomerGstin', 'newCustomerState', 'newCustomerAddress', 'newCustomerNotes'].forEach(
+        (fieldId) => (document.getElementById(fieldId).value = '')
+      );
       showLiveAlert('Customer added successfully!');
     } else {
       showLiveAlert('Please enter both customer name and phone.', 'danger');
@@ -131,68 +1164,749 @@ function showLiveAlert(message, type = 'success') {
   }
 
   /**
-   * Adds a new order to the system.
-   * Validates input, calculates total based on plating prices, and updates UI.
+   * Escapes text for safe insertion into HTML.
+   * @param {string} text - The text to escape.
+   * @returns {string} The escaped text.
    */
-  function addOrder() {
-    const customerId = document.getElementById('customerSelect').value;
-    const status = document.getElementById('status').value;
-    const gstApply = document.getElementById('gstApply').value;
-    const orderDate = document.getElementById('orderDate').value;
+  function escapeHtml(text) {
+    return String(text == null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
 
-    // Get all item rows
-    const itemRows = document.querySelectorAll('#itemRowsContainer .item-row');
-    if (itemRows.length === 0) {
-        showLiveAlert('Please add at least one item to the order.', 'danger');
-        return;
-    }
+  /**
+   * Returns all orders placed by a customer.
+   * @param {string} customerId - The ID of the customer.
+   * @returns {Object[]} The customer's orders.
+   */
+  function getCustomerOrders(customerId) {
+    return orders.filter((order) => order.customer.id === customerId);
+  }
 
-    const orderItems = [];
-    let orderTotal = 0;
-    let hasError = false;
+  /**
+   * Renders the customer list table, filtered by the customer search box.
+   */
+  function renderCustomerList() {
+    const tableBody = document.getElementById('customersTableBody');
+    const searchTerm = document.getElementById('customerSearch').value.toLowerCase().trim();
+    const filteredCustomers = customers
+      .filter(
+        (customer) =>
+          !searchTerm ||
+          customer.name.toLowerCase().includes(searchTerm) ||
+          customer.phone.toLowerCase().includes(searchTerm) ||
+          (customer.contactPerson || '').toLowerCase().includes(searchTerm) ||
+          (customer.gstin || '').toLowerCase().includes(searchTerm)
+      )
+      .sort((a, b) => a.name.localeCompare(b.name));
 
-    itemRows.forEach((row, index) => {
-        const itemName = row.querySelector('.item-name-input').value.trim();
-        const material = row.querySelector('.item-material-select').value;
-        const platingTypeSelect = $(row).find('.item-plating-type-select'); // Use jQuery for Select2
-        const platingTypes = platingTypeSelect.val() || []; // Get selected values
-        const platingPricesInput = row.querySelector('.item-plating-prices-input').value.trim();
-        const quantity = parseFloat(row.querySelector('.item-quantity-input').value);
-
-        // Input validation for each item
-        if (!itemName || !material || platingTypes.length === 0 || !platingPricesInput || isNaN(quantity) || quantity <= 0) {
-            showLiveAlert(`Please fill in all fields for Item ${index + 1}.`, 'danger');
-            hasError = true;
-            return; // Skip this item, but continue checking others
-        }
+    tableBody.innerHTML = filteredCustomers.length
+      ? filteredCustomers.map((customer) => {
+          const customerOrders = getCustomerOrders(customer.id);
+          const lifetimeValue = sumMoney(customerOrders.map((order) => order.orderTotal));
+          return `
+            <tr>
+                <td>${escapeHtml(customer.name)}</td>
+                <td>${escapeHtml(customer.phone)}</td>
+                <td>${escapeHtml(customer.contactPerson || '-')}</td>
+                <td>${escapeHtml(customer.gstin || '-')}</td>
+                <td>${customerOrders.length}</td>
+                <td>₹${lifetimeValue.toFixed(2)}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-info text-white" onclick="viewCustomerDetails('${customer.id}')" title="View Details"><i class="fas fa-eye"></i></button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="viewCustomerLedger('${customer.id}')" title="Ledger"><i class="fas fa-book"></i></button>
+                    <button class="btn btn-sm btn-warning text-white" onclick="editCustomer('${customer.id}')" title="Edit"><i class="fas fa-edit"></i></button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteCustomer('${customer.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>
+          `;
+        }).join('')
+      : '<tr><td colspan="7" class="text-center text-muted">No customers found.</td></tr>';
+  }
 
-        const platingPrices = platingPricesInput.split(',').map(Number);
-        if (platingPrices.length !== platingTypes.length) {
-            showLiveAlert(`Number of plating prices must match plating types for Item ${index + 1}.`, 'danger');
-            hasError = true;
-            return;
-        }
+  /**
+   * Displays a customer's profile, lifetime value and order history in a modal.
+   * @param {string} id - The ID of the customer to view.
+   */
+  function viewCustomerDetails(id) {
+    const customer = customers.find((c) => c.id === id);
+    if (!customer) {
+      showLiveAlert('Customer not found.', 'danger');
+      return;
+    }
 
-        const itemRatePerKg = platingPrices.reduce((sum, price) => sum + price, 0);
-        let itemCalculatedTotal = itemRatePerKg * quantity;
-        if (gstApply === 'yes') {
-            itemCalculatedTotal *= 1.18; // Apply 18% GST
-        }
+    const customerOrders = getCustomerOrders(id).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const lifetimeValue = sumMoney(customerOrders.map((order) => order.orderTotal));
+    const ordersHtml = customerOrders.length
+      ? `
+        <div class="table-responsive">
+            <table class="table table-striped table-sm">
+                <thead class="table-dark">
+                    <tr><th>Order ID</th><th>Date</th><th>Items</th><th>Status</th><th>Total</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${customerOrders.map((order) => `
+                        <tr>
+                            <td>${order.id}</td>
+                            <td>${order.createdAt}</td>
+                            <td>${order.items.map((item) => `${escapeHtml(item.itemName)} (${formatItemQuantity(item)})`).join(', ')}</td>
+                            <td><span class="status-badge ${getStatusBadgeClass(order.status)}">${order.status}</span></td>
+                            <td>₹${order.orderTotal.toFixed(2)}</td>
+                            <td><button class="btn btn-sm btn-info text-white" onclick="openOrderFromCustomer('${order.id}')" title="View Order"><i class="fas fa-eye"></i></button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>`
+      : '<p class="text-muted">No orders yet.</p>';
 
-        orderItems.push({
-            itemName,
-            material,
-            platingTypes,
-            platingPrices,
-            quantity,
-            itemRatePerKg: parseFloat(itemRatePerKg.toFixed(2)),
-            itemTotal: parseFloat(itemCalculatedTotal.toFixed(2)),
+    document.getElementById('customerDetailsContent').innerHTML = `
+        <div class="row">
+            <div class="col-md-6">
+                <p><strong>Name:</strong> ${escapeHtml(customer.name)}</p>
+                <p><strong>Phone:</strong> ${escapeHtml(customer.phone)}</p>
+                <p><strong>Contact Person:</strong> ${escapeHtml(customer.contactPerson || 'N/A')}</p>
+                <p><strong>GSTIN:</strong> ${escapeHtml(customer.gstin || 'N/A')}</p>
+                <p><strong>State:</strong> ${getStateByCode(getCustomerStateCode(customer)) ? getStateByCode(getCustomerStateCode(customer)).name : 'N/A'}</p>
+            </div>
+            <div class="col-md-6">
+                <p><strong>Address:</strong> ${escapeHtml(customer.address || 'N/A')}</p>
+                <p><strong>Notes:</strong> ${escapeHtml(customer.notes || 'N/A')}</p>
+            </div>
+        </div>
+        <div class="row text-center my-3">
+            <div class="col-4">
+                <h6 class="text-muted mb-1">Total Orders</h6>
+                <h4>${customerOrders.length}</h4>
+            </div>
+            <div class="col-4">
+                <h6 class="text-muted mb-1">Lifetime Value</h6>
+                <h4>₹${lifetimeValue.toFixed(2)}</h4>
+            </div>
+            <div class="col-4">
+                <h6 class="text-muted mb-1">Outstanding</h6>
+                <h4>₹${getCustomerLedger(id).outstanding.toFixed(2)}</h4>
+                <button class="btn btn-sm btn-outline-secondary" onclick="viewCustomerLedger('${id}')"><i class="fas fa-book me-1"></i> Ledger</button>
+            </div>
+        </div>
+        <hr>
+        <h6>Order History</h6>
+        ${ordersHtml}
+    `;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerDetailsModal')).show();
+  }
+
+  /**
+   * Closes the customer details modal and opens the details of one of their orders.
+   * @param {string} orderId - The ID of the order to view.
+   */
+  function openOrderFromCustomer(orderId) {
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerDetailsModal')).hide();
+    viewOrderDetails(orderId);
+  }
+
+  // Variable to store the customer being edited
+  let customerToEdit = null;
+
+  /**
+   * Opens the edit modal pre-filled with a customer's profile.
+   * @param {string} id - The ID of the customer to edit.
+   */
+  function editCustomer(id) {
+    customerToEdit = customers.find((c) => c.id === id);
+    if (!customerToEdit) {
+      showLiveAlert('Customer not found for editing.', 'danger');
+      return;
+    }
+
+    document.getElementById('editCustomerName').value = customerToEdit.name;
+    document.getElementById('editCustomerPhone').value = customerToEdit.phone;
+    document.getElementById('editCustomerContact').value = customerToEdit.contactPerson || '';
+    document.getElementById('editCustomerGstin').value = customerToEdit.gstin || '';
+    document.getElementById('editCustomerState').value = customerToEdit.stateCode || '';
+    document.getElementById('editCustomerAddress').value = customerToEdit.address || '';
+    document.getElementById('editCustomerNotes').value = customerToEdit.notes || '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerEditModal')).show();
+  }
+
+  /**
+   * Saves the edited customer profile.
+   * A renamed customer is renamed on all their orders and quotations too, so every view and bill shows the new name.
+   */
+  function updateCustomer() {
+    if (!customerToEdit) {
+      showLiveAlert('No customer selected for update.', 'danger');
+      return;
+    }
+
+    const name = document.getElementById('editCustomerName').value.trim();
+    const phone = document.getElementById('editCustomerPhone').value.trim();
+    if (!name || !phone) {
+      showLiveAlert('Please enter both customer name and phone.', 'danger');
+      return;
+    }
+    const gstin = document.getElementById('editCustomerGstin').value.trim().toUpperCase();
+    if (gstin && !isValidGstin(gstin)) {
+      showLiveAlert('Please enter a valid 15-character GSTIN.', 'danger');
+      return;
+    }
+
+    customerToEdit.name = name;
+    customerToEdit.phone = phone;
+    customerToEdit.contactPerson = document.getElementById('editCustomerContact').value.trim();
+    customerToEdit.gstin = gstin;
+    customerToEdit.stateCode = document.getElementById('editCustomerState').value || (gstin ? gstin.slice(0, 2) : '');
+    customerToEdit.address = document.getElementById('editCustomerAddress').value.trim();
+    customerToEdit.notes = document.getElementById('editCustomerNotes').value.trim();
+
+    // Orders and quotations keep a copy of the customer name, so update it everywhere
+    getCustomerOrders(customerToEdit.id).forEach((order) => {
+      order.customer.name = name;
+    });
+    quotations
+      .filter((quotation) => quotation.customer.id === customerToEdit.id)
+      .forEach((quotation) => {
+        quotation.customer.name = name;
+      });
+
+    saveData('customers', 'orders', 'quotations');
+    renderCustomers();
+    renderOrders();
+    renderQuotations();
+    renderRateCard();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerEditModal')).hide();
+    customerToEdit = null;
+    showLiveAlert('Customer updated successfully!');
+  }
+
+  // Variable to store the customer being deleted
+  let customerToDelete = null;
+
+  /**
+   * Opens the delete confirmation modal for a customer.
+   * Customers with orders can only be deleted after reassigning those orders to another customer.
+   * @param {string} id - The ID of the customer to delete.
+   */
+  function deleteCustomer(id) {
+    customerToDelete = customers.find((c) => c.id === id);
+    if (!customerToDelete) {
+      showLiveAlert('Customer not found.', 'danger');
+      return;
+    }
+
+    const orderCount = getCustomerOrders(id).length;
+    const paymentCount = payments.filter((payment) => payment.customerId === id).length;
+    const quotationCount = quotations.filter((quotation) => quotation.customer.id === id).length;
+    const reassignSection = document.getElementById('reassignSection');
+    const reassignSelect = document.getElementById('reassignCustomer');
+    document.getElementById('deleteCustomerName').textContent = customerToDelete.name;
+
+    // Offer every other customer as a reassignment target
+    while (reassignSelect.options.length > 1) {
+      reassignSelect.remove(1);
+    }
+    customers
+      .filter((customer) => customer.id !== id)
+      .forEach((customer) => reassignSelect.add(new Option(customer.name, customer.id)));
+    reassignSelect.value = '';
+
+    if (orderCount > 0 || paymentCount > 0 || quotationCount > 0) {
+      document.getElementById('deleteCustomerOrderCount').textContent = orderCount;
+      document.getElementById('deleteCustomerOtherCounts').textContent =
+        `, ${paymentCount} payment(s) and ${quotationCount} quotation(s)`;
+      reassignSection.style.display = 'block';
+      document.getElementById('confirmDeleteCustomerBtn').disabled = true;
+    } else {
+      reassignSection.style.display = 'none';
+      document.getElementById('confirmDeleteCustomerBtn').disabled = false;
+    }
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerDeleteModal')).show();
+  }
+
+  /**
+   * Deletes the customer chosen in the delete modal, first reassigning their orders if needed.
+   * Customer-specific rate card prices and item master entries are removed with the customer.
+   */
+  function confirmDeleteCustomer() {
+    if (!customerToDelete) {
+      showLiveAlert('No customer selected for deletion.', 'danger');
+      return;
+    }
+
+    const customerOrders = getCustomerOrders(customerToDelete.id);
+    const customerPayments = payments.filter((payment) => payment.customerId === customerToDelete.id);
+    const customerQuotations = quotations.filter((quotation) => quotation.customer.id === customerToDelete.id);
+    if (customerOrders.length > 0 || customerPayments.length > 0 || customerQuotations.length > 0) {
+      const target = customers.find((c) => c.id === document.getElementById('reassignCustomer').value);
+      if (!target || target.id === customerToDelete.id) {
+        showLiveAlert('Please select a customer to reassign the orders to.', 'danger');
+        return;
+      }
+      customerOrders.forEach((order) => {
+        recordOrderHistory(order, 'edited', [{ field: 'Customer', from: order.customer.name, to: target.name }]);
+        order.customer = { id: target.id, name: target.name };
+      });
+      // Payments and invoices follow the orders so the ledger stays balanced
+      customerPayments.forEach((payment) => {
+        payment.customerId = target.id;
+      });
+      invoices
+        .filter((invoice) => invoice.customerId === customerToDelete.id)
+        .forEach((invoice) => {
+          invoice.customerId = target.id;
+        });
+      challans
+        .filter((challan) => challan.customerId === customerToDelete.id)
+        .forEach((challan) => {
+          challan.customerId = target.id;
         });
-        orderTotal += itemCalculatedTotal;
+      customerQuotations.forEach((quotation) => {
+        quotation.customer = { id: target.id, name: target.name };
+      });
+    }
+
+    const deletedId = customerToDelete.id;
+    customers = customers.filter((customer) => customer.id !== deletedId);
+    const rateCount = rateCard.entries.length;
+    rateCard.entries = rateCard.entries.filter((entry) => entry.customerId !== deletedId);
+    if (rateCard.entries.length !== rateCount) {
+      rateCard.version += 1;
+    }
+    itemMaster = itemMaster.filter((entry) => entry.customerId !== deletedId);
+
+    saveData();
+    renderCustomers();
+    renderOrders();
+    renderRateCard();
+    renderPayments();
+    renderQuotations();
+    renderItemMaster();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerDeleteModal')).hide();
+    customerToDelete = null;
+    const reassigned = [
+      customerOrders.length ? `${customerOrders.length} order(s)` : '',
+      customerPayments.length ? `${customerPayments.length} payment(s)` : '',
+      customerQuotations.length ? `${customerQuotations.length} quotation(s)` : '',
+    ].filter(Boolean);
+    showLiveAlert(
+      reassigned.length > 0 ? `Customer deleted and ${reassigned.join(', ')} reassigned.` : 'Customer deleted successfully!',
+      'danger'
+    );
+  }
+
+  /**
+   * Validates one order item and works out its rate and total.
+   * Shared by the order form and the import wizard so both apply the same checks.
+   * GST is not added here; calculateOrderTotals() works it out on the whole order.
+   * @param {Object} fields - Raw item fields: { itemName, material, platingTypes[], platingPricesInput, quantity, unit, weightKg,
+   *   taxRate, discountInput, processSpec }.
+   * @param {string} customerId - The order's customer, used to match rate card entries.
+   * @param {string} orderDate - The order date (YYYY-MM-DD), used to match rate card entries.
+   * @returns {{item: Object}|{error: string}} The item, or an error message.
+   */
+  function buildOrderItem(fields, customerId, orderDate) {
+    const { id, itemName, material, platingTypes, platingPricesInput, quantity, unit = 'kg', taxRate = settings.defaultTaxRate } = fields;
+    // Items billed by weight weigh what they are billed for
+    const weightKg = unit === 'kg' ? quantity : fields.weightKg;
+
+    if (!itemName || !material || platingTypes.length === 0 || !platingPricesInput || isNaN(quantity) || quantity <= 0) {
+        return { error: 'Please fill in all fields' };
+    }
+    if (!BILLING_UNITS[unit]) {
+        return { error: `Unknown billing unit "${unit}"` };
+    }
+    if (isNaN(weightKg) || weightKg <= 0) {
+        return { error: 'Please enter the weight in kg' };
+    }
+    if (isNaN(taxRate) || taxRate < 0) {
+        return { error: 'Please choose a valid GST rate' };
+    }
+    const processSpec = fields.processSpec || null;
+    if (processSpec && processSpec.thicknessMicrons !== null && (isNaN(processSpec.thicknessMicrons) || processSpec.thicknessMicrons <= 0)) {
+        return { error: 'Coating thickness must be a number of microns' };
+    }
+
+    const platingPrices = platingPricesInput.split(',').map(Number);
+    if (platingPrices.length !== platingTypes.length) {
+        return { error: 'Number of plating prices must match plating types' };
+    }
+    if (platingPrices.some((price) => isNaN(price) || price < 0)) {
+        return { error: 'Plating prices must be numbers' };
+    }
+
+    // Every unit prices the same way: the rate per unit times the quantity in that unit (1 for a lot charge)
+    const itemRate = sumMoney(platingPrices);
+    const amount = multiplyMoney(itemRate, quantity);
+
+    const { adjustment: discount, error: discountError } = parseAdjustment(fields.discountInput);
+    if (discountError) {
+        return { error: `Discount ${discountError}` };
+    }
+    const discountAmount = discount ? getAdjustmentAmount(discount, amount) : 0;
+    if (discountAmount > amount) {
+        return { error: 'Discount is more than the item amount' };
+    }
+
+    // Remember which rate card entries the prices came from (null for manually entered prices).
+    // Rate card prices are per kg, so only items billed by weight can use them.
+    const rates = getRateCardPrices(material, platingTypes, customerId, orderDate);
+    const rateCardEntryIds = platingTypes.map((type, i) =>
+        unit === 'kg' && rates.entries[i] && rates.entries[i].pricePerKg === platingPrices[i] ? rates.entries[i].id : null
+    );
+
+    return {
+      item: {
+        id: id || generateUniqueId('ITEM'), // Kept across edits so challans still match the item
+        itemName,
+        material,
+        platingTypes,
+        platingPrices,
+        unit,
+        quantity,
+        weightKg,
+        itemRate,
+        discount,
+        discountAmount,
+        itemTotal: subtractMoney(amount, discountAmount),
+        taxRate,
+        rateCardEntryIds,
+        processSpec,
+      },
+    };
+  }
+
+  /**
+   * Works out an order's adjustments, taxable value, GST and total from its items, in paise.
+   * Minimum charge top-ups, the order discount and surcharges are added as adjustment lines on the items subtotal
+   * and split over the GST rates in proportion to the amounts they apply to.
+   * GST is rounded per rate or per line as set in settings.taxRounding. With the 'inclusive' basis the amounts
+   * already contain GST, which is backed out; with 'legacy' (orders from before the tax engine) GST is added
+   * to each item total as it always was.
+   * Sets each item's taxableValue, and for legacy orders its itemTotal.
+   * @param {Object[]} items - The order items, each with itemRate, quantity, discountAmount and taxRate.
+   * @param {string} gstApply - 'yes' to charge GST.
+   * @param {string} taxBasis - 'exclusive', 'inclusive' or 'legacy'.
+   * @param {Object} [charges] - { discount, surcharges[], minimumCharges{} } as stored on the order.
+   * @returns {{subtotal: number, adjustments: Object[], taxableValue: number, taxTotal: number, taxBreakup: Object[],
+   *   roundOff: number, orderTotal: number}} The order's calculated fields, in rupees.
+   */
+  function calculateOrderTotals(items, gstApply, taxBasis, charges = {}) {
+    const { discount = null, surcharges = [], minimumCharges = {} } = charges;
+    const taxRateOf = (rate) => (gstApply === 'yes' ? rate : 0);
+    const perLine = taxBasis === 'legacy' || settings.taxRounding === 'line';
+
+    // Every line is { rate, paise } with paise the amount as entered; GST is still to be added or backed out
+    const itemLines = items.map((item) => ({
+      rate: item.taxRate,
+      paise: toPaise(multiplyMoney(item.itemRate, item.quantity)) - toPaise(item.discountAmount),
+    }));
+    const subtotal = itemLines.reduce((sum, line) => sum + line.paise, 0);
+    const paiseByRate = (lines) => {
+      const byRate = new Map();
+      lines.forEach((line) => byRate.set(line.rate, (byRate.get(line.rate) || 0) + line.paise));
+      return byRate;
+    };
+
+    // Splits an adjustment over the GST rates in proportion to the amounts it applies to
+    const adjustments = [];
+    const adjustmentLines = [];
+    const addAdjustment = (label, paise, weights) => {
+      const rates = [...weights.keys()];
+      const parts = allocatePaise(paise, [...weights.values()]);
+      const allocations = rates.map((rate, index) => ({ rate, paise: parts[index] }));
+      adjustmentLines.push(...allocations);
+      adjustments.push({ label, amount: toRupees(paise), allocations });
+    };
+
+    // Plating types charged less than their minimum on this order are topped up to it
+    Object.entries(minimumCharges).forEach(([type, minimum]) => {
+      const weights = new Map();
+      items.forEach((item, index) => {
+        if (!item.platingTypes.includes(type)) {
+          return;
+        }
+        const share = item.itemRate ? item.platingPrices[item.platingTypes.indexOf(type)] / item.itemRate : 0;
+        weights.set(item.taxRate, (weights.get(item.taxRate) || 0) + roundPaise(itemLines[index].paise * share));
+      });
+      const typePaise = [...weights.values()].reduce((sum, paise) => sum + paise, 0);
+      if (weights.size > 0 && typePaise < toPaise(minimum)) {
+        addAdjustment(`Minimum charge top-up: ${type}`, toPaise(minimum) - typePaise, weights);
+      }
+    });
+
+    // The order discount and surcharges apply to the subtotal including any top-ups
+    const chargeWeights = paiseByRate([...itemLines, ...adjustmentLines]);
+    const chargeBase = [...chargeWeights.values()].reduce((sum, paise) => sum + paise, 0);
+    if (discount) {
+      const paise = Math.min(toPaise(getAdjustmentAmount(discount, toRupees(chargeBase))), chargeBase);
+      addAdjustment(formatAdjustmentLabel('Discount', discount), -paise, chargeWeights);
+    }
+    surcharges.forEach((surcharge) => {
+      addAdjustment(formatAdjustmentLabel(surcharge.name, surcharge), toPaise(getAdjustmentAmount(surcharge, toRupees(chargeBase))), chargeWeights);
+    });
+
+    // Taxable value and GST of an amount at a rate; with inclusive rates the GST in it is backed out
+    const taxOf = (paise, rate) => {
+      const taxRate = taxRateOf(rate);
+      const taxable = taxBasis === 'inclusive' ? roundPaise(paise / (1 + taxRate / 100)) : paise;
+      return { taxable, tax: taxBasis === 'inclusive' ? paise - taxable : roundPaise((taxable * taxRate) / 100) };
+    };
+    items.forEach((item, index) => {
+      const { taxable, tax } = taxOf(itemLines[index].paise, item.taxRate);
+      item.taxableValue = toRupees(taxable);
+      if (taxBasis === 'legacy') {
+        item.itemTotal = toRupees(taxable + tax);
+      }
+    });
+    adjustments.forEach((adjustment) => {
+      adjustment.allocations = adjustment.allocations.map(({ rate, paise }) => ({
+        rate,
+        amount: toRupees(paise),
+        taxableValue: toRupees(taxOf(paise, rate).taxable),
+      }));
+    });
+
+    // GST on each rate's total, or added up from its lines
+    const groups = new Map(); // rate -> { taxable, tax } in paise
+    const lines = [...itemLines, ...adjustmentLines];
+    if (perLine) {
+      lines.forEach((line) => {
+        const { taxable, tax } = taxOf(line.paise, line.rate);
+        const group = groups.get(line.rate) || { taxable: 0, tax: 0 };
+        groups.set(line.rate, { taxable: group.taxable + taxable, tax: group.tax + tax });
+      });
+    } else {
+      paiseByRate(lines).forEach((paise, rate) => groups.set(rate, taxOf(paise, rate)));
+    }
+
+    const sortedGroups = [...groups].sort(([a], [b]) => a - b);
+    const taxableValue = sortedGroups.reduce((sum, [, group]) => sum + group.taxable, 0);
+    const taxTotal = sortedGroups.reduce((sum, [, group]) => sum + group.tax, 0);
+    const { total, roundOff } = roundOffPaise(taxableValue + taxTotal);
+    return {
+      subtotal: toRupees(subtotal),
+      adjustments,
+      taxableValue: toRupees(taxableValue),
+      taxTotal: toRupees(taxTotal),
+      taxBreakup: gstApply === 'yes'
+        ? sortedGroups.map(([rate, group]) => ({ rate, taxableValue: toRupees(group.taxable), tax: toRupees(group.tax) }))
+        : [],
+      roundOff: toRupees(roundOff),
+      orderTotal: toRupees(total),
+    };
+  }
+
+  /**
+   * Parses a discount or surcharge typed as a percentage ('10%') or a flat amount ('250').
+   * @param {string} text - The typed value; blank means none.
+   * @returns {{adjustment: Object|null}|{error: string}} { type: 'percent' | 'flat', value }, or an error message.
+   */
+  function parseAdjustment(text) {
+    const value = (text || '').replace(/[₹\s]/g, '');
+    if (!value) {
+      return { adjustment: null };
+    }
+    const match = value.match(/^(\d+(?:\.\d+)?)(%)?$/);
+    if (!match) {
+      return { error: `"${text}" is not a percentage or an amount` };
+    }
+    return { adjustment: { type: match[2] ? 'percent' : 'flat', value: parseFloat(match[1]) } };
+  }
+
+  /**
+   * Works out the amount of a discount or surcharge.
+   * @param {{type: string, value: number}} adjustment - A percentage or flat amount.
+   * @param {number} base - The amount a percentage is taken of, in rupees.
+   * @returns {number} The amount in rupees, rounded to the paisa.
+   */
+  function getAdjustmentAmount(adjustment, base) {
+    return adjustment.type === 'percent' ? percentOfMoney(base, adjustment.value) : adjustment.value;
+  }
+
+  /**
+   * Writes a discount or surcharge back as it is typed, for pre-filling inputs.
+   * @param {Object|null} adjustment - { type, value }.
+   * @returns {string} e.g. '10%' or '250', or '' for none.
+   */
+  function formatAdjustment(adjustment) {
+    if (!adjustment) {
+      return '';
+    }
+    return adjustment.type === 'percent' ? `${adjustment.value}%` : String(adjustment.value);
+  }
+
+  /**
+   * Labels an adjustment line, showing the percentage when there is one.
+   * @param {string} name - e.g. 'Discount' or a surcharge name.
+   * @param {Object} adjustment - { type, value }.
+   * @returns {string} e.g. 'Discount (10%)' or 'Rush'.
+   */
+  function formatAdjustmentLabel(name, adjustment) {
+    return adjustment.type === 'percent' ? `${name} (${adjustment.value}%)` : name;
+  }
+
+  /**
+   * The tax basis new orders are entered with, from the settings.
+   * @returns {string} 'inclusive' or 'exclusive'.
+   */
+  function getDefaultTaxBasis() {
+    return settings.pricesIncludeTax ? 'inclusive' : 'exclusive';
+  }
+
+  /**
+   * Describes a GST rate for selects and documents.
+   * @param {number} rate - The rate in percent; 0 means exempt.
+   * @returns {string} e.g. '18%' or 'Exempt'.
+   */
+  function getTaxRateLabel(rate) {
+    return rate === 0 ? 'Exempt' : `${rate}%`;
+  }
+
+  /**
+   * Shows under the GST select how the item rates of the order being entered are treated.
+   * @param {string} taxBasis - 'exclusive', 'inclusive' or 'legacy'.
+   */
+  function updateTaxBasisNote(taxBasis) {
+    const notes = {
+      exclusive: 'Item rates exclude GST; GST is added on the taxable total.',
+      inclusive: 'Item rates include GST; the taxable value is worked back from them.',
+      legacy: 'Older order: GST is added to each item total, as when it was created.',
+    };
+    document.getElementById('taxBasisNote').textContent = notes[taxBasis];
+  }
+
+  /**
+   * Reads and validates the item rows of the order form, or of another form built from the same item rows.
+   * Shows an alert for the first invalid item.
+   * @param {string} customerId - The selected customer, used to match rate card entries.
+   * @param {string} orderDate - The order date (YYYY-MM-DD), used to match rate card entries.
+   * @param {HTMLElement} [container] - The element holding the item rows. Defaults to the order form's.
+   * @returns {Object[]|null} The parsed items, or null on error.
+   */
+  function collectOrderItems(customerId, orderDate, container = document.getElementById('itemRowsContainer')) {
+    // Get all item rows
+    const itemRows = container.querySelectorAll('.item-row');
+    if (itemRows.length === 0) {
+        showLiveAlert('Please add at least one item.', 'danger');
+        return null;
+    }
+
+    const orderItems = [];
+    let hasError = false;
+
+    itemRows.forEach((row, index) => {
+        if (hasError) {
+            return; // Only report the first invalid item
+        }
+        const result = buildOrderItem(
+          {
+            id: row.dataset.itemId,
+            itemName: row.querySelector('.item-name-input').value.trim(),
+            material: row.querySelector('.item-material-select').value,
+            platingTypes: $(row).find('.item-plating-type-select').val() || [], // Use jQuery for Select2
+            platingPricesInput: row.querySelector('.item-plating-prices-input').value.trim(),
+            unit: row.querySelector('.item-unit-select').value,
+            quantity: parseFloat(row.querySelector('.item-quantity-input').value),
+            weightKg: parseFloat(row.querySelector('.item-weight-input').value),
+            taxRate: parseFloat(row.querySelector('.item-tax-select').value),
+            discountInput: row.querySelector('.item-discount-input').value,
+            processSpec: readProcessSpec(row),
+          },
+          customerId,
+          orderDate
+        );
+        if (result.error) {
+            showLiveAlert(`${result.error} for Item ${index + 1}.`, 'danger');
+            hasError = true;
+            return;
+        }
+        orderItems.push(result.item);
     });
 
     if (hasError) {
-        return; // Stop if any item has validation errors
+        return null; // Stop if any item has validation errors
+    }
+    return orderItems;
+  }
+
+  /**
+   * Reads and validates the order discount and surcharges from the order form.
+   * Shows an alert for the first invalid entry.
+   * @returns {{discount: Object|null, surcharges: Object[]}|null} The charges, or null on error.
+   */
+  function collectOrderCharges() {
+    const { adjustment: discount, error } = parseAdjustment(document.getElementById('orderDiscount').value);
+    if (error) {
+      showLiveAlert(`Order discount ${error}.`, 'danger');
+      return null;
+    }
+
+    const surcharges = [];
+    const rows = document.querySelectorAll('#surchargeRows .surcharge-row');
+    for (const row of rows) {
+      const name = row.querySelector('.surcharge-name-input').value.trim();
+      const valueText = row.querySelector('.surcharge-value-input').value;
+      if (!name && !valueText.trim()) {
+        continue; // Blank rows are ignored
+      }
+      const result = parseAdjustment(valueText);
+      if (!name || result.error || !result.adjustment) {
+        showLiveAlert(`Please enter a name and a percentage or amount for each surcharge${result.error ? ` (${result.error})` : ''}.`, 'danger');
+        return null;
+      }
+      surcharges.push({ name, ...result.adjustment });
+    }
+    return { discount, surcharges };
+  }
+
+  /**
+   * Adds a surcharge row to the order form.
+   * @param {Object} [surcharge] - Optional { name, type, value } to pre-fill the row.
+   */
+  function addSurchargeRow(surcharge = null) {
+    const row = document.createElement('div');
+    row.classList.add('surcharge-row', 'input-group', 'input-group-sm', 'mb-2');
+    row.innerHTML = `
+        <input type="text" class="form-control surcharge-name-input" placeholder="Name, e.g. Rush" list="surchargeNames"
+          value="${surcharge ? escapeHtml(surcharge.name) : ''}">
+        <input type="text" class="form-control surcharge-value-input" placeholder="e.g., 10% or 250" value="${formatAdjustment(surcharge)}">
+        <button type="button" class="btn btn-outline-danger" title="Remove surcharge"><i class="fas fa-times"></i></button>
+    `;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('surchargeRows').appendChild(row);
+  }
+
+  /**
+   * Fills the order discount and surcharge inputs of the order form.
+   * @param {Object|null} discount - The order discount.
+   * @param {Object[]} surcharges - The order surcharges.
+   */
+  function setOrderChargeInputs(discount, surcharges) {
+    document.getElementById('orderDiscount').value = formatAdjustment(discount);
+    document.getElementById('surchargeRows').innerHTML = '';
+    surcharges.forEach((surcharge) => addSurchargeRow(surcharge));
+  }
+
+  /**
+   * Adds a new order to the system.
+   * Validates input, calculates total based on plating prices, and updates UI.
+   */
+  function addOrder() {
+    const customerId = document.getElementById('customerSelect').value;
+    const status = document.getElementById('status').value;
+    const gstApply = document.getElementById('gstApply').value;
+    const orderDate = document.getElementById('orderDate').value;
+
+    const items = collectOrderItems(customerId, orderDate);
+    if (!items) {
+        return;
+    }
+    const charges = collectOrderCharges();
+    if (!charges) {
+        return;
     }
 
     // Validate main order fields
@@ -206,24 +1920,54 @@ function showLiveAlert(message, type = 'success') {
       showLiveAlert('Selected customer not found.', 'danger');
       return;
     }
+    if (status === 'Delivered') {
+      showLiveAlert('A new order has nothing delivered yet. It becomes Delivered when its last delivery challan is issued.', 'danger');
+      return;
+    }
+    if (needsInspection({ status: '' }, status)) {
+      showLiveAlert(`An order needs a QC inspection before it can be ${status.toLowerCase()}. Create it as In Progress and inspect it.`, 'danger');
+      return;
+    }
 
     // Create new order object
+    const taxBasis = getDefaultTaxBasis();
+    const orderCharges = { ...charges, minimumCharges: { ...settings.minimumCharges } };
     const newOrder = {
-      id: 'ORD-' + String(orders.length + 1).padStart(4, '0'), // Simple incremental ID
+      id: generateOrderId(orderDate),
       customer: { id: customer.id, name: customer.name },
       status,
       gstApply,
+      taxBasis,
       createdAt: orderDate,
-      items: orderItems,
-      orderTotal: parseFloat(orderTotal.toFixed(2)),
+      items,
+      ...orderCharges,
+      ...calculateOrderTotals(items, gstApply, taxBasis, orderCharges),
+      rateCardVersion: rateCard.version, // Rate card the prices were taken from
+      history: [],
     };
+    recordOrderHistory(newOrder, 'created', [
+      { field: 'Status', from: '', to: newOrder.status },
+      { field: 'Total', from: '', to: newOrder.orderTotal },
+    ]);
 
     orders.push(newOrder); // Add new order to array
-    saveData(); // Persist to localStorage
+    recordItemMasterUse(newOrder);
+    updateOrderConsumption(newOrder, '');
+    saveData('orders', 'counters', 'itemMaster', 'stockMovements'); // Persist to storage
     renderOrders(); // Update order table
     updateSummaryCards(); // Update dashboard summary
+    renderItemMaster();
     clearOrderForm(); // Clear form fields
-    showLiveAlert('Order added successfully!');
+    // Offer to save items not in the item master, so they can be picked next time
+    const newItemCount = getNewMasterItems(newOrder).length;
+    if (newItemCount > 0) {
+      showLiveAlert(`Order added successfully! ${newItemCount} item(s) are not in the item master yet.`, 'success', {
+        label: 'Save Items',
+        handler: () => openSaveToItemMaster(newOrder.id),
+      });
+    } else {
+      showLiveAlert('Order added successfully!');
+    }
     highlightOrder(newOrder.id); // Highlight the newly added order
   }
 
@@ -234,7 +1978,9 @@ function showLiveAlert(message, type = 'success') {
     $('#customerSelect').val('').trigger('change'); // Clear Select2
     document.getElementById('status').value = 'Pending';
     document.getElementById('gstApply').value = 'yes';
+    updateTaxBasisNote(getDefaultTaxBasis());
     document.getElementById('orderDate').value = new Date().toISOString().split('T')[0]; // Reset date to today
+    setOrderChargeInputs(null, []);
 
     const itemRowsContainer = document.getElementById('itemRowsContainer');
     itemRowsContainer.innerHTML = ''; // Clear all existing item rows
@@ -242,13 +1988,21 @@ function showLiveAlert(message, type = 'success') {
   }
 
   /**
-   * Adds an empty item row to the order form.
+   * Adds an empty item row to the order form, or to another form built from the same item rows.
+   * The container's data-customer-input and data-date-input name the inputs used to look up rate card prices.
    * @param {Object} [itemData] - Optional data to pre-fill the item row.
+   * @param {HTMLElement} [itemRowsContainer] - The element to add the row to. Defaults to the order form's.
    */
-  function addEmptyItemRow(itemData = {}) {
-    const itemRowsContainer = document.getElementById('itemRowsContainer');
+  function addEmptyItemRow(itemData = {}, itemRowsContainer = document.getElementById('itemRowsContainer')) {
     const newItemRow = document.createElement('div');
     newItemRow.classList.add('item-row', 'row', 'g-3', 'mb-4'); // Added mb-4 for spacing between item rows
+    if (itemData.id) {
+      newItemRow.dataset.itemId = itemData.id; // Editing keeps the item's ID
+    }
+    // An edited item keeps its GST rate even if that rate has since been removed from the settings
+    const taxRate = itemData.taxRate ?? settings.defaultTaxRate;
+    const taxRates = settings.taxRates.includes(taxRate) ? settings.taxRates : [...settings.taxRates, taxRate];
+    const spec = itemData.processSpec || null;
     newItemRow.innerHTML = `
         <div class="col-12">
             <h6 class="mb-3">Item Details</h6>
@@ -256,7 +2010,7 @@ function showLiveAlert(message, type = 'success') {
         <div class="col-md-6">
             <label for="itemName" class="form-label">Item Name</label>
             <div class="item-autocomplete">
-                <input type="text" class="form-control item-name-input" placeholder="Item name" autocomplete="off" value="${itemData.itemName || ''}">
+                <input type="text" class="form-control item-name-input" placeholder="Item name" autocomplete="off" value="${escapeHtml(itemData.itemName || '')}">
                 <div class="item-suggestions"></div>
             </div>
         </div>
@@ -264,38 +2018,90 @@ function showLiveAlert(message, type = 'success') {
             <label for="material" class="form-label">Material</label>
             <select class="form-select item-material-select">
                 <option value="">Select Material</option>
-                <option value="Brass" ${itemData.material === 'Brass' ? 'selected' : ''}>Brass</option>
-                <option value="Steel" ${itemData.material === 'Steel' ? 'selected' : ''}>Steel</option>
-                <option value="Copper" ${itemData.material === 'Copper' ? 'selected' : ''}>Copper</option>
-                <option value="Aluminum" ${itemData.material === 'Aluminum' ? 'selected' : ''}>Aluminum</option>
+                ${MATERIALS.map((material) => `<option value="${material}" ${itemData.material === material ? 'selected' : ''}>${material}</option>`).join('')}
             </select>
         </div>
         <div class="col-md-6">
             <label for="platingType" class="form-label">Plating Type(s)</label>
             <select class="form-select item-plating-type-select" multiple>
-                <option value="Chrome">Chrome</option>
-                <option value="Zinc">Zinc</option>
-                <option value="Nickel">Nickel</option>
-                <option value="Gold">Gold</option>
-                <option value="Silver">Silver</option>
+                ${PLATING_TYPES.map((type) => `<option value="${type}">${type}</option>`).join('')}
             </select>
         </div>
-        <div class="col-md-6">
-            <label for="quantity" class="form-label">Quantity (kg)</label>
+        <div class="col-md-2">
+            <label class="form-label">Billing Unit</label>
+            <select class="form-select item-unit-select">
+                ${Object.entries(BILLING_UNITS).map(([key, unit]) => `<option value="${key}" ${(itemData.unit || 'kg') === key ? 'selected' : ''}>${unit.name}</option>`).join('')}
+            </select>
+        </div>
+        <div class="col-md-2">
+            <label class="form-label item-quantity-label">Quantity (kg)</label>
             <input type="number" class="form-control item-quantity-input" placeholder="Qty" step="0.01" value="${itemData.quantity || ''}">
         </div>
-        <div class="col-md-10">
-            <label for="platingPrices" class="form-label">Prices (comma-separated)</label>
+        <div class="col-md-2 item-weight-col">
+            <label class="form-label">Weight (kg)</label>
+            <input type="number" class="form-control item-weight-input" placeholder="For production" step="0.01" value="${itemData.unit && itemData.unit !== 'kg' ? itemData.weightKg : ''}">
+        </div>
+        <div class="col-md-6">
+            <label for="platingPrices" class="form-label item-prices-label">Prices per kg (comma-separated)</label>
             <input type="text" class="form-control item-plating-prices-input" placeholder="e.g., 100,150" value="${itemData.platingPrices ? itemData.platingPrices.join(',') : ''}">
             <small class="form-text text-muted">Separate prices with commas, matching plating types.</small>
+            <small class="form-text text-warning d-block item-rate-hint"></small>
+        </div>
+        <div class="col-md-2">
+            <label class="form-label">Discount</label>
+            <input type="text" class="form-control item-discount-input" placeholder="10% or 50" value="${formatAdjustment(itemData.discount)}">
+        </div>
+        <div class="col-md-2">
+            <label class="form-label">GST Rate</label>
+            <select class="form-select item-tax-select">
+                ${taxRates.map((rate) => `<option value="${rate}" ${rate === taxRate ? 'selected' : ''}>${getTaxRateLabel(rate)}</option>`).join('')}
+            </select>
         </div>
         <div class="col-md-2 text-end d-flex align-items-end justify-content-end">
             <button type="button" class="btn btn-danger remove-item-btn w-100">
                 <i class="fas fa-trash-alt me-1"></i> Remove
             </button>
         </div>
+        <div class="col-12">
+            <button type="button" class="btn btn-link btn-sm p-0 item-spec-toggle">
+                <i class="fas fa-sliders-h me-1"></i> Process Specification (optional)
+            </button>
+        </div>
+        <div class="col-12 item-spec-fields ${spec ? '' : 'd-none'}">
+            <div class="row g-2">
+                <div class="col-md-2">
+                    <label class="form-label">Thickness (µm)</label>
+                    <input type="number" class="form-control item-thickness-input" min="0" step="0.1" value="${spec && spec.thicknessMicrons !== null ? spec.thicknessMicrons : ''}">
+                </div>
+                <div class="col-md-2">
+                    <label class="form-label">Finish</label>
+                    <select class="form-select item-finish-select">
+                        <option value="">-</option>
+                        ${PROCESS_FINISHES.map((finish) => `<option value="${finish}" ${spec && spec.finish === finish ? 'selected' : ''}>${finish}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="col-md-2">
+                    <label class="form-label">Passivation</label>
+                    <select class="form-select item-passivation-select">
+                        <option value="">-</option>
+                        ${PASSIVATION_COLOURS.map((colour) => `<option value="${colour}" ${spec && spec.passivation === colour ? 'selected' : ''}>${colour}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="col-md-2">
+                    <label class="form-label">Bath / Tank</label>
+                    <input type="text" class="form-control item-tank-input" placeholder="e.g., Ni-2" value="${spec ? escapeHtml(spec.tank) : ''}">
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label">Salt Spray Result</label>
+                    <input type="text" class="form-control item-salt-spray-input" placeholder="e.g., 96 h, no white rust" value="${spec ? escapeHtml(spec.saltSprayResult) : ''}">
+                </div>
+            </div>
+        </div>
     `;
     itemRowsContainer.appendChild(newItemRow);
+    newItemRow.querySelector('.item-spec-toggle').addEventListener('click', () => {
+        newItemRow.querySelector('.item-spec-fields').classList.toggle('d-none');
+    });
 
     // Initialize Select2 for the new plating type select
     $(newItemRow).find('.item-plating-type-select').select2({ placeholder: 'Select Plating Type(s)' });
@@ -303,33 +2109,46 @@ function showLiveAlert(message, type = 'success') {
         $(newItemRow).find('.item-plating-type-select').val(itemData.platingTypes).trigger('change');
     }
 
+    updateItemUnitFields(newItemRow);
+    newItemRow.querySelector('.item-unit-select').addEventListener('change', () => {
+        updateItemUnitFields(newItemRow);
+        applyRateCardToRow(newItemRow);
+    });
+
+    // Fill prices from the rate card when material or plating types change.
+    // Attached after pre-filling so an edited order keeps its original prices.
+    newItemRow.querySelector('.item-material-select').addEventListener('change', () => applyRateCardToRow(newItemRow));
+    $(newItemRow).find('.item-plating-type-select').on('change', () => applyRateCardToRow(newItemRow));
+    newItemRow.querySelector('.item-plating-prices-input').addEventListener('input', () => {
+        delete newItemRow.dataset.rateFilled; // Manually entered prices are no longer refreshed
+    });
+
     // Attach event listener for remove button
     newItemRow.querySelector('.remove-item-btn').addEventListener('click', function() {
         newItemRow.remove();
         // If all item rows are removed, add an empty one back
         if (itemRowsContainer.children.length === 0) {
-            addEmptyItemRow();
+            addEmptyItemRow({}, itemRowsContainer);
         }
     });
 
-    // Attach autocomplete listener for the new item name input
+    // Item names are looked up in the item master, ranked for the customer selected in the row's form
     const itemNameInput = newItemRow.querySelector('.item-name-input');
     const itemSuggestionsDiv = newItemRow.querySelector('.item-suggestions');
     itemNameInput.addEventListener('input', function() {
-        const input = this.value.toLowerCase();
         itemSuggestionsDiv.innerHTML = '';
-        if (input.length === 0) {
-            itemSuggestionsDiv.style.display = 'none';
-            return;
-        }
-        const filteredSuggestions = itemNames.filter((item) => item.toLowerCase().includes(input));
-        if (filteredSuggestions.length > 0) {
-            filteredSuggestions.forEach((item) => {
+        const customerId = document.getElementById(itemRowsContainer.dataset.customerInput).value;
+        const suggestions = searchItemMaster(this.value, customerId);
+        if (suggestions.length > 0) {
+            suggestions.forEach((entry) => {
                 const div = document.createElement('div');
                 div.classList.add('item-suggestion');
-                div.textContent = item;
+                div.innerHTML = `
+                    <div>${escapeHtml(getItemMasterName(entry))}</div>
+                    <small class="text-muted">${entry.material}, ${entry.platingTypes.join('/')}${entry.platingPrices.length ? ` at ₹${entry.platingPrices.join(', ')}/${getUnitLabel(entry.unit)}` : ''}${entry.customerId ? '' : ' (all customers)'}</small>
+                `;
                 div.onclick = () => {
-                    itemNameInput.value = item;
+                    applyItemMasterToRow(newItemRow, entry);
                     itemSuggestionsDiv.style.display = 'none';
                 };
                 itemSuggestionsDiv.appendChild(div);
@@ -340,6 +2159,12 @@ function showLiveAlert(message, type = 'success') {
         }
     });
 
+    // A weight taken from the item master follows the quantity; typing a weight stops that
+    newItemRow.querySelector('.item-quantity-input').addEventListener('input', () => updateItemWeight(newItemRow));
+    newItemRow.querySelector('.item-weight-input').addEventListener('input', () => {
+        delete newItemRow.dataset.weightPerUnit;
+    });
+
     // Hide suggestions when clicking outside
     document.addEventListener('click', function(e) {
         if (!itemSuggestionsDiv.contains(e.target) && e.target !== itemNameInput) {
@@ -349,58 +2174,912 @@ function showLiveAlert(message, type = 'success') {
   }
 
   /**
-   * Renders the orders table based on current filters, sorting, and pagination.
+   * Finds the rate card entry that applies to a material and plating type on a given date.
+   * A customer-specific entry wins over the default rate; among equals the latest effective date wins.
+   * @param {string} material - The item material.
+   * @param {string} platingType - The plating type.
+   * @param {string} [customerId] - The customer, to look for an override.
+   * @param {string} [date] - The date (YYYY-MM-DD) the rate should be effective on. Defaults to today.
+   * @returns {Object|null} The matching rate card entry, or null if none applies.
    */
-  function renderOrders() {
-    const tableBody = document.getElementById('ordersTableBody');
-    tableBody.innerHTML = ''; // Clear existing rows
-    
-        let filteredAndSortedOrders = [...orders]; // Create a mutable copy
-        
-        // Apply search filter
-        const searchTerm = document
-        .getElementById('orderSearch')
-        .value.toLowerCase()
-        .trim();
-        if (searchTerm) {
-            filteredAndSortedOrders = filteredAndSortedOrders.filter(
-        (order) =>
-            order.id.toLowerCase().includes(searchTerm) ||
-          order.customer.name.toLowerCase().includes(searchTerm) ||
-          order.status.toLowerCase().includes(searchTerm) ||
-          order.items.some(item =>
-            item.itemName.toLowerCase().includes(searchTerm) ||
-            item.material.toLowerCase().includes(searchTerm) ||
-            item.platingTypes.some(type => type.toLowerCase().includes(searchTerm))
-        )
+  function findRateCardEntry(material, platingType, customerId, date) {
+    const onDate = date || new Date().toISOString().split('T')[0];
+    const candidates = rateCard.entries.filter(
+      (entry) =>
+        entry.material === material &&
+        entry.platingType === platingType &&
+        entry.effectiveFrom <= onDate &&
+        (entry.customerId === null || entry.customerId === customerId)
     );
-}
+    candidates.sort((a, b) => {
+      if (!!a.customerId !== !!b.customerId) {
+        return a.customerId ? -1 : 1; // Customer overrides first
+      }
+      return b.effectiveFrom.localeCompare(a.effectiveFrom); // Latest effective date first
+    });
+    return candidates[0] || null;
+  }
 
+  /**
+   * Looks up rate card prices for each plating type of an item.
+   * @param {string} material - The item material.
+   * @param {string[]} platingTypes - The selected plating types, in form order.
+   * @param {string} [customerId] - The customer, to look for overrides.
+   * @param {string} [date] - The order date (YYYY-MM-DD).
+   * @returns {{entries: (Object|null)[], missing: string[]}} Entries aligned with platingTypes and the types without a rate.
+   */
+  function getRateCardPrices(material, platingTypes, customerId, date) {
+    const entries = platingTypes.map((type) => findRateCardEntry(material, type, customerId, date));
+    const missing = platingTypes.filter((type, i) => !entries[i]);
+    return { entries, missing };
+  }
 
-    // Apply status filter
-    const statusFilter = document.getElementById('statusFilter').value;
-    if (statusFilter) {
-      filteredAndSortedOrders = filteredAndSortedOrders.filter(
-        (order) => order.status === statusFilter
-      );
+  /**
+   * Fills the prices input of an item row from the rate card.
+   * Prices are only filled when every selected plating type has a rate; otherwise a hint is shown.
+   * @param {HTMLElement} row - The item row element.
+   */
+  function applyRateCardToRow(row) {
+    const material = row.querySelector('.item-material-select').value;
+    const platingTypes = $(row).find('.item-plating-type-select').val() || [];
+    const unit = row.querySelector('.item-unit-select').value;
+    const hint = row.querySelector('.item-rate-hint');
+    hint.textContent = '';
+    if (!material || platingTypes.length === 0) {
+      return;
     }
-
-    // Apply customer filter
-    const customerFilter = document.getElementById('customerFilter').value;
-    if (customerFilter) {
-      filteredAndSortedOrders = filteredAndSortedOrders.filter(
-        (order) => order.customer.id === customerFilter
+    if (unit !== 'kg') {
+      // Rate card prices are per kg and do not apply to other units
+      if (row.dataset.rateFilled === 'true') {
+        row.querySelector('.item-plating-prices-input').value = '';
+        delete row.dataset.rateFilled;
+      }
+      hint.textContent = `Rate card prices are per kg. Enter prices per ${getUnitLabel(unit)} manually.`;
+      return;
+    }
+
+    // The customer and date come from the form the row belongs to
+    const container = row.parentElement;
+    const customerId = document.getElementById(container.dataset.customerInput).value;
+    const orderDate = document.getElementById(container.dataset.dateInput).value;
+    const { entries, missing } = getRateCardPrices(material, platingTypes, customerId, orderDate);
+    if (missing.length > 0) {
+      hint.textContent = `No rate card price for ${missing.join(', ')} on ${material}. Enter prices manually.`;
+      return;
+    }
+    row.querySelector('.item-plating-prices-input').value = entries.map((entry) => entry.pricePerKg).join(',');
+    row.dataset.rateFilled = 'true';
+  }
+
+  /**
+   * Updates an item row's labels for its billing unit, and shows the weight field when it is not billed by weight.
+   * @param {HTMLElement} row - The item row element.
+   */
+  function updateItemUnitFields(row) {
+    const unit = row.querySelector('.item-unit-select').value;
+    const label = getUnitLabel(unit);
+    const quantityInput = row.querySelector('.item-quantity-input');
+    row.querySelector('.item-quantity-label').textContent = unit === 'lot' ? 'Lots' : `Quantity (${label})`;
+    row.querySelector('.item-prices-label').textContent = `Prices per ${label} (comma-separated)`;
+    row.querySelector('.item-weight-col').classList.toggle('d-none', unit === 'kg');
+    quantityInput.step = unit === 'pc' || unit === 'lot' ? '1' : '0.01';
+    if (unit === 'lot' && !quantityInput.value) {
+      quantityInput.value = '1';
+    }
+  }
+
+  /**
+   * Re-applies rate card prices to item rows that were filled from the rate card.
+   * Called when the customer or order date changes, since either can select a different rate.
+   * @param {HTMLElement} [container] - The element holding the item rows. Defaults to the order form's.
+   */
+  function refreshRateCardPrices(container = document.getElementById('itemRowsContainer')) {
+    container.querySelectorAll('.item-row').forEach((row) => {
+      if (row.dataset.rateFilled === 'true') {
+        applyRateCardToRow(row);
+      }
+    });
+  }
+
+  /**
+   * Adds a rate card entry from the rate card form.
+   * An entry for the same material, plating type, customer and effective date is replaced.
+   */
+  function addRateCardEntry() {
+    const material = document.getElementById('rateCardMaterial').value;
+    const platingType = document.getElementById('rateCardPlatingType').value;
+    const pricePerKg = parseFloat(document.getElementById('rateCardPrice').value);
+    const customerId = document.getElementById('rateCardCustomer').value || null;
+    const effectiveFrom = document.getElementById('rateCardEffectiveFrom').value;
+
+    if (!material || !platingType || isNaN(pricePerKg) || pricePerKg < 0 || !effectiveFrom) {
+      showLiveAlert('Please enter material, plating type, price and effective date.', 'danger');
+      return;
+    }
+
+    const existing = rateCard.entries.find(
+      (entry) =>
+        entry.material === material &&
+        entry.platingType === platingType &&
+        entry.customerId === customerId &&
+        entry.effectiveFrom === effectiveFrom
+    );
+    if (existing) {
+      existing.pricePerKg = pricePerKg;
+    } else {
+      rateCard.entries.push({
+        id: generateUniqueId('RATE'),
+        material,
+        platingType,
+        pricePerKg,
+        customerId,
+        effectiveFrom,
+        createdAt: new Date().toISOString(),
+      });
+    }
+    rateCard.version += 1;
+    saveData('rateCard');
+    renderRateCard();
+    document.getElementById('rateCardPrice').value = '';
+    showLiveAlert(existing ? 'Rate updated successfully!' : 'Rate added successfully!');
+  }
+
+  /**
+   * Deletes a rate card entry after user confirmation.
+   * Orders already priced from it keep their stored prices.
+   * @param {string} id - The ID of the rate card entry.
+   */
+  function deleteRateCardEntry(id) {
+    if (confirm('Are you sure you want to delete this rate?')) {
+      rateCard.entries = rateCard.entries.filter((entry) => entry.id !== id);
+      rateCard.version += 1;
+      saveData('rateCard');
+      renderRateCard();
+      showLiveAlert('Rate deleted successfully!', 'danger');
+    }
+  }
+
+  /**
+   * Renders the current default rate matrix and the list of all rate card entries.
+   */
+  function renderRateCard() {
+    // Matrix of today's default rates: materials down, plating types across
+    const matrix = document.getElementById('rateCardMatrix');
+    matrix.innerHTML = `
+        <thead class="table-dark">
+            <tr><th>Material</th>${PLATING_TYPES.map((type) => `<th>${type}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${MATERIALS.map((material) => `
+                <tr>
+                    <td>${material}</td>
+                    ${PLATING_TYPES.map((type) => {
+                      const entry = findRateCardEntry(material, type, null);
+                      return `<td>${entry ? '₹' + entry.pricePerKg.toFixed(2) : '<span class="text-muted">-</span>'}</td>`;
+                    }).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+
+    const tableBody = document.getElementById('rateCardTableBody');
+    const sortedEntries = [...rateCard.entries].sort(
+      (a, b) =>
+        a.material.localeCompare(b.material) ||
+        a.platingType.localeCompare(b.platingType) ||
+        b.effectiveFrom.localeCompare(a.effectiveFrom)
+    );
+    tableBody.innerHTML = sortedEntries.length
+      ? sortedEntries.map((entry) => {
+          const customer = entry.customerId ? customers.find((c) => c.id === entry.customerId) : null;
+          return `
+            <tr>
+                <td>${entry.material}</td>
+                <td>${entry.platingType}</td>
+                <td>₹${entry.pricePerKg.toFixed(2)}</td>
+                <td>${entry.customerId ? (customer ? customer.name : 'Unknown customer') : '<span class="text-muted">All customers</span>'}</td>
+                <td>${entry.effectiveFrom}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-danger" onclick="deleteRateCardEntry('${entry.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>
+          `;
+        }).join('')
+      : '<tr><td colspan="6" class="text-center text-muted">No rates added yet.</td></tr>';
+    document.getElementById('rateCardVersion').textContent = `Version ${rateCard.version}`;
+  }
+
+  let itemMasterToEdit = null;
+  let itemsToSave = null; // { orderId, orderDate, customerId, items[] } offered in the save items modal
+
+  /**
+   * Returns the item name an item master entry fills into order rows: the part number and description.
+   * @param {Object} entry - The item master entry.
+   * @returns {string} e.g. 'HB-102 - Door hinge bracket', or just the description without a part number.
+   */
+  function getItemMasterName(entry) {
+    return entry.partNumber ? `${entry.partNumber} - ${entry.description}` : entry.description;
+  }
+
+  /**
+   * Searches the item master for the item name autocomplete.
+   * Only global items and the customer's own items match; the customer's items rank first, then matches at the
+   * start of the part number or description, then the most used.
+   * @param {string} query - The text typed in the item name.
+   * @param {string} [customerId] - The selected customer.
+   * @param {number} [limit] - The most entries to return.
+   * @returns {Object[]} The matching entries, best first.
+   */
+  function searchItemMaster(query, customerId, limit = 10) {
+    const text = query.trim().toLowerCase();
+    if (!text) {
+      return [];
+    }
+    return itemMaster
+      .filter((entry) => entry.customerId === null || entry.customerId === customerId)
+      .map((entry) => {
+        const fields = [entry.partNumber, entry.description].map((value) => value.toLowerCase());
+        const prefix = fields.some((value) => value.startsWith(text));
+        const matches = prefix || getItemMasterName(entry).toLowerCase().includes(text);
+        return { entry, matches, rank: [entry.customerId === null ? 1 : 0, prefix ? 0 : 1, -entry.useCount] };
+      })
+      .filter((result) => result.matches)
+      .sort((a, b) =>
+        a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2] ||
+        getItemMasterName(a.entry).localeCompare(getItemMasterName(b.entry))
+      )
+      .slice(0, limit)
+      .map((result) => result.entry);
+  }
+
+  /**
+   * Finds the item master entry an order item was taken from, by its name and material.
+   * The customer's own entry wins over a global one.
+   * @param {Object} item - The order item.
+   * @param {string} customerId - The order's customer.
+   * @returns {Object|null} The entry, or null if the item is not in the item master.
+   */
+  function findItemMasterEntry(item, customerId) {
+    const matches = itemMaster.filter(
+      (entry) =>
+        (entry.customerId === null || entry.customerId === customerId) &&
+        entry.material === item.material &&
+        getItemMasterName(entry) === item.itemName
+    );
+    return matches.find((entry) => entry.customerId === customerId) || matches[0] || null;
+  }
+
+  /**
+   * Fills an item row from an item master entry.
+   * The entry's rates replace rate card prices; without rates the rate card fills them as usual.
+   * @param {HTMLElement} row - The item row element.
+   * @param {Object} entry - The item master entry.
+   */
+  function applyItemMasterToRow(row, entry) {
+    row.querySelector('.item-name-input').value = getItemMasterName(entry);
+    row.querySelector('.item-material-select').value = entry.material;
+    row.querySelector('.item-unit-select').value = entry.unit;
+    updateItemUnitFields(row);
+    $(row).find('.item-plating-type-select').val(entry.platingTypes).trigger('change'); // Applies the rate card
+    if (entry.platingPrices.length > 0) {
+      row.querySelector('.item-plating-prices-input').value = entry.platingPrices.join(',');
+      row.querySelector('.item-rate-hint').textContent = '';
+      delete row.dataset.rateFilled;
+    }
+    // The weight follows the quantity until it is entered by hand
+    delete row.dataset.weightPerUnit;
+    if (entry.unit !== 'kg' && entry.weightPerUnitKg) {
+      row.dataset.weightPerUnit = entry.weightPerUnitKg;
+      updateItemWeight(row);
+    }
+  }
+
+  /**
+   * Works out the weight of an item row from its quantity and the typical weight per unit of its item master entry.
+   * @param {HTMLElement} row - The item row element.
+   */
+  function updateItemWeight(row) {
+    const quantity = parseFloat(row.querySelector('.item-quantity-input').value);
+    if (row.dataset.weightPerUnit && quantity > 0) {
+      row.querySelector('.item-weight-input').value = parseFloat((quantity * Number(row.dataset.weightPerUnit)).toFixed(3));
+    }
+  }
+
+  /**
+   * Counts an order's use of the item master entries its items were taken from, which ranks them higher.
+   * Called for created, converted and imported orders, and for items added or renamed when an order is edited.
+   * @param {Object} order - The order.
+   * @param {Object[]} [items] - The items to count; defaults to all of the order's items.
+   */
+  function recordItemMasterUse(order, items = order.items) {
+    items.forEach((item) => {
+      const entry = findItemMasterEntry(item, order.customer.id);
+      if (entry) {
+        entry.useCount += 1;
+        entry.lastUsedAt = order.createdAt;
+      }
+    });
+  }
+
+  /**
+   * Clears the item master form back to a new entry.
+   */
+  function clearItemMasterForm() {
+    document.getElementById('itemMasterPartNumber').value = '';
+    document.getElementById('itemMasterDescription').value = '';
+    $('#itemMasterCustomer').val('').trigger('change');
+    document.getElementById('itemMasterMaterial').value = '';
+    $('#itemMasterPlatingTypes').val([]).trigger('change');
+    document.getElementById('itemMasterUnit').value = 'kg';
+    document.getElementById('itemMasterPrices').value = '';
+    document.getElementById('itemMasterWeight').value = '';
+    itemMasterToEdit = null;
+    document.getElementById('cancelItemMasterEditBtn').classList.add('d-none');
+  }
+
+  /**
+   * Saves the item master form as a new entry or over the entry being edited.
+   * An entry with the same part number and description for the same customer is replaced.
+   */
+  function saveItemMasterEntry() {
+    const partNumber = document.getElementById('itemMasterPartNumber').value.trim();
+    const description = document.getElementById('itemMasterDescription').value.trim();
+    const customerId = document.getElementById('itemMasterCustomer').value || null;
+    const material = document.getElementById('itemMasterMaterial').value;
+    const platingTypes = $('#itemMasterPlatingTypes').val() || [];
+    const unit = document.getElementById('itemMasterUnit').value;
+    const pricesInput = document.getElementById('itemMasterPrices').value.trim();
+    const weightInput = document.getElementById('itemMasterWeight').value;
+
+    if (!description || !material || platingTypes.length === 0) {
+      showLiveAlert('Please enter a description, material and plating type(s).', 'danger');
+      return;
+    }
+    const platingPrices = pricesInput ? pricesInput.split(',').map(Number) : [];
+    if (pricesInput && (platingPrices.length !== platingTypes.length || platingPrices.some((price) => isNaN(price) || price < 0))) {
+      showLiveAlert('Rates must be numbers, one for each plating type.', 'danger');
+      return;
+    }
+    const weightPerUnitKg = weightInput === '' ? null : parseFloat(weightInput);
+    if (weightPerUnitKg !== null && (isNaN(weightPerUnitKg) || weightPerUnitKg <= 0)) {
+      showLiveAlert('Please enter a weight per unit above zero, or leave it blank.', 'danger');
+      return;
+    }
+
+    const fields = {
+      partNumber,
+      description,
+      customerId,
+      material,
+      platingTypes,
+      platingPrices,
+      unit,
+      weightPerUnitKg: unit === 'kg' ? null : weightPerUnitKg,
+    };
+    const existing = itemMasterToEdit || itemMaster.find(
+      (entry) => entry.customerId === customerId && getItemMasterName(entry).toLowerCase() === getItemMasterName(fields).toLowerCase()
+    );
+    if (existing) {
+      Object.assign(existing, fields);
+    } else {
+      itemMaster.push({ id: generateUniqueId('PART'), ...fields, useCount: 0, lastUsedAt: null, createdAt: new Date().toISOString() });
+    }
+    saveData('itemMaster');
+    clearItemMasterForm();
+    renderItemMaster();
+    showLiveAlert(existing ? 'Item updated successfully!' : 'Item added to the item master!');
+  }
+
+  /**
+   * Loads an item master entry into the item master form for editing.
+   * @param {string} id - The ID of the entry.
+   */
+  function editItemMasterEntry(id) {
+    const entry = itemMaster.find((e) => e.id === id);
+    if (!entry) {
+      showLiveAlert('Item not found.', 'danger');
+      return;
+    }
+    itemMasterToEdit = entry;
+    document.getElementById('itemMasterPartNumber').value = entry.partNumber;
+    document.getElementById('itemMasterDescription').value = entry.description;
+    $('#itemMasterCustomer').val(entry.customerId || '').trigger('change');
+    document.getElementById('itemMasterMaterial').value = entry.material;
+    $('#itemMasterPlatingTypes').val(entry.platingTypes).trigger('change');
+    document.getElementById('itemMasterUnit').value = entry.unit;
+    document.getElementById('itemMasterPrices').value = entry.platingPrices.join(',');
+    document.getElementById('itemMasterWeight').value = entry.weightPerUnitKg ?? '';
+    document.getElementById('cancelItemMasterEditBtn').classList.remove('d-none');
+  }
+
+  /**
+   * Deletes an item master entry after user confirmation. Orders keep the items they were given.
+   * @param {string} id - The ID of the entry.
+   */
+  function deleteItemMasterEntry(id) {
+    if (confirm('Are you sure you want to delete this item?')) {
+      itemMaster = itemMaster.filter((entry) => entry.id !== id);
+      if (itemMasterToEdit && itemMasterToEdit.id === id) {
+        clearItemMasterForm();
+      }
+      saveData('itemMaster');
+      renderItemMaster();
+      showLiveAlert('Item deleted successfully!', 'danger');
+    }
+  }
+
+  /**
+   * Renders the item master list, filtered by the search box. Global items come first, then by customer and name.
+   */
+  function renderItemMaster() {
+    const searchTerm = document.getElementById('itemMasterSearch').value.trim().toLowerCase();
+    const customerName = (entry) => {
+      const customer = entry.customerId ? customers.find((c) => c.id === entry.customerId) : null;
+      return customer ? customer.name : '';
+    };
+    const filteredEntries = itemMaster
+      .filter((entry) =>
+        !searchTerm ||
+        [getItemMasterName(entry), customerName(entry), entry.material].some((value) => value.toLowerCase().includes(searchTerm))
+      )
+      .sort((a, b) =>
+        customerName(a).localeCompare(customerName(b)) || getItemMasterName(a).localeCompare(getItemMasterName(b))
       );
+    const tableBody = document.getElementById('itemMasterTableBody');
+    tableBody.innerHTML = filteredEntries.length
+      ? filteredEntries.map((entry) => `
+            <tr>
+                <td>${escapeHtml(entry.partNumber) || '<span class="text-muted">-</span>'}</td>
+                <td>${escapeHtml(entry.description)}</td>
+                <td>${entry.customerId ? escapeHtml(customerName(entry)) || 'Unknown customer' : '<span class="text-muted">All customers</span>'}</td>
+                <td>${entry.material}</td>
+                <td>${entry.platingTypes.join(', ')}</td>
+                <td>${entry.platingPrices.length ? `₹${entry.platingPrices.join(', ')}/${getUnitLabel(entry.unit)}` : '<span class="text-muted">Rate card</span>'}</td>
+                <td>${entry.weightPerUnitKg ? `${entry.weightPerUnitKg} kg` : '-'}</td>
+                <td>${entry.useCount}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-warning" onclick="editItemMasterEntry('${entry.id}')" title="Edit"><i class="fas fa-edit"></i></button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteItemMasterEntry('${entry.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>
+        `).join('')
+      : `<tr><td colspan="9" class="text-center text-muted">${itemMaster.length ? 'No items match your search.' : 'No items saved yet.'}</td></tr>`;
+  }
+
+  /**
+   * Lists the items of an order that are not in the item master yet.
+   * @param {Object} order - The order.
+   * @returns {Object[]} The new items, one per distinct name and material.
+   */
+  function getNewMasterItems(order) {
+    const seen = new Set();
+    return order.items.filter((item) => {
+      const key = `${item.itemName}|${item.material}`;
+      if (seen.has(key) || findItemMasterEntry(item, order.customer.id)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Opens the modal offering to save an order's new items to the item master, for its customer or for everyone.
+   * @param {string} orderId - The ID of the order.
+   */
+  function openSaveToItemMaster(orderId) {
+    const order = orders.find((o) => o.id === orderId);
+    if (!order) {
+      showLiveAlert('Order not found.', 'danger');
+      return;
+    }
+    const items = getNewMasterItems(order);
+    if (items.length === 0) {
+      showLiveAlert('All items of this order are already in the item master.', 'info');
+      return;
+    }
+    itemsToSave = { orderId, orderDate: order.createdAt, customerId: order.customer.id, items };
+    document.getElementById('saveItemsOrderId').textContent = orderId;
+    document.getElementById('saveItemsTableBody').innerHTML = items.map((item, index) => `
+        <tr data-index="${index}">
+            <td><input type="checkbox" class="form-check-input save-item-check" checked></td>
+            <td><input type="text" class="form-control form-control-sm save-item-part" placeholder="Optional"></td>
+            <td>
+                <input type="text" class="form-control form-control-sm save-item-description" value="${escapeHtml(item.itemName)}">
+                <small class="text-muted">${item.material}, ${item.platingTypes.join('/')} at ₹${item.platingPrices.join(', ')}/${getUnitLabel(item.unit)}</small>
+            </td>
+            <td>
+                <select class="form-select form-select-sm save-item-scope">
+                    <option value="customer">${escapeHtml(order.customer.name)} only</option>
+                    <option value="all">All customers</option>
+                </select>
+            </td>
+        </tr>
+    `).join('');
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('saveItemsModal')).show();
+  }
+
+  /**
+   * Saves the items ticked in the save items modal to the item master, with the order's rates, unit and weight.
+   */
+  function saveItemsToMaster() {
+    if (!itemsToSave) {
+      return;
+    }
+    let saved = 0;
+    for (const row of document.querySelectorAll('#saveItemsTableBody tr')) {
+      if (!row.querySelector('.save-item-check').checked) {
+        continue;
+      }
+      const description = row.querySelector('.save-item-description').value.trim();
+      if (!description) {
+        showLiveAlert('Please enter a description for each item to save.', 'danger');
+        return;
+      }
+      const item = itemsToSave.items[Number(row.dataset.index)];
+      itemMaster.push({
+        id: generateUniqueId('PART'),
+        partNumber: row.querySelector('.save-item-part').value.trim(),
+        description,
+        customerId: row.querySelector('.save-item-scope').value === 'all' ? null : itemsToSave.customerId,
+        material: item.material,
+        platingTypes: [...item.platingTypes],
+        platingPrices: [...item.platingPrices],
+        unit: item.unit,
+        weightPerUnitKg: item.unit === 'kg' ? null : parseFloat((item.weightKg / item.quantity).toFixed(3)),
+        useCount: 1,
+        lastUsedAt: itemsToSave.orderDate,
+        createdAt: new Date().toISOString(),
+      });
+      saved += 1;
+    }
+    itemsToSave = null;
+    saveData('itemMaster');
+    renderItemMaster();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('saveItemsModal')).hide();
+    if (saved > 0) {
+      showLiveAlert(`${saved} item(s) saved to the item master.`);
+    }
+  }
+
+  // Fields the order search understands, e.g. `customer:patel total>5000 -status:delivered`.
+  // `get` returns the value(s) a term is matched against; `values` lists suggestions for autocomplete.
+  const ORDER_SEARCH_FIELDS = {
+    id: { type: 'text', description: 'Order ID', get: (order) => [order.id] },
+    customer: {
+      type: 'text',
+      description: 'Customer name',
+      get: (order) => [order.customer.name],
+      values: () => customers.map((customer) => customer.name),
+    },
+    status: { type: 'text', description: 'Order status', get: (order) => [order.status], values: () => ORDER_STATUSES },
+    item: {
+      type: 'text',
+      description: 'Item name',
+      get: (order) => order.items.map((item) => item.itemName),
+      values: () => orders.flatMap((order) => order.items.map((item) => item.itemName)),
+    },
+    material: {
+      type: 'text',
+      description: 'Item material',
+      get: (order) => order.items.map((item) => item.material),
+      values: () => orders.flatMap((order) => order.items.map((item) => item.material)),
+    },
+    plating: {
+      type: 'text',
+      description: 'Plating type',
+      get: (order) => order.items.flatMap((item) => item.platingTypes),
+      values: () => orders.flatMap((order) => order.items.flatMap((item) => item.platingTypes)),
+    },
+    payment: {
+      type: 'text',
+      description: 'Paid, Partial or Unpaid',
+      get: (order, context) => [getPaymentStatus(order, context.paidByOrder)],
+      values: () => ['Paid', 'Partial', 'Unpaid'],
+    },
+    gst: { type: 'text', description: 'GST applied (yes/no)', get: (order) => [order.gstApply], values: () => ['yes', 'no'] },
+    total: { type: 'number', description: 'Order total in ₹', get: (order) => [order.orderTotal] },
+    qty: { type: 'number', description: 'Total weight in kg', get: (order) => [getOrderWeight(order)] },
+    date: { type: 'date', description: 'Order date, YYYY-MM-DD, YYYY-MM, YYYY or a from..to range', get: (order) => [order.createdAt] },
+  };
+
+  /**
+   * Splits a search query into terms on whitespace, keeping quoted phrases together.
+   * @param {string} query - The search text.
+   * @returns {{tokens: string[], error: string|null}} The raw terms, and an error for an unclosed quote.
+   */
+  function tokenizeOrderQuery(query) {
+    const tokens = [];
+    let current = '';
+    let inQuote = false;
+    for (const char of query) {
+      if (char === '"') {
+        inQuote = !inQuote;
+        current += char;
+      } else if (/\s/.test(char) && !inQuote) {
+        if (current) {
+          tokens.push(current);
+        }
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current) {
+      tokens.push(current);
+    }
+    return { tokens, error: inQuote ? 'Missing closing quote (")' : null };
+  }
+
+  /**
+   * Checks a date term value: a full date, a month (YYYY-MM) or a year (YYYY).
+   * @param {string} value - The value to check.
+   * @returns {boolean} Whether it is a usable date.
+   */
+  function isQueryDate(value) {
+    return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value) && !isNaN(new Date(getQueryDatePeriod(value).start));
+  }
+
+  /**
+   * Gives the first and last day a date term value covers, so a month or year is compared as the whole period.
+   * Months end on the 31st, which no shorter month's dates come after.
+   * @param {string} value - A date (YYYY-MM-DD), month (YYYY-MM) or year (YYYY).
+   * @returns {{start: string, end: string}} The first and last day, as YYYY-MM-DD.
+   */
+  function getQueryDatePeriod(value) {
+    if (value.length === 4) {
+      return { start: `${value}-01-01`, end: `${value}-12-31` };
+    }
+    if (value.length === 7) {
+      return { start: `${value}-01`, end: `${value}-31` };
+    }
+    return { start: value, end: value };
+  }
+
+  /**
+   * Builds the test for one field term, or returns an error message if the term is invalid.
+   * @param {Object} field - The field from ORDER_SEARCH_FIELDS.
+   * @param {string} name - The field name as typed.
+   * @param {string} operator - ':', '=', '>', '>=', '<' or '<='.
+   * @param {string} value - The value, without quotes.
+   * @returns {Function|string} A test taking (fieldValue), or an error message.
+   */
+  function buildQueryTest(field, name, operator, value) {
+    if (value === '') {
+      return `"${name}" needs a value`;
+    }
+    const compare = (a, b) => {
+      switch (operator) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return a === b;
+      }
+    };
+
+    if (field.type === 'text') {
+      if (operator !== ':' && operator !== '=') {
+        return `"${name}" can only be matched with ":" or "="`;
+      }
+      const needle = value.toLowerCase();
+      return operator === '='
+        ? (fieldValue) => String(fieldValue).toLowerCase() === needle
+        : (fieldValue) => String(fieldValue).toLowerCase().includes(needle);
+    }
+
+    // Numbers and dates both accept a from..to range (either end may be left open)
+    const isValid = field.type === 'number' ? (part) => part !== '' && !isNaN(Number(part)) : isQueryDate;
+    const parse = field.type === 'number' ? Number : (part) => part;
+    const rangeMatch = value.match(/^(.*)\.\.(.*)$/);
+    if (rangeMatch) {
+      const [, from, to] = rangeMatch;
+      if (operator !== ':' && operator !== '=') {
+        return `Use "${name}:from..to" for a range`;
+      }
+      if ((from && !isValid(from)) || (to && !isValid(to)) || (!from && !to)) {
+        return `"${value}" is not a valid ${field.type} range`;
+      }
+      // A month or year as the end of a range includes the whole period
+      const lower = field.type === 'date' && from ? getQueryDatePeriod(from).start : from;
+      const upper = field.type === 'date' && to ? getQueryDatePeriod(to).end : to;
+      return (fieldValue) => (!lower || fieldValue >= parse(lower)) && (!upper || fieldValue <= parse(upper));
+    }
+    if (!isValid(value)) {
+      return `"${value}" is not a valid ${field.type === 'number' ? 'number' : 'date (YYYY-MM-DD)'}`;
+    }
+    if (field.type === 'date' && value.length < 10) {
+      if (operator === ':' || operator === '=') {
+        return (fieldValue) => fieldValue.startsWith(value);
+      }
+      // After or up to a month or year means after or up to its last day; before or from it, its first day
+      const { start, end } = getQueryDatePeriod(value);
+      const bound = operator === '>' || operator === '<=' ? end : start;
+      return (fieldValue) => compare(fieldValue, bound);
+    }
+    return (fieldValue) => compare(fieldValue, parse(value));
+  }
+
+  /**
+   * Parses the order search query into terms.
+   * Supports field qualifiers (customer:patel), comparisons (total>5000, date>=2026-04-01),
+   * ranges (date:2026-04-01..2026-06-30), negation (-status:delivered) and quoted phrases.
+   * Words without a field match the order ID, customer, status, items, materials and plating types.
+   * @param {string} query - The search text.
+   * @returns {{terms: Object[], errors: string[]}} Valid terms as { negate, test(order, context) } and error messages.
+   */
+  function parseOrderQuery(query) {
+    const { tokens, error } = tokenizeOrderQuery(query);
+    const terms = [];
+    const errors = error ? [error] : [];
+
+    tokens.forEach((token) => {
+      const negate = token.length > 1 && token.startsWith('-');
+      const body = negate ? token.slice(1) : token;
+      const fieldMatch = body.match(/^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i);
+
+      if (!fieldMatch) {
+        const phrase = body.replace(/"/g, '').toLowerCase();
+        if (phrase) {
+          terms.push({
+            negate,
+            test: (order) => ['id', 'customer', 'status', 'item', 'material', 'plating'].some((name) =>
+              ORDER_SEARCH_FIELDS[name].get(order).some((value) => value.toLowerCase().includes(phrase))
+            ),
+          });
+        }
+        return;
+      }
+
+      const [, rawName, operator, rawValue] = fieldMatch;
+      const name = rawName.toLowerCase();
+      const field = ORDER_SEARCH_FIELDS[name];
+      if (!field) {
+        const suggestion = Object.keys(ORDER_SEARCH_FIELDS).find((key) => key.startsWith(name.slice(0, 2)));
+        errors.push(`Unknown field "${rawName}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        return;
+      }
+      const valueTest = buildQueryTest(field, name, operator, rawValue.replace(/"/g, '').trim());
+      if (typeof valueTest === 'string') {
+        errors.push(valueTest);
+        return;
+      }
+      terms.push({ negate, test: (order, context) => field.get(order, context).some(valueTest) });
+    });
+
+    return { terms, errors };
+  }
+
+  /**
+   * Shows parse errors for the order search under the search box.
+   * @param {string[]} errors - The error messages.
+   */
+  function renderOrderSearchErrors(errors) {
+    document.getElementById('orderSearch').classList.toggle('is-invalid', errors.length > 0);
+    document.getElementById('orderSearchErrors').innerHTML = errors.map(escapeHtml).join('<br>');
+  }
+
+  /**
+   * Suggests field names, or values for the field being typed, for the term at the cursor.
+   */
+  function updateOrderSearchSuggestions() {
+    const input = document.getElementById('orderSearch');
+    const suggestionsDiv = document.getElementById('orderSearchSuggestions');
+    const beforeCursor = input.value.slice(0, input.selectionStart);
+    const token = beforeCursor.split(/\s+/).pop();
+    const body = token.replace(/^-/, '');
+    const fieldMatch = body.match(/^([a-z]+)(?::|=)"?([^"]*)$/i);
+
+    let suggestions = [];
+    if (fieldMatch) {
+      const field = ORDER_SEARCH_FIELDS[fieldMatch[1].toLowerCase()];
+      const partial = fieldMatch[2].toLowerCase();
+      if (field && field.values) {
+        suggestions = [...new Set(field.values())]
+          .filter((value) => value && value.toLowerCase().includes(partial) && value.toLowerCase() !== partial)
+          .sort()
+          .slice(0, 8)
+          .map((value) => ({
+            text: `${token.slice(0, token.length - body.length)}${fieldMatch[1]}:${/\s/.test(value) ? `"${value}"` : value}`,
+            label: value,
+          }));
+      }
+    } else if (/^[a-z]+$/i.test(body)) {
+      suggestions = Object.entries(ORDER_SEARCH_FIELDS)
+        .filter(([name]) => name.startsWith(body.toLowerCase()))
+        .map(([name, field]) => ({ text: `${token.slice(0, token.length - body.length)}${name}:`, label: `${name}: — ${field.description}`, partial: true }));
     }
 
-    // Apply date (month) filter
-    const dateFilter = document.getElementById('dateFilter').value;
-    if (dateFilter) {
-      filteredAndSortedOrders = filteredAndSortedOrders.filter((order) =>
-        order.createdAt.startsWith(dateFilter)
+    suggestionsDiv.innerHTML = '';
+    suggestions.forEach((suggestion) => {
+      const div = document.createElement('div');
+      div.classList.add('item-suggestion');
+      div.textContent = suggestion.label;
+      div.onmousedown = (event) => {
+        event.preventDefault(); // Keep focus in the search box
+        const start = beforeCursor.length - token.length;
+        const rest = input.value.slice(input.selectionStart);
+        const insert = suggestion.partial ? suggestion.text : `${suggestion.text} `;
+        input.value = input.value.slice(0, start) + insert + rest.replace(/^\S*\s?/, '');
+        input.setSelectionRange(start + insert.length, start + insert.length);
+        updateOrderSearchSuggestions();
+        filterOrders();
+      };
+      suggestionsDiv.appendChild(div);
+    });
+    suggestionsDiv.style.display = suggestions.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Returns the orders matching the search, status, customer, date, amount and GST filters above the orders table.
+   * @param {boolean} [includeStatus=true] - Whether to apply the status filter. The board shows every status.
+   * @returns {Object[]} The matching orders, in stored order.
+   */
+  function getFilteredOrders(includeStatus = true) {
+    let filteredOrders = [...orders]; // Create a mutable copy
+
+    // Apply search query; invalid terms are reported under the search box and skipped
+    const { terms, errors } = parseOrderQuery(document.getElementById('orderSearch').value);
+    renderOrderSearchErrors(errors);
+    if (terms.length > 0) {
+      const context = { paidByOrder: computeOrderPayments() };
+      filteredOrders = filteredOrders.filter((order) =>
+        terms.every((term) => term.test(order, context) !== term.negate)
       );
     }
 
+    // Apply status filter (any of the chosen statuses)
+    const statusFilter = $('#statusFilter').val() || [];
+    if (includeStatus && statusFilter.length > 0) {
+      filteredOrders = filteredOrders.filter((order) => statusFilter.includes(order.status));
+    }
+
+    // Apply customer filter (any of the chosen customers)
+    const customerFilter = $('#customerFilter').val() || [];
+    if (customerFilter.length > 0) {
+      filteredOrders = filteredOrders.filter((order) => customerFilter.includes(order.customer.id));
+    }
+
+    // Apply date range filter; either end may be left open
+    const dateFrom = document.getElementById('dateFromFilter').value;
+    const dateTo = document.getElementById('dateToFilter').value;
+    if (dateFrom) {
+      filteredOrders = filteredOrders.filter((order) => order.createdAt >= dateFrom);
+    }
+    if (dateTo) {
+      filteredOrders = filteredOrders.filter((order) => order.createdAt <= dateTo);
+    }
+
+    // Apply amount filter on the order total
+    const minTotal = parseFloat(document.getElementById('minTotalFilter').value);
+    const maxTotal = parseFloat(document.getElementById('maxTotalFilter').value);
+    if (!isNaN(minTotal)) {
+      filteredOrders = filteredOrders.filter((order) => order.orderTotal >= minTotal);
+    }
+    if (!isNaN(maxTotal)) {
+      filteredOrders = filteredOrders.filter((order) => order.orderTotal <= maxTotal);
+    }
+
+    // Apply GST filter
+    const gstFilter = document.getElementById('gstFilter').value;
+    if (gstFilter) {
+      filteredOrders = filteredOrders.filter((order) => order.gstApply === gstFilter);
+    }
+    return filteredOrders;
+  }
+
+  /**
+   * Renders the orders table based on current filters, sorting, and pagination, and the board when it is shown.
+   */
+  function renderOrders() {
+    const tableBody = document.getElementById('ordersTableBody');
+    tableBody.innerHTML = ''; // Clear existing rows
+    if (ordersView === 'board') {
+      renderOrderBoard();
+    }
+
+    const filteredAndSortedOrders = getFilteredOrders();
+
         // Apply sorting
         filteredAndSortedOrders.sort((a, b) => {
       let aValue, bValue;
@@ -408,9 +3087,9 @@ function showLiveAlert(message, type = 'success') {
         aValue = a.customer.name.toLowerCase();
         bValue = b.customer.name.toLowerCase();
       } else if (sortColumn === 'id') {
-        // Custom numeric sort for "ORD-0001" type IDs
-        aValue = parseInt(a.id.split('-')[1]);
-        bValue = parseInt(b.id.split('-')[1]);
+        // Natural sort so "HE/2026-27/0010" follows "HE/2026-27/0009" and older "ORD-0001" IDs still order numerically
+        const comparison = a.id.localeCompare(b.id, undefined, { numeric: true });
+        return sortDirection === 'asc' ? comparison : -comparison;
     } else if (sortColumn === 'createdAt') {
         aValue = new Date(a.createdAt).getTime();
         bValue = new Date(b.createdAt).getTime();
@@ -434,11 +3113,14 @@ function showLiveAlert(message, type = 'success') {
     const startIndex = (currentPage - 1) * rowsPerPage;
     const endIndex = startIndex + rowsPerPage;
     const paginatedOrders = filteredAndSortedOrders.slice(startIndex, endIndex);
+    filteredOrderIds = filteredAndSortedOrders.map((order) => order.id);
+    pageOrderIds = paginatedOrders.map((order) => order.id);
     
     // Update order count display
     document.getElementById('order-count').textContent = `Showing ${paginatedOrders.length} of ${filteredAndSortedOrders.length} orders`;
     
     // Populate table rows
+    const paidByOrder = computeOrderPayments();
     paginatedOrders.forEach((order) => {
         const row = tableBody.insertRow();
         row.setAttribute('data-order-id', order.id); // Set data attribute for highlighting
@@ -447,14 +3129,18 @@ function showLiveAlert(message, type = 'success') {
         const statusBadgeClass = getStatusBadgeClass(order.status);
         
         // Get item summary for display in table
-        const itemSummary = order.items.map(item => `${item.itemName} (${item.quantity}kg)`).join(', ');
+        const itemSummary = order.items.map(item => `${escapeHtml(item.itemName)} (${formatItemQuantity(item)})`).join(', ');
+        const paymentStatus = getPaymentStatus(order, paidByOrder);
         
         row.innerHTML = `
+        <td><input type="checkbox" class="form-check-input order-select" ${selectedOrderIds.has(order.id) ? 'checked' : ''}
+                onchange="toggleOrderSelection('${order.id}', this.checked)" aria-label="Select order ${order.id}"></td>
         <td>${order.id}</td>
-            <td>${order.customer.name}</td>
+            <td>${escapeHtml(order.customer.name)}</td>
             <td>${itemSummary}</td>
             <td>₹${order.orderTotal.toFixed(2)}</td>
             <td><span class="status-badge ${statusBadgeClass}">${order.status}</span></td>
+            <td><span class="status-badge ${getPaymentBadgeClass(paymentStatus)}">${paymentStatus}</span></td>
             <td>${order.createdAt}</td>
             <td class="action-buttons">
             <button class="btn btn-sm btn-info text-white" onclick="viewOrderDetails('${
@@ -463,6 +3149,9 @@ function showLiveAlert(message, type = 'success') {
                 <button class="btn btn-sm btn-warning text-white" onclick="editOrder('${
                     order.id
                     }')" title="Edit"><i class="fas fa-edit"></i></button>
+                    <button class="btn btn-sm btn-secondary" onclick="printJobCards('${
+                        order.id
+                        }')" title="Job Card"><i class="fas fa-qrcode"></i></button>
                     <button class="btn btn-sm btn-danger" onclick="deleteOrder('${
                         order.id
                         }')" title="Delete"><i class="fas fa-trash"></i></button>
@@ -470,7 +3159,9 @@ function showLiveAlert(message, type = 'success') {
                         `;
     });
     renderPagination(totalPages, filteredAndSortedOrders.length); // Render pagination controls
+    renderOrderSelection();
     updateSummaryCards(); // Update dashboard summary
+    renderCustomerList(); // Order counts and lifetime values depend on orders
   
 }
 
@@ -494,14 +3185,14 @@ function showLiveAlert(message, type = 'success') {
       prevLi.className = `page-item ${currentPage === 1 ? 'disabled' : ''}`;
       prevLi.innerHTML = `<a class="page-link" href="#" onclick="changePage(${
         currentPage - 1
-      })">Previous</a>`;
+      }); return false;">Previous</a>`;
       paginationUl.appendChild(prevLi);
 
       // Page number buttons
       for (let i = 1; i <= totalPages; i++) {
         const li = document.createElement('li');
         li.className = `page-item ${currentPage === i ? 'active' : ''}`;
-        li.innerHTML = `<a class="page-link" href="#" onclick="changePage(${i})">${i}</a>`;
+        li.innerHTML = `<a class="page-link" href="#" onclick="changePage(${i}); return false;">${i}</a>`;
         paginationUl.appendChild(li);
       }
 
@@ -510,7 +3201,7 @@ function showLiveAlert(message, type = 'success') {
       nextLi.className = `page-item ${currentPage === totalPages ? 'disabled' : ''}`;
       nextLi.innerHTML = `<a class="page-link" href="#" onclick="changePage(${
         currentPage + 1
-      })">Next</a>`;
+      }); return false;">Next</a>`;
       paginationUl.appendChild(nextLi);
     }
   }
@@ -520,7 +3211,7 @@ function showLiveAlert(message, type = 'success') {
    * @param {number} page - The page number to navigate to.
    */
   function changePage(page) {
-    if (page < 1 || page > Math.ceil(orders.length / rowsPerPage)) {
+    if (page < 1 || page > Math.ceil(getFilteredOrders().length / rowsPerPage)) {
       return; // Prevent invalid page navigation
     }
     currentPage = page;
@@ -540,6 +3231,7 @@ function showLiveAlert(message, type = 'success') {
       sortDirection = 'asc'; // Default to ascending when changing column
     }
     renderOrders();
+    updateOrdersViewHash();
   }
 
   /**
@@ -549,71 +3241,784 @@ function showLiveAlert(message, type = 'success') {
   function filterOrders() {
     currentPage = 1; // Reset to first page on filter change
     renderOrders();
+    updateOrdersViewHash();
   }
 
+  // Which orders view is shown: 'table' or 'board'
+  let ordersView = 'table';
+
   /**
-   * Updates the summary cards (Total Orders, Pending, Completed, Total Revenue).
+   * Switches the orders card between the table and the board.
+   * @param {string} view - 'table' or 'board'.
    */
-  function updateSummaryCards() {
-    document.getElementById('total-orders').textContent = orders.length;
-    document.getElementById('pending-orders').textContent = orders.filter(
-      (order) => order.status === 'Pending' || order.status === 'In Progress'
-    ).length;
-    document.getElementById('completed-orders').textContent = orders.filter(
-      (order) => order.status === 'Completed' || order.status === 'Delivered'
-    ).length;
-    const totalRevenue = orders.reduce((sum, order) => sum + order.orderTotal, 0);
-    document.getElementById('total-revenue').textContent = `₹${totalRevenue.toFixed(2)}`;
+  function setOrdersView(view) {
+    ordersView = view;
+    document.getElementById('ordersTableView').classList.toggle('d-none', view !== 'table');
+    document.getElementById('ordersBoardView').classList.toggle('d-none', view !== 'board');
+    document.getElementById('statusFilterCol').classList.toggle('d-none', view === 'board'); // The board shows every status
+    document.getElementById('tableViewBtn').classList.toggle('active', view === 'table');
+    document.getElementById('boardViewBtn').classList.toggle('active', view === 'board');
+    filterOrders();
   }
 
+  // The orders view when nothing is filtered; the URL hash only carries what differs from it
+  const DEFAULT_ORDERS_VIEW = {
+    q: '',
+    status: [],
+    customers: [],
+    from: '',
+    to: '',
+    min: '',
+    max: '',
+    gst: '',
+    sort: 'createdAt',
+    dir: 'desc',
+    size: 10,
+    view: 'table',
+  };
+  const ORDERS_VIEW_LIST_KEYS = ['status', 'customers'];
+  // The columns the orders table can be sorted by (see sortOrders in index.html)
+  const ORDERS_SORT_COLUMNS = ['id', 'customer.name', 'orderTotal', 'createdAt'];
+  // The page sizes offered by the #pageSize select
+  const ORDERS_PAGE_SIZES = [10, 25, 50, 100];
+
   /**
-   * Displays detailed information about a specific order in a modal.
-   * @param {string} id - The ID of the order to view.
+   * Reads a page size from a link, saved view or the page size select.
+   * @param {string|number} size - The page size.
+   * @returns {number} The size if the page size select offers it, otherwise the default.
    */
-  function viewOrderDetails(id) {
-    const order = orders.find((o) => o.id === id);
-    if (!order) {
-      showLiveAlert('Order not found.', 'danger');
-      return;
-    }
-
-    const customer = customers.find((c) => c.id === order.customer.id);
-    const customerPhone = customer ? customer.phone : 'N/A';
+  function parsePageSize(size) {
+    const pageSize = Number(size);
+    return ORDERS_PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_ORDERS_VIEW.size;
+  }
 
-    let itemsHtml = order.items.map((item, index) => `
-        <h6>Item ${index + 1}: ${item.itemName}</h6>
-        <ul>
+  /**
+   * Reads the orders view from the filter controls, sorting, page size and table/board choice.
+   * @returns {Object} The view state, shaped like DEFAULT_ORDERS_VIEW.
+   */
+  function getOrdersViewState() {
+    return {
+      q: document.getElementById('orderSearch').value.trim(),
+      status: $('#statusFilter').val() || [],
+      customers: $('#customerFilter').val() || [],
+      from: document.getElementById('dateFromFilter').value,
+      to: document.getElementById('dateToFilter').value,
+      min: document.getElementById('minTotalFilter').value,
+      max: document.getElementById('maxTotalFilter').value,
+      gst: document.getElementById('gstFilter').value,
+      sort: sortColumn,
+      dir: sortDirection,
+      size: rowsPerPage,
+      view: ordersView,
+    };
+  }
+
+  /**
+   * Sets the filter controls, sorting and page size from a view state and re-renders the orders.
+   * @param {Object} state - A (possibly partial) view state; missing values fall back to the defaults.
+   */
+  function applyOrdersViewState(state) {
+    const view = { ...DEFAULT_ORDERS_VIEW, ...state };
+    document.getElementById('orderSearch').value = view.q;
+    // change.select2 updates the Select2 display without firing our own change listeners
+    $('#statusFilter').val(view.status).trigger('change.select2');
+    $('#customerFilter').val(view.customers.filter((id) => customers.some((c) => c.id === id))).trigger('change.select2');
+    document.getElementById('dateFromFilter').value = view.from;
+    document.getElementById('dateToFilter').value = view.to;
+    document.getElementById('minTotalFilter').value = view.min;
+    document.getElementById('maxTotalFilter').value = view.max;
+    document.getElementById('gstFilter').value = view.gst;
+    sortColumn = view.sort;
+    sortDirection = view.dir === 'asc' ? 'asc' : 'desc';
+    rowsPerPage = parsePageSize(view.size);
+    document.getElementById('pageSize').value = String(rowsPerPage);
+    if (view.view !== ordersView) {
+      setOrdersView(view.view === 'board' ? 'board' : 'table'); // Also filters
+    } else {
+      filterOrders();
+    }
+  }
+
+  /**
+   * Encodes a view state for the URL hash, leaving out values that match the default view.
+   * @param {Object} state - The view state.
+   * @returns {string} The query string, e.g. 'status=Pending,In Progress&sort=orderTotal'.
+   */
+  function encodeOrdersViewState(state) {
+    const params = new URLSearchParams();
+    Object.keys(DEFAULT_ORDERS_VIEW).forEach((key) => {
+      const value = ORDERS_VIEW_LIST_KEYS.includes(key) ? state[key].join(',') : String(state[key]);
+      const defaultValue = ORDERS_VIEW_LIST_KEYS.includes(key) ? '' : String(DEFAULT_ORDERS_VIEW[key]);
+      if (value !== defaultValue) {
+        params.set(key, value);
+      }
+    });
+    return params.toString();
+  }
+
+  /**
+   * Decodes a view state from the URL hash.
+   * @param {string} hash - The hash, with or without the leading '#'.
+   * @returns {Object} The view state; keys not in the hash are left out.
+   */
+  function decodeOrdersViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+    Object.keys(DEFAULT_ORDERS_VIEW).forEach((key) => {
+      if (params.has(key)) {
+        state[key] = ORDERS_VIEW_LIST_KEYS.includes(key)
+          ? params.get(key).split(',').filter(Boolean)
+          : params.get(key);
+      }
+    });
+    if (state.sort !== undefined && !ORDERS_SORT_COLUMNS.includes(state.sort)) {
+      state.sort = DEFAULT_ORDERS_VIEW.sort; // An edited or outdated link must not sort by an arbitrary order field
+    }
+    return state;
+  }
+
+  /**
+   * Writes the current orders view to the URL hash so it can be bookmarked or shared.
+   * Uses replaceState, so it neither adds history entries nor triggers hashchange.
+   */
+  function updateOrdersViewHash() {
+    const encoded = encodeOrdersViewState(getOrdersViewState());
+    history.replaceState(null, '', `${location.pathname}${location.search}${encoded ? `#${encoded}` : ''}`);
+  }
+
+  /**
+   * Changes how many orders are shown per page.
+   * @param {string|number} size - The page size.
+   */
+  function setPageSize(size) {
+    rowsPerPage = parsePageSize(size);
+    filterOrders();
+  }
+
+  /**
+   * Lists the saved views in the saved views dropdown.
+   */
+  function renderSavedViews() {
+    const select = document.getElementById('savedViewSelect');
+    select.innerHTML = `
+        <option value="">Saved views...</option>
+        ${settings.savedViews.map((view) => `<option value="${view.id}">${escapeHtml(view.name)}</option>`).join('')}
+    `;
+    document.getElementById('deleteViewBtn').disabled = true;
+  }
+
+  /**
+   * Opens the dialog to save the current filters, sorting and page size as a named view.
+   */
+  function openSaveViewModal() {
+    const selected = settings.savedViews.find((view) => view.id === document.getElementById('savedViewSelect').value);
+    document.getElementById('savedViewName').value = selected ? selected.name : '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('saveViewModal')).show();
+  }
+
+  /**
+   * Saves the current orders view under the name typed in the dialog.
+   * Saving with an existing name replaces that view.
+   */
+  function saveOrdersView() {
+    const name = document.getElementById('savedViewName').value.trim();
+    if (!name) {
+      showLiveAlert('Please enter a name for the view.', 'danger');
+      return;
+    }
+    const existing = settings.savedViews.find((view) => view.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`Replace the saved view "${existing.name}"?`)) {
+      return;
+    }
+    const view = {
+      id: existing ? existing.id : generateUniqueId('VIEW'),
+      name,
+      state: getOrdersViewState(),
+      savedAt: new Date().toISOString(),
+    };
+    settings.savedViews = existing
+      ? settings.savedViews.map((saved) => (saved.id === existing.id ? view : saved))
+      : [...settings.savedViews, view];
+    saveData('settings');
+    renderSavedViews();
+    document.getElementById('savedViewSelect').value = view.id;
+    document.getElementById('deleteViewBtn').disabled = false;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('saveViewModal')).hide();
+    showLiveAlert(`View "${name}" saved.`, 'success');
+  }
+
+  /**
+   * Applies the saved view chosen in the dropdown.
+   * @param {string} id - The ID of the saved view.
+   */
+  function loadSavedView(id) {
+    const view = settings.savedViews.find((saved) => saved.id === id);
+    document.getElementById('deleteViewBtn').disabled = !view;
+    if (view) {
+      applyOrdersViewState(view.state);
+    }
+  }
+
+  /**
+   * Deletes the saved view chosen in the dropdown. The current filters stay as they are.
+   */
+  function deleteSavedView() {
+    const view = settings.savedViews.find((saved) => saved.id === document.getElementById('savedViewSelect').value);
+    if (!view || !confirm(`Delete the saved view "${view.name}"?`)) {
+      return;
+    }
+    settings.savedViews = settings.savedViews.filter((saved) => saved.id !== view.id);
+    saveData('settings');
+    renderSavedViews();
+    showLiveAlert(`View "${view.name}" deleted.`, 'success');
+  }
+
+  /**
+   * Clears every filter and goes back to the default sorting and page size.
+   */
+  function resetOrdersView() {
+    document.getElementById('savedViewSelect').value = '';
+    document.getElementById('deleteViewBtn').disabled = true;
+    applyOrdersViewState(DEFAULT_ORDERS_VIEW);
+  }
+
+  // Orders ticked in the table. Kept across pages and filter changes until cleared.
+  const selectedOrderIds = new Set();
+  // IDs of the orders matching the table filters, and of those on the current page, from the last render
+  let filteredOrderIds = [];
+  let pageOrderIds = [];
+
+  /**
+   * Returns the selected orders that still exist, in table order when they are visible.
+   * @returns {Object[]} The selected orders.
+   */
+  function getSelectedOrders() {
+    return orders.filter((order) => selectedOrderIds.has(order.id));
+  }
+
+  /**
+   * Ticks or unticks one order.
+   * @param {string} id - The ID of the order.
+   * @param {boolean} selected - Whether it should be selected.
+   */
+  function toggleOrderSelection(id, selected) {
+    if (selected) {
+      selectedOrderIds.add(id);
+    } else {
+      selectedOrderIds.delete(id);
+    }
+    renderOrderSelection();
+  }
+
+  /**
+   * Ticks or unticks every order on the current page.
+   * @param {boolean} selected - Whether they should be selected.
+   */
+  function togglePageSelection(selected) {
+    pageOrderIds.forEach((id) => (selected ? selectedOrderIds.add(id) : selectedOrderIds.delete(id)));
+    document.querySelectorAll('#ordersTableBody .order-select').forEach((checkbox) => {
+      checkbox.checked = selected;
+    });
+    renderOrderSelection();
+  }
+
+  /**
+   * Selects every order matching the current filters, across all pages.
+   */
+  function selectAllFilteredOrders() {
+    filteredOrderIds.forEach((id) => selectedOrderIds.add(id));
+    renderOrders();
+  }
+
+  /**
+   * Clears the selection.
+   */
+  function clearOrderSelection() {
+    selectedOrderIds.clear();
+    renderOrders();
+  }
+
+  /**
+   * Updates the select-all checkbox and the batch actions bar with the selected count, kg and amount.
+   * Drops selected IDs whose orders no longer exist.
+   */
+  function renderOrderSelection() {
+    const selected = getSelectedOrders();
+    selectedOrderIds.clear();
+    selected.forEach((order) => selectedOrderIds.add(order.id));
+
+    const pageSelected = pageOrderIds.filter((id) => selectedOrderIds.has(id)).length;
+    const pageCheckbox = document.getElementById('selectPageOrders');
+    pageCheckbox.checked = pageOrderIds.length > 0 && pageSelected === pageOrderIds.length;
+    pageCheckbox.indeterminate = pageSelected > 0 && pageSelected < pageOrderIds.length;
+
+    document.getElementById('bulkActionsBar').classList.toggle('d-none', selected.length === 0);
+    if (selected.length === 0) {
+      return;
+    }
+    const weight = selected.reduce((sum, order) => sum + getOrderWeight(order), 0);
+    const amount = sumMoney(selected.map((order) => order.orderTotal));
+    document.getElementById('selectionSummary').innerHTML =
+      `<strong>${selected.length}</strong> selected &middot; ${weight.toFixed(2)} kg &middot; ₹${amount.toFixed(2)}`;
+
+    const unselectedMatches = filteredOrderIds.filter((id) => !selectedOrderIds.has(id)).length;
+    const selectAllLink = document.getElementById('selectAllMatching');
+    selectAllLink.classList.toggle('d-none', unselectedMatches === 0);
+    selectAllLink.textContent = `Select all ${filteredOrderIds.length} matching orders`;
+  }
+
+  /**
+   * Changes the status of every selected order, with one undo for the whole batch.
+   * Orders that cannot be marked Delivered yet (quantity still to deliver) or have not been through QC are skipped.
+   * @param {string} status - The new status.
+   */
+  function bulkChangeStatus(status) {
+    if (!ORDER_STATUSES.includes(status)) {
+      return;
+    }
+    const changed = [];
+    const blocked = [];
+    const uninspected = [];
+    getSelectedOrders().forEach((order) => {
+      if (order.status === status) {
+        return;
+      }
+      if (status === 'Delivered' && hasPendingDelivery(order)) {
+        blocked.push(order.id);
+        return;
+      }
+      if (needsInspection(order, status)) {
+        uninspected.push(order.id);
+        return;
+      }
+      changed.push({ id: order.id, status: order.status });
+      recordOrderHistory(order, 'status', [{ field: 'Status', from: order.status, to: status }]);
+      order.status = status;
+      updateOrderConsumption(order, changed[changed.length - 1].status);
+    });
+    document.getElementById('bulkStatus').value = '';
+    if (changed.length === 0) {
+      let reason = `The selected orders are already ${status}.`;
+      if (blocked.length || uninspected.length) {
+        reason = `None of the selected orders can be ${status.toLowerCase()} yet: they have quantity still to deliver or need a QC inspection.`;
+      }
+      showLiveAlert(reason, 'info');
+      return;
+    }
+    saveData('orders', 'stockMovements');
+    renderOrders();
+
+    const message = `${changed.length} order(s) moved to ${status}.` +
+      (blocked.length ? ` ${blocked.length} skipped with quantity still to deliver: ${blocked.join(', ')}.` : '') +
+      (uninspected.length ? ` ${uninspected.length} skipped without a QC inspection: ${uninspected.join(', ')}.` : '');
+    showLiveAlert(message, blocked.length || uninspected.length ? 'warning' : 'success', {
+      label: 'Undo',
+      handler: () => {
+        changed.forEach(({ id, status: previousStatus }) => {
+          const order = orders.find((o) => o.id === id);
+          if (order && order.status === status) {
+            recordOrderHistory(order, 'status', [{ field: 'Status', from: status, to: previousStatus }]);
+            order.status = previousStatus;
+            updateOrderConsumption(order, status);
+          }
+        });
+        saveData('orders', 'stockMovements');
+        renderOrders();
+        showLiveAlert(`Status change undone for ${changed.length} order(s).`, 'info');
+      },
+    });
+  }
+
+  /**
+   * Moves every selected order to the recycle bin, with one undo for the whole batch.
+   */
+  function bulkDeleteOrders() {
+    const selected = getSelectedOrders();
+    if (selected.length === 0) {
+      return;
+    }
+    const deletedAt = new Date().toISOString();
+    selected.forEach((order) => {
+      recordOrderHistory(order, 'deleted');
+      deletedOrders.push({ ...order, deletedAt });
+    });
+    const ids = selected.map((order) => order.id);
+    orders = orders.filter((order) => !selectedOrderIds.has(order.id));
+    selectedOrderIds.clear();
+    saveData('orders', 'deletedOrders');
+    renderOrders();
+    renderRecycleBin();
+    showLiveAlert(`${ids.length} order(s) moved to the Recycle Bin.`, 'danger', {
+      label: 'Undo',
+      handler: () => {
+        const failed = ids.filter((id) => restoreFromRecycleBin(id).error);
+        saveData('orders', 'deletedOrders');
+        renderOrders();
+        renderRecycleBin();
+        showLiveAlert(
+          failed.length
+            ? `${ids.length - failed.length} order(s) restored. ${failed.join(', ')} could not be restored because the customer was deleted.`
+            : `${ids.length} order(s) restored.`,
+          failed.length ? 'warning' : 'success'
+        );
+      },
+    });
+  }
+
+  /**
+   * Exports the selected orders to CSV.
+   */
+  function bulkExportOrders() {
+    exportToCSV(getSelectedOrders(), `electroplating_orders_selected_${getLocalDate(Date.now())}.csv`);
+  }
+
+  /**
+   * Generates a bill PDF for the selected orders, one per customer.
+   */
+  function bulkGenerateBills() {
+    const byCustomer = new Map();
+    getSelectedOrders().forEach((order) => {
+      byCustomer.set(order.customer.id, [...(byCustomer.get(order.customer.id) || []), order]);
+    });
+    let generated = 0;
+    byCustomer.forEach((customerOrders, customerId) => {
+      const customer = customers.find((c) => c.id === customerId);
+      const dates = customerOrders.map((order) => order.createdAt).sort();
+      const period = dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} to ${dates[dates.length - 1]}`;
+      if (customer && printBill(customer, customerOrders, period)) {
+        generated += 1;
+      }
+    });
+    if (generated > 0) {
+      showLiveAlert(`${generated} bill(s) generated for the selected orders.`);
+    }
+  }
+
+  /**
+   * Prints job cards for the selected orders.
+   */
+  function bulkPrintJobCards() {
+    printJobCards(getSelectedOrders().map((order) => order.id));
+  }
+
+  /**
+   * Returns the total weight of an order's items in kg.
+   * @param {Object} order - The order.
+   * @returns {number} The weight in kg.
+   */
+  function getOrderWeight(order) {
+    return order.items.reduce((sum, item) => sum + item.weightKg, 0);
+  }
+
+  /**
+   * Returns the short label of a billing unit, e.g. 'dm²'.
+   * @param {string} unit - The BILLING_UNITS key.
+   * @returns {string} The label.
+   */
+  function getUnitLabel(unit) {
+    return BILLING_UNITS[unit] ? BILLING_UNITS[unit].label : unit;
+  }
+
+  /**
+   * Finds the billing unit for text such as 'kg', 'pcs' or 'sq ft'. Blank text means kg.
+   * @param {string} text - The unit as written.
+   * @returns {string|null} The BILLING_UNITS key, or null if it is not recognised.
+   */
+  function parseBillingUnit(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (!value) {
+      return 'kg';
+    }
+    const match = Object.entries(BILLING_UNITS).find(
+      ([key, unit]) => key === value || unit.label === value || unit.aliases.includes(value)
+    );
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Describes an item's quantity for summaries, e.g. '500 pc, 12 kg' or '10 kg'.
+   * The weight is added when the item is not billed by weight.
+   * @param {Object} item - The order item.
+   * @returns {string} The quantity text.
+   */
+  function formatItemQuantity(item) {
+    const quantity = `${item.quantity} ${getUnitLabel(item.unit)}`;
+    return item.unit === 'kg' ? quantity : `${quantity}, ${item.weightKg} kg`;
+  }
+
+  /**
+   * Renders the board: one column per status with order cards and the column's total kg.
+   * Uses the same search, customer and month filters as the table.
+   */
+  function renderOrderBoard() {
+    const boardOrders = getFilteredOrders(false).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    document.getElementById('ordersBoard').innerHTML = ORDER_STATUSES.map((status, statusIndex) => {
+      const columnOrders = boardOrders.filter((order) => order.status === status);
+      const totalKg = columnOrders.reduce((sum, order) => sum + getOrderWeight(order), 0);
+      const cards = columnOrders.map((order) => `
+            <div class="card kanban-card" draggable="true" data-order-id="${order.id}">
+                <div class="card-body p-2">
+                    <div class="d-flex justify-content-between">
+                        <strong class="cursor-pointer" onclick="viewOrderDetails('${order.id}')">${escapeHtml(order.id)}</strong>
+                        <small class="text-muted">${order.createdAt}</small>
+                    </div>
+                    <div>${escapeHtml(order.customer.name)}</div>
+                    <small class="text-muted d-block">
+                        ${order.items.map((item) => `${escapeHtml(item.itemName)} (${formatItemQuantity(item)})`).join(', ')}
+                    </small>
+                    <div class="d-flex justify-content-between align-items-center mt-1">
+                        <span class="badge bg-light text-dark">${getOrderWeight(order).toFixed(2)} kg</span>
+                        <div class="btn-group btn-group-sm">
+                            ${statusIndex > 0 ? `<button class="btn btn-outline-secondary" onclick="changeOrderStatus('${order.id}', '${ORDER_STATUSES[statusIndex - 1]}')" title="Move to ${ORDER_STATUSES[statusIndex - 1]}"><i class="fas fa-chevron-left"></i></button>` : ''}
+                            ${statusIndex < ORDER_STATUSES.length - 1 ? `<button class="btn btn-outline-secondary" onclick="changeOrderStatus('${order.id}', '${ORDER_STATUSES[statusIndex + 1]}')" title="Move to ${ORDER_STATUSES[statusIndex + 1]}"><i class="fas fa-chevron-right"></i></button>` : ''}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+      return `
+            <div class="col-md-6 col-xl-3">
+                <div class="kanban-column" data-status="${status}">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <span class="status-badge ${getStatusBadgeClass(status)}">${status}</span>
+                        <small class="text-muted">${columnOrders.length} orders · ${totalKg.toFixed(2)} kg</small>
+                    </div>
+                    ${cards || '<p class="text-muted small text-center mb-0">No orders</p>'}
+                </div>
+            </div>
+        `;
+    }).join('');
+  }
+
+  /**
+   * Sets up drag and drop on the board. Listeners sit on the board itself, so they survive re-rendering.
+   */
+  function initOrderBoard() {
+    const board = document.getElementById('ordersBoard');
+    board.addEventListener('dragstart', (event) => {
+      const card = event.target.closest('.kanban-card');
+      if (card) {
+        event.dataTransfer.setData('text/plain', card.dataset.orderId);
+        event.dataTransfer.effectAllowed = 'move';
+      }
+    });
+    board.addEventListener('dragover', (event) => {
+      const column = event.target.closest('.kanban-column');
+      if (column) {
+        event.preventDefault(); // Allow dropping
+        column.classList.add('drag-over');
+      }
+    });
+    board.addEventListener('dragleave', (event) => {
+      const column = event.target.closest('.kanban-column');
+      if (column && !column.contains(event.relatedTarget)) {
+        column.classList.remove('drag-over');
+      }
+    });
+    board.addEventListener('drop', (event) => {
+      const column = event.target.closest('.kanban-column');
+      if (!column) {
+        return;
+      }
+      event.preventDefault();
+      column.classList.remove('drag-over');
+      changeOrderStatus(event.dataTransfer.getData('text/plain'), column.dataset.status);
+    });
+  }
+
+  /**
+   * Changes an order's status without going through the order form, with an Undo action in the alert.
+   * @param {string} id - The ID of the order.
+   * @param {string} status - The new status.
+   */
+  function changeOrderStatus(id, status) {
+    const order = orders.find((o) => o.id === id);
+    if (!order || order.status === status) {
+      return;
+    }
+    if (status === 'Delivered' && hasPendingDelivery(order)) {
+      showLiveAlert(`Order ${id} still has quantity to deliver. Issue a delivery challan for the balance.`, 'danger');
+      renderOrders(); // Put the dragged card back
+      return;
+    }
+    if (needsInspection(order, status)) {
+      showLiveAlert(`Order ${id} needs a QC inspection before it can be ${status.toLowerCase()}.`, 'danger', {
+        label: 'Inspect',
+        handler: () => openInspection(id, status),
+      });
+      renderOrders();
+      return;
+    }
+    const previousStatus = order.status;
+    recordOrderHistory(order, 'status', [{ field: 'Status', from: previousStatus, to: status }]);
+    order.status = status;
+    updateOrderConsumption(order, previousStatus);
+    saveData('orders', 'stockMovements');
+    renderOrders();
+    showLiveAlert(`Order ${id} moved to ${status}.`, 'success', {
+      label: 'Undo',
+      handler: () => changeOrderStatus(id, previousStatus),
+    });
+  }
+
+  /**
+   * Updates the summary cards (Total Orders, Pending, Completed, Total Revenue).
+   */
+  function updateSummaryCards() {
+    document.getElementById('total-orders').textContent = orders.length;
+    document.getElementById('pending-orders').textContent = orders.filter(
+      (order) => order.status === 'Pending' || order.status === 'In Progress'
+    ).length;
+    document.getElementById('completed-orders').textContent = orders.filter(
+      (order) => order.status === 'Completed' || order.status === 'Delivered'
+    ).length;
+    const totalRevenue = sumMoney(orders.map((order) => order.orderTotal));
+    document.getElementById('total-revenue').textContent = `₹${totalRevenue.toFixed(2)}`;
+
+    // Outstanding is what is still unpaid on orders; collected counts payments dated this month
+    const paidByOrder = computeOrderPayments();
+    const outstanding = sumMoney(orders.map((order) => Math.max(subtractMoney(order.orderTotal, paidByOrder.get(order.id) || 0), 0)));
+    document.getElementById('outstanding-amount').textContent = `₹${outstanding.toFixed(2)}`;
+    const currentMonth = new Date().toISOString().slice(0, 7);
+    const collectedThisMonth = sumMoney(
+      payments.filter((payment) => payment.date.startsWith(currentMonth)).map((payment) => payment.amount)
+    );
+    document.getElementById('collected-month').textContent = `₹${collectedThisMonth.toFixed(2)}`;
+    renderInventory(); // Completed orders use up stock, so balances and low stock alerts move with them
+  }
+
+  /**
+   * Displays detailed information about a specific order in a modal.
+   * @param {string} id - The ID of the order to view.
+   */
+  function viewOrderDetails(id) {
+    const order = orders.find((o) => o.id === id);
+    if (!order) {
+      showLiveAlert('Order not found.', 'danger');
+      return;
+    }
+
+    const customer = customers.find((c) => c.id === order.customer.id);
+    const customerPhone = customer ? customer.phone : 'N/A';
+    const invoice = order.invoiceId ? invoices.find((inv) => inv.id === order.invoiceId) : null;
+    const invoiceNumber = invoice ? invoice.number : '';
+    const quotation = order.quotationId ? quotations.find((q) => q.id === order.quotationId) : null;
+    const paidByOrder = computeOrderPayments();
+    const paid = paidByOrder.get(order.id) || 0;
+    const paymentStatus = getPaymentStatus(order, paidByOrder);
+
+    const orderChallans = challans.filter((challan) => challan.orderId === order.id);
+    const movements = getItemMovements(order);
+    const consumption = stockMovements
+      .filter((movement) => movement.orderId === order.id)
+      .map((movement) => {
+        const stockItem = stockItems.find((item) => item.id === movement.stockItemId);
+        return `${stockItem ? escapeHtml(stockItem.name) : 'Deleted item'} ${-movement.quantity} ${stockItem ? stockItem.unit : ''}`;
+      });
+
+    const inspection = order.inspection;
+    const belowSpec = getItemsBelowSpec(order);
+    const inspectionLine = (item) => {
+      const line = inspection ? inspection.lines.find((l) => l.itemId === item.id) : null;
+      if (!line) {
+        return '';
+      }
+      const unit = getUnitLabel(item.unit);
+      return `${line.measuredThicknessMicrons !== null ? `${line.measuredThicknessMicrons} µm measured${belowSpec.includes(item.itemName) ? ' <span class="text-danger">(below spec)</span>' : ''}, ` : ''}` +
+        `${line.accepted} ${unit} accepted, ${line.rejected} rejected, ${line.rework} for rework`;
+    };
+
+    let itemsHtml = order.items.map((item, index) => `
+        <h6>Item ${index + 1}: ${escapeHtml(item.itemName)}</h6>
+        <ul>
             <li><strong>Material:</strong> ${item.material}</li>
             <li><strong>Plating Types:</strong> ${item.platingTypes.join(', ')}</li>
-            <li><strong>Plating Prices (per kg):</strong> ${item.platingPrices.join(', ')}</li>
-            <li><strong>Quantity (kg):</strong> ${item.quantity}</li>
-            <li><strong>Rate per kg:</strong> ₹${item.itemRatePerKg.toFixed(2)}</li>
+            ${item.processSpec ? `<li><strong>Process Spec:</strong> ${escapeHtml(formatProcessSpec(item.processSpec))}</li>` : ''}
+            <li><strong>Plating Prices (per ${getUnitLabel(item.unit)}):</strong> ${item.platingPrices.join(', ')}</li>
+            <li><strong>Quantity:</strong> ${item.quantity} ${getUnitLabel(item.unit)}</li>
+            ${item.unit !== 'kg' ? `<li><strong>Weight:</strong> ${item.weightKg} kg</li>` : ''}
+            <li><strong>Rate per ${getUnitLabel(item.unit)}:</strong> ₹${item.itemRate.toFixed(2)}</li>
+            ${item.discount ? `<li><strong>${formatAdjustmentLabel('Discount', item.discount)}:</strong> -₹${item.discountAmount.toFixed(2)}</li>` : ''}
             <li><strong>Item Total:</strong> ₹${item.itemTotal.toFixed(2)}</li>
+            ${order.gstApply === 'yes' ? `<li><strong>GST Rate:</strong> ${getTaxRateLabel(item.taxRate)}</li>` : ''}
+            ${orderChallans.length ? `<li><strong>Received / Delivered (kg):</strong> ${movements.get(item.id).received} / ${movements.get(item.id).delivered}
+                (balance ${getItemBalance(item, movements)})</li>` : ''}
+            ${inspectionLine(item) ? `<li><strong>QC:</strong> ${inspectionLine(item)}</li>` : ''}
         </ul>
     `).join('');
 
+    const historyHtml = order.history.length
+      ? `<ul class="order-timeline small">${order.history.map((entry) => `
+            <li>
+                <strong>${ORDER_HISTORY_ACTIONS[entry.action] || entry.action}</strong>
+                <span class="text-muted">${new Date(entry.at).toLocaleString()}${entry.by ? ` by ${escapeHtml(entry.by)}` : ''}</span>
+                ${entry.changes.length ? `<div>${formatHistoryChanges(entry)}</div>` : ''}
+            </li>
+        `).join('')}</ul>`
+      : '<p class="text-muted small">No history recorded for this order.</p>';
 
     const modalContent = document.getElementById('orderDetailsContent');
     modalContent.innerHTML = `
         <p><strong>Order ID:</strong> ${order.id}</p>
-        <p><strong>Customer Name:</strong> ${order.customer.name}</p>
+        <p><strong>Customer Name:</strong> ${escapeHtml(order.customer.name)}</p>
         <p><strong>Customer Phone:</strong> ${customerPhone}</p>
         <p><strong>Order Date:</strong> ${order.createdAt}</p>
         <p><strong>Status:</strong> <span class="status-badge ${getStatusBadgeClass(
           order.status
         )}">${order.status}</span></p>
-        <p><strong>GST Applied:</strong> ${order.gstApply === 'yes' ? 'Yes (18%)' : 'No'}</p>
+        <p><strong>GST Applied:</strong> ${order.gstApply === 'yes' ? `Yes, ${TAX_BASIS_LABELS[order.taxBasis]}` : 'No'}</p>
+        ${quotation ? `<p><strong>Quotation:</strong> ${quotation.number}</p>` : ''}
+        ${invoiceNumber ? `<p><strong>Tax Invoice:</strong> ${invoiceNumber}</p>` : ''}
+        ${orderChallans.length ? `<p><strong>Challans:</strong> ${orderChallans.map((challan) => challan.number).join(', ')}</p>` : ''}
+        ${consumption.length ? `<p><strong>Stock Consumed:</strong> ${consumption.join(', ')}</p>` : ''}
+        <p><strong>QC Inspection:</strong> ${inspection
+          ? `${inspection.number}, ${inspection.date} by ${escapeHtml(inspection.inspector)}: <strong>${inspection.result}</strong>
+              ${inspection.remarks ? `<br><span class="text-muted">${escapeHtml(inspection.remarks)}</span>` : ''}`
+          : '<span class="text-muted">Not inspected yet</span>'}</p>
         <hr>
         ${itemsHtml}
         <hr>
+        ${order.adjustments.length ? `
+            <p class="text-end mb-1"><strong>Items Subtotal:</strong> ₹${order.subtotal.toFixed(2)}</p>
+            ${order.adjustments.map((adjustment) => `
+                <p class="text-end mb-1"><strong>${escapeHtml(adjustment.label)}:</strong> ${adjustment.amount < 0 ? '-' : ''}₹${Math.abs(adjustment.amount).toFixed(2)}</p>
+            `).join('')}
+        ` : ''}
+        <p class="text-end mb-1"><strong>Taxable Value:</strong> ₹${order.taxableValue.toFixed(2)}</p>
+        ${order.taxBreakup.map((group) => `
+            <p class="text-end mb-1">${group.rate === 0
+              ? `<strong>Exempt:</strong> ₹${group.taxableValue.toFixed(2)}`
+              : `<strong>GST @ ${group.rate}%</strong> on ₹${group.taxableValue.toFixed(2)}: ₹${group.tax.toFixed(2)}`}</p>
+        `).join('')}
+        ${order.roundOff ? `<p class="text-end mb-1"><strong>Round off:</strong> ${order.roundOff < 0 ? '-' : ''}₹${Math.abs(order.roundOff).toFixed(2)}</p>` : ''}
         <h5 class="text-end"><strong>Order Grand Total:</strong> ₹${order.orderTotal.toFixed(2)}</h5>
+        <p class="text-end mb-0">
+            <strong>Paid:</strong> ₹${paid.toFixed(2)} &nbsp;
+            <strong>Balance:</strong> ₹${Math.max(subtractMoney(order.orderTotal, paid), 0).toFixed(2)} &nbsp;
+            <span class="status-badge ${getPaymentBadgeClass(paymentStatus)}">${paymentStatus}</span>
+        </p>
+        <hr>
+        <h6>History</h6>
+        ${historyHtml}
     `;
+    document.getElementById('jobCardBtn').onclick = () => printJobCards(order.id);
+    document.getElementById('itemCardsBtn').onclick = () => printJobCards(order.id, true);
+    document.getElementById('inspectBtn').onclick = () => openInspection(order.id);
+    document.getElementById('certificateBtn').classList.toggle('d-none', !inspection);
+    document.getElementById('certificateBtn').onclick = () => printInspectionCertificate(order.id);
     const orderDetailsModal = new bootstrap.Modal(
       document.getElementById('orderDetailsModal')
     );
     orderDetailsModal.show();
   }
 
+  // How each tax basis is described on the order details
+  const TAX_BASIS_LABELS = {
+    exclusive: 'rates exclude GST',
+    inclusive: 'rates include GST',
+    legacy: 'added to each item (older order)',
+  };
+
   /**
    * Returns the appropriate Bootstrap badge class for a given order status.
    * @param {string} status - The status of the order.
@@ -634,26 +4039,534 @@ function showLiveAlert(message, type = 'success') {
     }
   }
 
-  // Variable to store the order being edited
-  let orderToEdit = null;
+  // Order fields compared for the history, with how to read them
+  const ORDER_HISTORY_FIELDS = [
+    { label: 'Customer', value: (order) => order.customer.name },
+    { label: 'Status', value: (order) => order.status },
+    { label: 'GST', value: (order) => order.gstApply },
+    { label: 'Order date', value: (order) => order.createdAt },
+    { label: 'Discount', value: (order) => formatAdjustment(order.discount) },
+    { label: 'Surcharges', value: (order) => order.surcharges.map((surcharge) => `${surcharge.name} ${formatAdjustment(surcharge)}`).join(', ') },
+    { label: 'Taxable value', value: (order) => order.taxableValue },
+    { label: 'Tax', value: (order) => order.taxTotal },
+    { label: 'Round off', value: (order) => order.roundOff },
+    { label: 'Total', value: (order) => order.orderTotal },
+    { label: 'QC result', value: (order) => (order.inspection ? order.inspection.result : '') },
+  ];
+  const ITEM_HISTORY_FIELDS = [
+    { label: 'name', value: (item) => item.itemName },
+    { label: 'material', value: (item) => item.material },
+    { label: 'plating', value: (item) => item.platingTypes.join(', ') },
+    { label: 'prices', value: (item) => item.platingPrices.join(', ') },
+    { label: 'unit', value: (item) => getUnitLabel(item.unit) },
+    { label: 'quantity', value: (item) => item.quantity },
+    { label: 'weight (kg)', value: (item) => item.weightKg },
+    { label: 'rate', value: (item) => item.itemRate },
+    { label: 'discount', value: (item) => formatAdjustment(item.discount) },
+    { label: 'GST rate', value: (item) => item.taxRate },
+    { label: 'total', value: (item) => item.itemTotal },
+    { label: 'process spec', value: (item) => formatProcessSpec(item.processSpec) },
+  ];
+
+  // Labels for the actions recorded in order history
+  const ORDER_HISTORY_ACTIONS = {
+    created: 'Created',
+    imported: 'Imported',
+    edited: 'Edited',
+    status: 'Status changed',
+    undone: 'Edit undone',
+    recalculated: 'Totals recalculated',
+    deleted: 'Deleted',
+    restored: 'Restored',
+    inward: 'Material received',
+    outward: 'Delivery challan',
+    inspected: 'QC inspection',
+  };
 
   /**
-   * Populates the order form with data from an existing order for editing.
-   * Changes the "Create Order" button to "Update Order".
-   * @param {string} id - The ID of the order to edit.
+   * Lists the field-level differences between two versions of an order.
+   * @param {Object} before - The order before the change.
+   * @param {Object} after - The order after the change.
+   * @returns {Object[]} Changes as { field, from, to }.
    */
-  function editOrder(id) {
-    orderToEdit = orders.find((o) => o.id === id);
-    if (!orderToEdit) {
-      showLiveAlert('Order not found for editing.', 'danger');
-      return;
+  function diffOrders(before, after) {
+    const changes = [];
+    const compare = (field, from, to) => {
+      if (String(from) !== String(to)) {
+        changes.push({ field, from, to });
+      }
+    };
+    ORDER_HISTORY_FIELDS.forEach(({ label, value }) => compare(label, value(before), value(after)));
+    for (let i = 0; i < Math.max(before.items.length, after.items.length); i++) {
+      const oldItem = before.items[i];
+      const newItem = after.items[i];
+      if (!newItem) {
+        changes.push({ field: `Item ${i + 1}`, from: oldItem.itemName, to: '(removed)' });
+      } else if (!oldItem) {
+        changes.push({ field: `Item ${i + 1}`, from: '', to: `${newItem.itemName} (added)` });
+      } else {
+        ITEM_HISTORY_FIELDS.forEach(({ label, value }) => compare(`Item ${i + 1} ${label}`, value(oldItem), value(newItem)));
+      }
     }
+    return changes;
+  }
 
-    // Populate main order fields
-    $('#customerSelect').val(orderToEdit.customer.id).trigger('change');
+  /**
+   * Adds a timestamped entry to an order's history.
+   * @param {Object} order - The order.
+   * @param {string} action - A key of ORDER_HISTORY_ACTIONS.
+   * @param {Object[]} [changes] - Field-level changes as { field, from, to }.
+   */
+  function recordOrderHistory(order, action, changes = []) {
+    order.history.push({ at: new Date().toISOString(), action, by: settings.staffName, changes });
+  }
+
+  /**
+   * Formats a history entry's changes as HTML lines.
+   * @param {Object} entry - The history entry.
+   * @returns {string} HTML with one line per change.
+   */
+  function formatHistoryChanges(entry) {
+    return entry.changes
+      .map((change) => `${escapeHtml(change.field)}: ${escapeHtml(String(change.from)) || '—'} → ${escapeHtml(String(change.to)) || '—'}`)
+      .join('<br>');
+  }
+
+  /**
+   * Returns the local calendar date of a timestamp.
+   * @param {string} timestamp - An ISO timestamp.
+   * @returns {string} The date as YYYY-MM-DD.
+   */
+  function getLocalDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Opens the activity log with history from all orders, including deleted ones.
+   */
+  function openActivityLog() {
+    renderActivityLog();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('activityLogModal')).show();
+  }
+
+  /**
+   * Renders the activity log, filtered by the date range and customer chosen in the modal.
+   */
+  function renderActivityLog() {
+    const fromDate = document.getElementById('activityFrom').value;
+    const toDate = document.getElementById('activityTo').value;
+    const customerId = document.getElementById('activityCustomer').value;
+
+    const entries = [...orders, ...deletedOrders]
+      .filter((order) => !customerId || order.customer.id === customerId)
+      .flatMap((order) => order.history.map((entry) => ({ ...entry, order })))
+      .filter((entry) => {
+        const day = getLocalDate(entry.at);
+        return (!fromDate || day >= fromDate) && (!toDate || day <= toDate);
+      })
+      .sort((a, b) => b.at.localeCompare(a.at));
+
+    document.getElementById('activityCount').textContent = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+    document.getElementById('activityTableBody').innerHTML = entries.length
+      ? entries.map((entry) => `
+            <tr>
+                <td class="text-nowrap">${new Date(entry.at).toLocaleString()}</td>
+                <td>${escapeHtml(entry.order.id)}</td>
+                <td>${escapeHtml(entry.order.customer.name)}</td>
+                <td>${ORDER_HISTORY_ACTIONS[entry.action] || entry.action}</td>
+                <td>${escapeHtml(entry.by || '')}</td>
+                <td class="small">${formatHistoryChanges(entry)}</td>
+            </tr>
+        `).join('')
+      : '<tr><td colspan="6" class="text-center text-muted">No activity found.</td></tr>';
+  }
+
+  // Chart.js instances in the analytics modal, by canvas ID, so they can be redrawn and exported
+  const analyticsCharts = {};
+
+  // Colours for chart series, starting with the app's theme colours
+  const CHART_COLORS = ['#4361ee', '#f8961e', '#4cc9f0', '#f94144', '#28a745', '#7209b7', '#ffba08', '#3f37c9', '#90be6d', '#6c757d'];
+
+  /**
+   * Opens the analytics dashboard, defaulting to the last 12 months.
+   */
+  function openAnalytics() {
+    if (!document.getElementById('analyticsFrom').value) {
+      setAnalyticsRange('last12');
+    }
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('analyticsModal')).show();
+    renderAnalytics();
+  }
+
+  /**
+   * Fills the analytics date range from a preset.
+   * @param {string} preset - 'thisMonth', 'last12', 'thisFY', 'lastFY' or 'all'.
+   */
+  function setAnalyticsRange(preset) {
+    const today = getLocalDate(Date.now());
+    const [year, month] = today.split('-').map(Number);
+    const fyStart = Number(getFinancialYear(today).split('-')[0]);
+    let from;
+    let to = today;
+    switch (preset) {
+      case 'thisMonth':
+        from = `${today.slice(0, 7)}-01`;
+        break;
+      case 'thisFY':
+        from = `${fyStart}-04-01`;
+        break;
+      case 'lastFY':
+        from = `${fyStart - 1}-04-01`;
+        to = `${fyStart}-03-31`;
+        break;
+      case 'all':
+        from = orders.reduce((earliest, order) => (order.createdAt < earliest ? order.createdAt : earliest), today);
+        break;
+      default: // last12: this month and the 11 before it
+        from = getLocalDate(new Date(year, month - 12, 1));
+    }
+    document.getElementById('analyticsPreset').value = preset;
+    document.getElementById('analyticsFrom').value = from;
+    document.getElementById('analyticsTo').value = to;
+  }
+
+  /**
+   * Lists the months (YYYY-MM) from one date to another, inclusive.
+   * @param {string} from - The start date (YYYY-MM-DD).
+   * @param {string} to - The end date (YYYY-MM-DD).
+   * @returns {string[]} The month keys in order.
+   */
+  function getMonthsBetween(from, to) {
+    const months = [];
+    let [year, month] = from.split('-').map(Number);
+    const last = to.slice(0, 7);
+    while (months.length < 600) { // Guard against a reversed or unreasonable range
+      const key = `${year}-${String(month).padStart(2, '0')}`;
+      if (key > last) {
+        break;
+      }
+      months.push(key);
+      month += 1;
+      if (month > 12) {
+        month = 1;
+        year += 1;
+      }
+    }
+    return months;
+  }
+
+  /**
+   * Moves a date (YYYY-MM-DD) or month (YYYY-MM) back by whole years.
+   * @param {string} value - The date or month.
+   * @param {number} years - The number of years to go back.
+   * @returns {string} The earlier date or month.
+   */
+  function yearsBefore(value, years) {
+    return `${Number(value.slice(0, 4)) - years}${value.slice(4)}`;
+  }
+
+  /**
+   * Formats a month key for chart labels, e.g. '2026-04' as 'Apr 2026'.
+   * @param {string} monthKey - The month (YYYY-MM).
+   * @returns {string} The label.
+   */
+  function formatMonthLabel(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleString('en-IN', { month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Adds up revenue and kg plated for orders dated within a range.
+   * Revenue is the taxable value (rate × quantity), so GST does not inflate the figures; kg is the recorded weight.
+   * @param {string} from - The start date (YYYY-MM-DD).
+   * @param {string} to - The end date (YYYY-MM-DD).
+   * @returns {Object} Totals and breakdowns by month, plating type, material, customer and item.
+   */
+  function summarizeOrders(from, to) {
+    const summary = {
+      revenue: 0,
+      kg: 0,
+      orders: 0,
+      byMonth: new Map(),
+      byPlating: new Map(),
+      byMaterial: new Map(),
+      byCustomer: new Map(),
+      byItem: new Map(),
+    };
+    const add = (map, key, revenue, kg) => {
+      const entry = map.get(key) || { revenue: 0, kg: 0 };
+      entry.revenue = sumMoney([entry.revenue, revenue]);
+      entry.kg += kg;
+      map.set(key, entry);
+    };
+
+    orders
+      .filter((order) => order.createdAt >= from && order.createdAt <= to)
+      .forEach((order) => {
+        summary.orders += 1;
+        // The order's taxable value, with its discounts, surcharges and top-ups, is shared over the items by their value
+        const itemRevenue = allocatePaise(toPaise(order.taxableValue), order.items.map((item) => toPaise(item.taxableValue)));
+        order.items.forEach((item, itemIndex) => {
+          const revenue = toRupees(itemRevenue[itemIndex]);
+          summary.revenue = sumMoney([summary.revenue, revenue]);
+          summary.kg += item.weightKg;
+          add(summary.byMonth, order.createdAt.slice(0, 7), revenue, item.weightKg);
+          add(summary.byMaterial, item.material, revenue, item.weightKg);
+          add(summary.byCustomer, order.customer.name, revenue, item.weightKg);
+          add(summary.byItem, item.itemName, revenue, item.weightKg);
+          // Each plating type earns its share of the item's revenue, in proportion to its price
+          const platingRevenue = allocatePaise(itemRevenue[itemIndex], item.platingPrices.map((price) => toPaise(price)));
+          item.platingTypes.forEach((type, index) => {
+            add(summary.byPlating, type, toRupees(platingRevenue[index] || 0), item.weightKg);
+          });
+        });
+      });
+    return summary;
+  }
+
+  /**
+   * Describes the change from one figure to another as a percentage for the KPI cards.
+   * @param {number} current - This period's figure.
+   * @param {number} previous - Last year's figure.
+   * @returns {string} HTML for the comparison line.
+   */
+  function formatYearOnYear(current, previous) {
+    if (!previous) {
+      return '<small class="text-muted">No data for last year</small>';
+    }
+    const change = ((current - previous) / previous) * 100;
+    const colorClass = change >= 0 ? 'text-success' : 'text-danger';
+    return `<small class="${colorClass}">${change >= 0 ? '+' : ''}${change.toFixed(1)}% vs last year</small>`;
+  }
+
+  /**
+   * Draws (or redraws) a chart on a canvas in the analytics modal.
+   * @param {string} canvasId - The ID of the canvas.
+   * @param {Object} config - The Chart.js configuration.
+   */
+  function drawAnalyticsChart(canvasId, config) {
+    if (analyticsCharts[canvasId]) {
+      analyticsCharts[canvasId].destroy();
+    }
+    analyticsCharts[canvasId] = new Chart(document.getElementById(canvasId), config);
+  }
+
+  /**
+   * Returns the largest entries of a breakdown, by revenue.
+   * @param {Map} map - A breakdown from summarizeOrders.
+   * @param {number} [limit=10] - How many entries to keep.
+   * @returns {Array} [name, { revenue, kg }] pairs.
+   */
+  function getTopEntries(map, limit = 10) {
+    return [...map.entries()].sort((a, b) => b[1].revenue - a[1].revenue).slice(0, limit);
+  }
+
+  /**
+   * Recalculates the KPIs and redraws every chart for the chosen date range.
+   */
+  function renderAnalytics() {
+    if (typeof Chart === 'undefined') {
+      showLiveAlert('Charts could not be loaded. Check your internet connection.', 'danger');
+      return;
+    }
+    const from = document.getElementById('analyticsFrom').value;
+    const to = document.getElementById('analyticsTo').value;
+    if (!from || !to || from > to) {
+      showLiveAlert('Please choose a valid date range.', 'danger');
+      return;
+    }
+
+    const current = summarizeOrders(from, to);
+    const lastYear = summarizeOrders(yearsBefore(from, 1), yearsBefore(to, 1));
+    const months = getMonthsBetween(from, to);
+    const labels = months.map(formatMonthLabel);
+    const monthValue = (summary, month, field) => (summary.byMonth.get(month) || { [field]: 0 })[field];
+    const rupees = (value) => `₹${value.toFixed(2)}`;
+
+    const averageRate = current.kg ? current.revenue / current.kg : 0;
+    const lastYearRate = lastYear.kg ? lastYear.revenue / lastYear.kg : 0;
+    const kpis = [
+      { label: 'Revenue (excl. GST)', value: rupees(current.revenue), compare: formatYearOnYear(current.revenue, lastYear.revenue) },
+      { label: 'Plated', value: `${current.kg.toFixed(2)} kg`, compare: formatYearOnYear(current.kg, lastYear.kg) },
+      { label: 'Orders', value: current.orders, compare: formatYearOnYear(current.orders, lastYear.orders) },
+      { label: 'Average Rate', value: `${rupees(averageRate)}/kg`, compare: formatYearOnYear(averageRate, lastYearRate) },
+    ];
+    document.getElementById('analyticsKpis').innerHTML = kpis.map((kpi) => `
+        <div class="col-md-3">
+            <div class="card summary-card h-100">
+                <div class="card-body">
+                    <h6 class="card-title text-muted">${kpi.label}</h6>
+                    <h4 class="mb-1">${kpi.value}</h4>
+                    ${kpi.compare}
+                </div>
+            </div>
+        </div>
+    `).join('');
+
+    drawAnalyticsChart('analyticsTrendChart', {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          { label: 'Revenue (₹)', data: months.map((month) => monthValue(current, month, 'revenue')), backgroundColor: CHART_COLORS[0], yAxisID: 'y' },
+          { label: 'Plated (kg)', data: months.map((month) => monthValue(current, month, 'kg')), type: 'line', borderColor: CHART_COLORS[1], backgroundColor: CHART_COLORS[1], yAxisID: 'y1' },
+        ],
+      },
+      options: {
+        maintainAspectRatio: false,
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: '₹' } },
+          y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'kg' } },
+        },
+      },
+    });
+
+    drawAnalyticsChart('analyticsYearChart', {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          { label: 'This period', data: months.map((month) => monthValue(current, month, 'revenue')), backgroundColor: CHART_COLORS[0] },
+          { label: 'Same month last year', data: months.map((month) => monthValue(lastYear, yearsBefore(month, 1), 'revenue')), backgroundColor: CHART_COLORS[2] },
+        ],
+      },
+      options: { maintainAspectRatio: false, scales: { y: { beginAtZero: true } } },
+    });
+
+    drawAnalyticsChart('analyticsRateChart', {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Average rate (₹/kg)',
+          // Months with nothing plated are left as gaps rather than shown as a zero rate
+          data: months.map((month) => {
+            const entry = current.byMonth.get(month);
+            return entry && entry.kg ? parseFloat((entry.revenue / entry.kg).toFixed(2)) : null;
+          }),
+          borderColor: CHART_COLORS[4],
+          backgroundColor: CHART_COLORS[4],
+          spanGaps: true,
+        }],
+      },
+      options: { maintainAspectRatio: false },
+    });
+
+    const splitChart = (canvasId, map) => {
+      const entries = getTopEntries(map);
+      drawAnalyticsChart(canvasId, {
+        type: 'doughnut',
+        data: {
+          labels: entries.map(([name]) => name),
+          datasets: [{ data: entries.map(([, entry]) => parseFloat(entry.revenue.toFixed(2))), backgroundColor: CHART_COLORS }],
+        },
+        options: { maintainAspectRatio: false, plugins: { legend: { position: 'right' } } },
+      });
+    };
+    splitChart('analyticsPlatingChart', current.byPlating);
+    splitChart('analyticsMaterialChart', current.byMaterial);
+
+    const topChart = (canvasId, map, color) => {
+      const entries = getTopEntries(map);
+      drawAnalyticsChart(canvasId, {
+        type: 'bar',
+        data: {
+          labels: entries.map(([name]) => name),
+          datasets: [
+            { label: 'Revenue (₹)', data: entries.map(([, entry]) => parseFloat(entry.revenue.toFixed(2))), backgroundColor: color },
+          ],
+        },
+        options: {
+          indexAxis: 'y',
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false },
+            tooltip: { callbacks: { afterLabel: (context) => `${entries[context.dataIndex][1].kg.toFixed(2)} kg` } },
+          },
+        },
+      });
+    };
+    topChart('analyticsCustomerChart', current.byCustomer, CHART_COLORS[0]);
+    topChart('analyticsItemChart', current.byItem, CHART_COLORS[1]);
+  }
+
+  /**
+   * Downloads one analytics chart as a PNG image.
+   * @param {string} canvasId - The ID of the chart's canvas.
+   */
+  function exportAnalyticsChart(canvasId) {
+    const chart = analyticsCharts[canvasId];
+    if (!chart) {
+      return;
+    }
+    const link = document.createElement('a');
+    link.href = chart.toBase64Image('image/png', 1);
+    link.download = `${canvasId.replace(/^analytics|Chart$/g, '')}_${document.getElementById('analyticsFrom').value}_to_${document.getElementById('analyticsTo').value}.png`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+
+  /**
+   * Exports all analytics charts to a PDF report, two charts per page.
+   */
+  function exportAnalyticsPdf() {
+    const chartIds = Object.keys(analyticsCharts);
+    if (chartIds.length === 0) {
+      showLiveAlert('Nothing to export yet.', 'warning');
+      return;
+    }
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ orientation: 'landscape' });
+    const from = document.getElementById('analyticsFrom').value;
+    const to = document.getElementById('analyticsTo').value;
+
+    chartIds.forEach((canvasId, index) => {
+      const onTop = index % 2 === 0;
+      if (index > 0 && onTop) {
+        doc.addPage();
+      }
+      if (onTop) {
+        doc.setFontSize(14);
+        doc.text(`${settings.business.name} - Analytics ${from} to ${to}`, 15, 12);
+      }
+      const canvas = document.getElementById(canvasId);
+      const title = canvas.closest('.card').querySelector('.card-header span').textContent;
+      const y = onTop ? 20 : 110;
+      doc.setFontSize(11);
+      doc.text(title, 15, y);
+      // Fit the chart into an 85mm tall slot across the page, keeping its aspect ratio
+      const ratio = canvas.width / (canvas.height || 1);
+      const height = Math.min(85, 267 / ratio);
+      doc.addImage(analyticsCharts[canvasId].toBase64Image('image/png', 1), 'PNG', 15, y + 3, height * ratio, height);
+    });
+
+    doc.save(`Analytics_${from}_to_${to}.pdf`);
+  }
+
+  // Variable to store the order being edited
+  let orderToEdit = null;
+
+  /**
+   * Populates the order form with data from an existing order for editing.
+   * Changes the "Create Order" button to "Update Order".
+   * @param {string} id - The ID of the order to edit.
+   */
+  function editOrder(id) {
+    orderToEdit = orders.find((o) => o.id === id);
+    if (!orderToEdit) {
+      showLiveAlert('Order not found for editing.', 'danger');
+      return;
+    }
+
+    // Populate main order fields
+    $('#customerSelect').val(orderToEdit.customer.id).trigger('change');
     document.getElementById('status').value = orderToEdit.status;
     document.getElementById('gstApply').value = orderToEdit.gstApply;
+    updateTaxBasisNote(orderToEdit.taxBasis); // Edits keep the basis the order was entered with
     document.getElementById('orderDate').value = orderToEdit.createdAt;
+    setOrderChargeInputs(orderToEdit.discount, orderToEdit.surcharges);
 
     // Clear existing item rows and populate with order's items
     const itemRowsContainer = document.getElementById('itemRowsContainer');
@@ -685,56 +4598,12 @@ function showLiveAlert(message, type = 'success') {
     const gstApply = document.getElementById('gstApply').value;
     const orderDate = document.getElementById('orderDate').value;
 
-    const itemRows = document.querySelectorAll('#itemRowsContainer .item-row');
-    if (itemRows.length === 0) {
-        showLiveAlert('Please add at least one item to the order.', 'danger');
+    const items = collectOrderItems(customerId, orderDate);
+    if (!items) {
         return;
     }
-
-    const updatedOrderItems = [];
-    let newOrderTotal = 0;
-    let hasError = false;
-
-    itemRows.forEach((row, index) => {
-        const itemName = row.querySelector('.item-name-input').value.trim();
-        const material = row.querySelector('.item-material-select').value;
-        const platingTypeSelect = $(row).find('.item-plating-type-select');
-        const platingTypes = platingTypeSelect.val() || [];
-        const platingPricesInput = row.querySelector('.item-plating-prices-input').value.trim();
-        const quantity = parseFloat(row.querySelector('.item-quantity-input').value);
-
-        if (!itemName || !material || platingTypes.length === 0 || !platingPricesInput || isNaN(quantity) || quantity <= 0) {
-            showLiveAlert(`Please fill in all fields for Item ${index + 1}.`, 'danger');
-            hasError = true;
-            return;
-        }
-
-        const platingPrices = platingPricesInput.split(',').map(Number);
-        if (platingPrices.length !== platingTypes.length) {
-            showLiveAlert(`Number of plating prices must match plating types for Item ${index + 1}.`, 'danger');
-            hasError = true;
-            return;
-        }
-
-        const itemRatePerKg = platingPrices.reduce((sum, price) => sum + price, 0);
-        let itemCalculatedTotal = itemRatePerKg * quantity;
-        if (gstApply === 'yes') {
-            itemCalculatedTotal *= 1.18;
-        }
-
-        updatedOrderItems.push({
-            itemName,
-            material,
-            platingTypes,
-            platingPrices,
-            quantity,
-            itemRatePerKg: parseFloat(itemRatePerKg.toFixed(2)),
-            itemTotal: parseFloat(itemCalculatedTotal.toFixed(2)),
-        });
-        newOrderTotal += itemCalculatedTotal;
-    });
-
-    if (hasError) {
+    const charges = collectOrderCharges();
+    if (!charges) {
         return;
     }
 
@@ -748,18 +4617,58 @@ function showLiveAlert(message, type = 'success') {
       showLiveAlert('Selected customer not found.', 'danger');
       return;
     }
+    if (status === 'Delivered' && orderToEdit.status !== 'Delivered' && hasPendingDelivery({ ...orderToEdit, items })) {
+      showLiveAlert('This order still has quantity to deliver. It becomes Delivered when the last delivery challan is issued.', 'danger');
+      return;
+    }
+    if (needsInspection({ ...orderToEdit, items }, status)) {
+      showLiveAlert(`This order needs a QC inspection before it can be ${status.toLowerCase()}. Open it and record the inspection first.`, 'danger');
+      return;
+    }
+
+    const previous = JSON.parse(JSON.stringify(orderToEdit)); // For undo
 
     // Update the existing order object in the array
     orderToEdit.customer = { id: customer.id, name: customer.name };
     orderToEdit.status = status;
     orderToEdit.gstApply = gstApply;
     orderToEdit.createdAt = orderDate;
-    orderToEdit.items = updatedOrderItems;
-    orderToEdit.orderTotal = parseFloat(newOrderTotal.toFixed(2));
+    // Only move the order to the current rate card if its prices actually changed
+    const pricesChanged =
+      items.length !== orderToEdit.items.length ||
+      items.some((item, i) =>
+        JSON.stringify(item.platingPrices) !== JSON.stringify(orderToEdit.items[i].platingPrices)
+      );
+    if (pricesChanged) {
+      orderToEdit.rateCardVersion = rateCard.version;
+    }
+    orderToEdit.items = items;
+    orderToEdit.discount = charges.discount;
+    orderToEdit.surcharges = charges.surcharges;
+    // Minimum charges stay as they were when the order was created
+    Object.assign(orderToEdit, calculateOrderTotals(items, gstApply, orderToEdit.taxBasis, orderToEdit));
+    // An inspection of other items or quantities no longer applies; the order is inspected again with a new certificate
+    if (orderToEdit.inspection && !inspectionCoversItems(orderToEdit)) {
+      orderToEdit.inspection = null;
+    }
+    const platedItems = (order) => JSON.stringify(order.items.map((item) => [item.platingTypes, item.weightKg]));
+    updateOrderConsumption(orderToEdit, previous.status, platedItems(previous) !== platedItems(orderToEdit));
+    // Items that were already on the order as the same item master entry were counted when they were added
+    const previousEntries = new Map(previous.items.map((item) => [item.id, findItemMasterEntry(item, previous.customer.id)]));
+    recordItemMasterUse(
+      orderToEdit,
+      items.filter((item) => !previousEntries.has(item.id) || previousEntries.get(item.id) !== findItemMasterEntry(item, customer.id))
+    );
+
+    const changes = diffOrders(previous, orderToEdit);
+    if (changes.length > 0) {
+      recordOrderHistory(orderToEdit, changes.every((change) => change.field === 'Status') ? 'status' : 'edited', changes);
+    }
 
-    saveData(); // Persist changes
+    saveData('orders', 'itemMaster', 'stockMovements'); // Persist changes
     renderOrders(); // Re-render table
     updateSummaryCards(); // Update summary
+    renderItemMaster();
     clearOrderForm(); // Clear form
 
     // Revert button back to "Create Order" state
@@ -768,229 +4677,3841 @@ function showLiveAlert(message, type = 'success') {
     addOrderBtn.onclick = addOrder; // Revert click handler
     orderToEdit = null; // Clear the order being edited
 
-    showLiveAlert('Order updated successfully!');
+    showLiveAlert('Order updated successfully!', 'success', { label: 'Undo', handler: () => undoOrderEdit(previous) });
+  }
+
+  /**
+   * Puts back an order as it was before an edit.
+   * @param {Object} previous - A copy of the order taken before the edit.
+   */
+  function undoOrderEdit(previous) {
+    const index = orders.findIndex((order) => order.id === previous.id);
+    if (index === -1) {
+      showLiveAlert('The order no longer exists, so the edit cannot be undone.', 'danger');
+      return;
+    }
+    const current = orders[index];
+    previous.history = current.history; // Keep the history of the edit being undone
+    recordOrderHistory(previous, 'undone', diffOrders(current, previous));
+    orders[index] = previous;
+    updateOrderConsumption(previous, current.status, true);
+    saveData('orders', 'stockMovements');
+    renderOrders();
+    updateSummaryCards();
+    highlightOrder(previous.id);
+    showLiveAlert(`Changes to order ${previous.id} undone.`);
+  }
+
+  /**
+   * Moves an order to the recycle bin, with an Undo action in the alert.
+   * @param {string} id - The ID of the order to delete.
+   */
+  function deleteOrder(id) {
+    const order = orders.find((o) => o.id === id);
+    if (!order) {
+      showLiveAlert('Order not found.', 'danger');
+      return;
+    }
+    recordOrderHistory(order, 'deleted');
+    orders = orders.filter((o) => o.id !== id); // Remove order from array
+    deletedOrders.push({ ...order, deletedAt: new Date().toISOString() });
+    saveData('orders', 'deletedOrders'); // Persist changes
+    renderOrders(); // Re-render table
+    updateSummaryCards(); // Update summary
+    renderRecycleBin();
+    showLiveAlert(`Order ${id} moved to the Recycle Bin.`, 'danger', { label: 'Undo', handler: () => restoreDeletedOrder(id) });
+  }
+
+  /**
+   * Opens the recycle bin with deleted orders and data snapshots.
+   */
+  function openRecycleBin() {
+    renderRecycleBin();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('recycleBinModal')).show();
+  }
+
+  /**
+   * Renders the deleted orders and snapshots in the recycle bin, and the count on the toolbar button.
+   */
+  function renderRecycleBin() {
+    document.getElementById('recycleBinCount').textContent = deletedOrders.length || '';
+
+    const ordersBody = document.getElementById('deletedOrdersTableBody');
+    const sortedOrders = [...deletedOrders].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    ordersBody.innerHTML = sortedOrders.length
+      ? sortedOrders.map((order) => `
+            <tr>
+                <td>${escapeHtml(order.id)}</td>
+                <td>${escapeHtml(order.customer.name)}</td>
+                <td>${order.createdAt}</td>
+                <td>₹${order.orderTotal.toFixed(2)}</td>
+                <td>${new Date(order.deletedAt).toLocaleString()}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-success" onclick="restoreDeletedOrder('${order.id}')" title="Restore">
+                        <i class="fas fa-undo"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="purgeDeletedOrder('${order.id}')" title="Delete permanently">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('')
+      : '<tr><td colspan="6" class="text-center text-muted">The recycle bin is empty.</td></tr>';
+
+    const snapshotsBody = document.getElementById('snapshotsTableBody');
+    const sortedSnapshots = [...snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    snapshotsBody.innerHTML = sortedSnapshots.length
+      ? sortedSnapshots.map((snapshot) => `
+            <tr>
+                <td>${new Date(snapshot.createdAt).toLocaleString()}</td>
+                <td>${escapeHtml(snapshot.reason)}</td>
+                <td>${snapshot.counts.customers} customers, ${snapshot.counts.orders} orders</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-success" onclick="restoreSnapshot('${snapshot.id}')" title="Restore">
+                        <i class="fas fa-undo"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteSnapshot('${snapshot.id}')" title="Delete snapshot">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('')
+      : '<tr><td colspan="4" class="text-center text-muted">No snapshots yet.</td></tr>';
+  }
+
+  /**
+   * Restores a deleted order from the recycle bin.
+   * @param {string} id - The ID of the deleted order.
+   */
+  function restoreDeletedOrder(id) {
+    const { error } = restoreFromRecycleBin(id);
+    if (error) {
+      showLiveAlert(error, 'danger');
+      return;
+    }
+    saveData('orders', 'deletedOrders');
+    renderOrders();
+    updateSummaryCards();
+    renderRecycleBin();
+    highlightOrder(id);
+    showLiveAlert(`Order ${id} restored.`);
+  }
+
+  /**
+   * Moves an order from the recycle bin back into the orders list, without saving or re-rendering.
+   * @param {string} id - The ID of the deleted order.
+   * @returns {{order?: Object, error?: string}} The restored order, or why it could not be restored.
+   */
+  function restoreFromRecycleBin(id) {
+    const deleted = deletedOrders.find((order) => order.id === id);
+    if (!deleted) {
+      return { error: 'Order not found in the Recycle Bin.' };
+    }
+    const customer = customers.find((c) => c.id === deleted.customer.id);
+    if (!customer) {
+      return { error: 'The customer of this order has been deleted, so it cannot be restored.' };
+    }
+
+    const { deletedAt, ...order } = deleted;
+    order.customer = { id: customer.id, name: customer.name }; // Pick up renames made while it was deleted
+    recordOrderHistory(order, 'restored');
+    deletedOrders = deletedOrders.filter((o) => o.id !== id);
+    orders.push(order);
+    return { order };
+  }
+
+  /**
+   * Permanently deletes an order from the recycle bin after confirmation.
+   * @param {string} id - The ID of the deleted order.
+   */
+  function purgeDeletedOrder(id) {
+    if (!confirm(`Permanently delete order ${id}? This cannot be undone.`)) {
+      return;
+    }
+    deletedOrders = deletedOrders.filter((order) => order.id !== id);
+    saveData('deletedOrders');
+    renderRecycleBin();
+    showLiveAlert(`Order ${id} permanently deleted.`, 'danger');
+  }
+
+  /**
+   * Permanently deletes every order in the recycle bin after confirmation.
+   */
+  function emptyRecycleBin() {
+    if (deletedOrders.length === 0) {
+      showLiveAlert('The Recycle Bin is already empty.', 'info');
+      return;
+    }
+    if (!confirm(`Permanently delete ${deletedOrders.length} order(s)? This cannot be undone.`)) {
+      return;
+    }
+    deletedOrders = [];
+    saveData('deletedOrders');
+    renderRecycleBin();
+    showLiveAlert('Recycle Bin emptied.', 'danger');
+  }
+
+  // Number of snapshots kept; the oldest is dropped when a new one is taken
+  const SNAPSHOT_LIMIT = 5;
+
+  /**
+   * Saves a full backup of the current data as a snapshot that can be restored from the recycle bin.
+   * @param {string} reason - Why the snapshot was taken, shown in the recycle bin.
+   * @returns {Object} The snapshot.
+   */
+  function takeSnapshot(reason) {
+    const snapshot = {
+      id: generateUniqueId('SNAP'),
+      reason,
+      createdAt: new Date().toISOString(),
+      counts: { customers: customers.length, orders: orders.length },
+      backup: JSON.parse(JSON.stringify(buildBackup())), // Copy, so later edits do not change the snapshot
+    };
+    snapshots = [...snapshots, snapshot]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, SNAPSHOT_LIMIT);
+    return snapshot;
+  }
+
+  /**
+   * Opens the restore preview for a snapshot, so it can be merged or restored like a backup file.
+   * @param {string} id - The ID of the snapshot.
+   */
+  function restoreSnapshot(id) {
+    const snapshot = snapshots.find((s) => s.id === id);
+    if (!snapshot) {
+      showLiveAlert('Snapshot not found.', 'danger');
+      return;
+    }
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('recycleBinModal')).hide();
+    openRestore();
+    // Snapshots are stored as taken, so one from an older version is brought up to the current data shape first
+    const backup = JSON.parse(JSON.stringify(snapshot.backup));
+    runDataMigrations(backup.data, backup.schemaVersion);
+    pendingRestore = backup;
+    renderRestorePreview();
+  }
+
+  /**
+   * Deletes a snapshot after confirmation.
+   * @param {string} id - The ID of the snapshot.
+   */
+  function deleteSnapshot(id) {
+    if (!confirm('Delete this snapshot? It can no longer be restored afterwards.')) {
+      return;
+    }
+    snapshots = snapshots.filter((snapshot) => snapshot.id !== id);
+    saveData('snapshots');
+    renderRecycleBin();
+    showLiveAlert('Snapshot deleted.', 'danger');
+  }
+
+  /**
+   * Opens the confirmation modal for clearing all data.
+   */
+  function confirmClearData() {
+    const clearDataModal = new bootstrap.Modal(
+      document.getElementById('clearDataModal')
+    );
+    clearDataModal.show();
+    document.getElementById('deleteConfirmation').value = ''; // Clear input on modal open
+    document.getElementById('confirmDeleteBtn').disabled = true; // Disable button
+  }
+
+  /**
+   * Clears all customers, orders, invoices, payments, challans and quotations from storage and the application.
+   * Settings, the rate card, stock items and number counters are kept. A snapshot is taken first so it can be undone.
+   * Requires user to type "DELETE" for confirmation.
+   */
+  function clearAllData() {
+    const confirmationInput = document.getElementById('deleteConfirmation').value;
+    if (confirmationInput === 'DELETE') {
+      const snapshot = takeSnapshot('Before Clear Data');
+      customers = [];
+      orders = [];
+      deletedOrders = [];
+      invoices = [];
+      payments = [];
+      challans = [];
+      quotations = [];
+      itemMaster = itemMaster.filter((entry) => entry.customerId === null); // Items of the cleared customers go with them
+      stockMovements = stockMovements.filter((movement) => movement.orderId === null); // Stock bought and counted stays
+      saveData();
+      refreshAllViews(); // Update UI
+      const clearDataModal = bootstrap.Modal.getInstance(
+        document.getElementById('clearDataModal')
+      );
+      clearDataModal.hide(); // Hide modal
+      showLiveAlert('All data has been cleared! A snapshot was saved in the Recycle Bin.', 'danger', {
+        label: 'Undo',
+        handler: () => {
+          applyBackup(snapshot.backup, 'replace');
+          refreshAllViews();
+          showLiveAlert('Data restored from the snapshot.');
+        },
+      });
+    } else {
+      showLiveAlert('Type "DELETE" to confirm data deletion.', 'danger');
+    }
+  }
+
+  /**
+   * Adds a temporary highlight animation to an order's table row and board card.
+   * @param {string} orderId - The ID of the order row to highlight.
+   */
+  function highlightOrder(orderId) {
+    // The order can appear both as a table row and as a board card
+    document.querySelectorAll(`[data-order-id="${orderId}"]`).forEach((row) => {
+      row.classList.add('order-highlight');
+      setTimeout(() => {
+        row.classList.remove('order-highlight');
+      }, 2000); // Remove highlight after 2 seconds
+    });
+  }
+
+  /**
+   * Exports all order data to a CSV file.
+   */
+  function exportToCSV(exportOrders = orders, fileName = 'electroplating_orders.csv') {
+    let csvContent = 'data:text/csv;charset=utf-8,';
+    csvContent +=
+      'Order ID,Customer,Items (Name, Material, Plating, Qty, Rate, Discount, Item Total),Subtotal,Adjustments,Taxable Value,GST,Round Off,Total,Status,Date\n';
+
+    exportOrders.forEach((order) => {
+      // Flatten items into a single string for CSV
+      const itemsDetails = order.items.map(item =>
+        `${item.itemName} (${item.material}, ${item.platingTypes.join('/')}, ${formatItemQuantity(item)}, ₹${item.itemRate.toFixed(2)}/${getUnitLabel(item.unit)}, ` +
+        `${item.discount ? `${formatAdjustmentLabel('discount', item.discount)} -₹${item.discountAmount.toFixed(2)}` : 'no discount'}, ₹${item.itemTotal.toFixed(2)})`
+      ).join('; '); // Use semicolon to separate multiple items
+      const adjustmentDetails = order.adjustments.map((adjustment) => `${adjustment.label}: ${adjustment.amount.toFixed(2)}`).join('; ');
+
+      const row = [
+        order.id,
+        order.customer.name,
+        `"${itemsDetails}"`, // Enclose with quotes for commas/semicolons within cell
+        order.subtotal.toFixed(2),
+        `"${adjustmentDetails}"`,
+        order.taxableValue.toFixed(2),
+        order.taxTotal.toFixed(2),
+        order.roundOff.toFixed(2),
+        order.orderTotal.toFixed(2),
+        order.status,
+        order.createdAt,
+      ].join(',');
+      csvContent += row + '\n';
+    });
+
+    const encodedUri = encodeURI(csvContent);
+    const link = document.createElement('a');
+    link.setAttribute('href', encodedUri);
+    link.setAttribute('download', fileName);
+    document.body.appendChild(link); // Required for Firefox
+    link.click();
+    document.body.removeChild(link); // Clean up
+    showLiveAlert('Orders exported to CSV!');
+  }
+
+  /**
+   * Calculates the CRC-32 checksum of a string (UTF-8 encoded).
+   * @param {string} text - The text to checksum.
+   * @returns {string} The checksum as 8 hex digits.
+   */
+  function crc32(text) {
+    const bytes = new TextEncoder().encode(text);
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc ^= bytes[i];
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+      }
+    }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Lists the collections that go into backup files.
+   * @returns {Array} [key, collection] pairs from DATA_COLLECTIONS.
+   */
+  function getBackupCollections() {
+    return Object.entries(DATA_COLLECTIONS).filter(([, collection]) => collection.backup !== false);
+  }
+
+  /**
+   * Builds a full backup of all stored data with schema version and checksum.
+   * @returns {Object} The backup object, ready to be written as JSON.
+   */
+  function buildBackup() {
+    const data = {};
+    getBackupCollections().forEach(([key, collection]) => {
+      data[key] = collection.get();
+    });
+    return {
+      app: 'harshad-electroplating',
+      schemaVersion: DATA_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      checksum: { algorithm: 'CRC-32', value: crc32(JSON.stringify(data)) },
+      data,
+    };
+  }
+
+  /**
+   * Downloads a full backup of customers, orders, settings and all other data as a JSON file.
+   */
+  function downloadBackup() {
+    const backup = buildBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `electroplating_backup_${backup.exportedAt.slice(0, 10)}.json`);
+    document.body.appendChild(link); // Required for Firefox
+    link.click();
+    document.body.removeChild(link); // Clean up
+    URL.revokeObjectURL(url);
+    showLiveAlert('Backup downloaded successfully!');
+  }
+
+  /**
+   * Checks that a parsed backup file is complete and unmodified.
+   * @param {Object} backup - The parsed backup file.
+   * @returns {string[]} A list of problems; empty if the backup is valid.
+   */
+  function validateBackup(backup) {
+    const errors = [];
+    if (!backup || backup.app !== 'harshad-electroplating' || !backup.data) {
+      return ['This is not an electroplating backup file.'];
+    }
+    if (typeof backup.schemaVersion !== 'number' || backup.schemaVersion > DATA_SCHEMA_VERSION) {
+      errors.push(`Backup schema version ${backup.schemaVersion} is newer than this app supports (${DATA_SCHEMA_VERSION}).`);
+    }
+    if (!backup.checksum || backup.checksum.value !== crc32(JSON.stringify(backup.data))) {
+      errors.push('Checksum does not match. The file is damaged or was edited by hand.');
+    }
+    getBackupCollections().forEach(([key, collection]) => {
+      const value = backup.data[key];
+      if (value === undefined) {
+        return; // Older backups may not have every collection
+      }
+      if (collection.type === 'list') {
+        if (!Array.isArray(value) || value.some((record) => !record || typeof record.id !== 'string')) {
+          errors.push(`${collection.label} must be a list of records with IDs.`);
+        }
+      } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${collection.label} must be an object.`);
+      } else if (collection.validate && collection.validate(value)) {
+        errors.push(collection.validate(value));
+      }
+    });
+    return errors;
+  }
+
+  // Backup waiting to be restored after the user has reviewed the preview
+  let pendingRestore = null;
+
+  /**
+   * Opens the restore modal with an empty file selection.
+   */
+  function openRestore() {
+    pendingRestore = null;
+    document.getElementById('restoreFile').value = '';
+    document.getElementById('restorePreview').innerHTML = '';
+    document.getElementById('confirmRestoreBtn').disabled = true;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('restoreModal')).show();
+  }
+
+  /**
+   * Reads the chosen backup file, validates it and shows the restore preview.
+   * @param {Event} event - The change event of the file input.
+   */
+  function loadRestoreFile(event) {
+    const file = event.target.files[0];
+    pendingRestore = null;
+    document.getElementById('confirmRestoreBtn').disabled = true;
+    if (!file) {
+      document.getElementById('restorePreview').innerHTML = '';
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      let backup;
+      try {
+        backup = JSON.parse(reader.result);
+      } catch (error) {
+        renderRestoreErrors(['The file is not valid JSON.']);
+        return;
+      }
+      const errors = validateBackup(backup);
+      if (errors.length > 0) {
+        renderRestoreErrors(errors);
+        return;
+      }
+      runDataMigrations(backup.data, backup.schemaVersion); // Bring older backups up to the current data shape
+      pendingRestore = backup;
+      renderRestorePreview();
+    };
+    reader.onerror = () => renderRestoreErrors(['The file could not be read.']);
+    reader.readAsText(file);
+  }
+
+  /**
+   * Shows validation problems in the restore modal.
+   * @param {string[]} errors - The problems found.
+   */
+  function renderRestoreErrors(errors) {
+    document.getElementById('restorePreview').innerHTML = `
+        <div class="alert alert-danger">
+            <strong>This backup cannot be restored:</strong>
+            <ul class="mb-0">${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+        </div>
+    `;
+  }
+
+  /**
+   * Returns the restore mode chosen in the restore modal.
+   * @returns {string} 'replace' or 'merge'.
+   */
+  function getRestoreMode() {
+    return document.querySelector('input[name="restoreMode"]:checked').value;
+  }
+
+  /**
+   * Works out what restoring the pending backup would change, per collection.
+   * @param {Object} backup - The validated backup.
+   * @param {string} mode - 'replace' or 'merge'.
+   * @returns {Object[]} One summary per collection: { key, label, type, added, updated, unchanged, removed, changed }.
+   */
+  function diffBackup(backup, mode) {
+    return getBackupCollections().map(([key, collection]) => {
+      const current = collection.get();
+      const incoming = backup.data[key];
+      const summary = { key, label: collection.label, type: collection.type, added: 0, updated: 0, unchanged: 0, removed: 0, changed: false };
+      if (incoming === undefined) {
+        return summary;
+      }
+      if (collection.type === 'list') {
+        const currentById = new Map(current.map((record) => [record.id, record]));
+        const incomingIds = new Set(incoming.map((record) => record.id));
+        incoming.forEach((record) => {
+          if (!currentById.has(record.id)) {
+            summary.added++;
+          } else if (JSON.stringify(currentById.get(record.id)) !== JSON.stringify(record)) {
+            summary.updated++;
+          } else {
+            summary.unchanged++;
+          }
+        });
+        if (mode === 'replace') {
+          summary.removed = current.filter((record) => !incomingIds.has(record.id)).length;
+        }
+        summary.changed = summary.added + summary.updated + summary.removed > 0;
+      } else {
+        const result = mode === 'replace' ? incoming : collection.merge(current, incoming);
+        summary.changed = JSON.stringify(result) !== JSON.stringify(current);
+      }
+      return summary;
+    });
+  }
+
+  /**
+   * Renders the preview of what the pending restore will change.
+   */
+  function renderRestorePreview() {
+    if (!pendingRestore) {
+      return;
+    }
+    const mode = getRestoreMode();
+    const summaries = diffBackup(pendingRestore, mode);
+    document.getElementById('restorePreview').innerHTML = `
+        <p class="mb-2">
+            Backup from <strong>${new Date(pendingRestore.exportedAt).toLocaleString()}</strong>
+            (schema version ${pendingRestore.schemaVersion}). Checksum verified.
+        </p>
+        <table class="table table-sm table-bordered">
+            <thead class="table-dark">
+                <tr><th>Data</th><th>Added</th><th>Updated</th><th>Unchanged</th><th>Removed</th></tr>
+            </thead>
+            <tbody>
+                ${summaries.map((summary) => summary.type === 'list' ? `
+                    <tr>
+                        <td>${summary.label}</td>
+                        <td>${summary.added}</td>
+                        <td>${summary.updated}</td>
+                        <td>${summary.unchanged}</td>
+                        <td class="${summary.removed ? 'text-danger fw-bold' : ''}">${summary.removed}</td>
+                    </tr>
+                ` : `
+                    <tr>
+                        <td>${summary.label}</td>
+                        <td colspan="4">${summary.changed ? (mode === 'replace' ? 'Will be replaced' : 'Will be merged') : 'No change'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${mode === 'replace' ? '<p class="text-danger mb-0">Replace removes everything that is not in the backup.</p>' : ''}
+    `;
+    document.getElementById('confirmRestoreBtn').disabled = false;
+  }
+
+  /**
+   * Replaces or merges the current data with a backup's data and saves it.
+   * Replacing empties the collections an older backup does not have; merging leaves them as they are.
+   * @param {Object} backup - The validated backup.
+   * @param {string} mode - 'replace' or 'merge'.
+   */
+  function applyBackup(backup, mode) {
+    const data = JSON.parse(JSON.stringify(backup.data)); // A copy, so later edits never change a stored snapshot
+    getBackupCollections().forEach(([key, collection]) => {
+      const incoming = data[key];
+      if (incoming === undefined) {
+        if (mode === 'replace') {
+          collection.set(collection.type === 'list' ? [] : collection.initial());
+        }
+        return;
+      }
+      if (collection.type === 'list') {
+        collection.set(mode === 'replace' ? incoming : mergeRecordsById(collection.get(), incoming));
+      } else {
+        collection.set(mode === 'replace' ? incoming : collection.merge(collection.get(), incoming));
+      }
+    });
+    settings = withDefaultSettings(settings); // Fill in settings that older backups did not have
+    saveData();
+  }
+
+  /**
+   * Applies the pending backup in the chosen mode and refreshes every view.
+   */
+  function confirmRestore() {
+    if (!pendingRestore) {
+      showLiveAlert('Please choose a valid backup file first.', 'danger');
+      return;
+    }
+    const mode = getRestoreMode();
+    applyBackup(pendingRestore, mode);
+    refreshAllViews();
+    pendingRestore = null;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('restoreModal')).hide();
+    showLiveAlert(mode === 'replace' ? 'Backup restored successfully!' : 'Backup merged successfully!');
+  }
+
+  /**
+   * Re-renders every list, dropdown and summary after data has changed wholesale.
+   */
+  function refreshAllViews() {
+    renderCustomers();
+    renderOrders();
+    renderRateCard();
+    renderInvoices();
+    renderPayments();
+    renderChallans();
+    renderChallanOrders();
+    renderQuotations();
+    renderItemMaster();
+    renderInventory();
+    renderRecycleBin();
+    renderSavedViews();
+    updateSummaryCards();
+  }
+
+  // Fields the import wizard can map spreadsheet columns to. Aliases help guess the mapping from header names.
+  const IMPORT_FIELDS = {
+    customers: [
+      { key: 'name', label: 'Name', required: true, aliases: ['customer', 'customer name', 'party', 'party name'] },
+      { key: 'phone', label: 'Phone', required: true, aliases: ['mobile', 'mobile no', 'phone no', 'contact no'] },
+      { key: 'contactPerson', label: 'Contact Person', aliases: ['contact'] },
+      { key: 'gstin', label: 'GSTIN', aliases: ['gst', 'gst no', 'gst number'] },
+      { key: 'state', label: 'State', aliases: ['state code'] },
+      { key: 'address', label: 'Address', aliases: [] },
+      { key: 'notes', label: 'Notes', aliases: ['remarks'] },
+    ],
+    orders: [
+      { key: 'orderRef', label: 'Order Ref (rows with the same ref become one order)', aliases: ['order', 'order no', 'order id', 'job no'] },
+      { key: 'customerName', label: 'Customer Name', aliases: ['customer', 'party', 'party name'] },
+      { key: 'customerPhone', label: 'Customer Phone', aliases: ['phone', 'mobile', 'mobile no'] },
+      { key: 'date', label: 'Date', required: true, aliases: ['order date', 'created at'] },
+      { key: 'status', label: 'Status', aliases: [] },
+      { key: 'gst', label: 'GST (yes/no)', aliases: ['gst apply', 'gst applied'] },
+      { key: 'itemName', label: 'Item Name', required: true, aliases: ['item', 'part', 'part name'] },
+      { key: 'material', label: 'Material', required: true, aliases: ['base metal'] },
+      { key: 'platingTypes', label: 'Plating Types', required: true, aliases: ['plating', 'plating type', 'finish'] },
+      { key: 'platingPrices', label: 'Prices (blank = rate card)', aliases: ['price', 'prices', 'rate', 'rates', 'plating prices'] },
+      { key: 'quantity', label: 'Quantity (in the billing unit)', required: true, aliases: ['qty', 'weight', 'kg', 'qty kg'] },
+      { key: 'unit', label: 'Billing Unit (blank = kg)', aliases: ['uom', 'billing unit', 'per'] },
+      { key: 'weightKg', label: 'Weight kg (when not billed per kg)', aliases: ['weight kg', 'net weight', 'production weight'] },
+      { key: 'taxRate', label: 'GST Rate % (blank = default, 0 or exempt)', aliases: ['gst rate', 'gst %', 'tax rate', 'tax %'] },
+      { key: 'discount', label: 'Item Discount (% or amount)', aliases: ['disc', 'discount %', 'item discount'] },
+    ],
+  };
+
+  // State of the import wizard between steps
+  let importState = { type: 'customers', headers: [], rows: [], mapping: {}, plan: null };
+
+  /**
+   * Parses CSV text into rows of cells. Handles quoted cells, escaped quotes and line breaks inside quotes.
+   * The delimiter (comma, semicolon or tab) is detected from the first line.
+   * @param {string} text - The CSV text.
+   * @returns {string[][]} The rows.
+   */
+  function parseCSV(text) {
+    const firstLine = text.split(/\r?\n/)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    );
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Normalises a header or alias for comparison: lower case, letters and digits only.
+   * @param {string} text - The header text.
+   * @returns {string} The normalised text.
+   */
+  function normalizeHeader(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Reduces a phone number to its last ten digits so '+91 98250-12345' matches '9825012345'.
+   * @param {string} phone - The phone number.
+   * @returns {string} The normalised phone number.
+   */
+  function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+  }
+
+  /**
+   * Converts an imported date to YYYY-MM-DD. Accepts YYYY-MM-DD and the Indian DD-MM-YYYY or DD/MM/YYYY.
+   * @param {string} value - The date as found in the file.
+   * @returns {string|null} The normalised date, or null if it is not a valid date.
+   */
+  function normalizeImportDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    let year, month, day;
+    if (match) {
+      [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+      [, day, month, year] = match;
+    } else {
+      return null;
+    }
+    const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date) ? date : null;
+  }
+
+  /**
+   * Opens the import wizard at its first step.
+   */
+  function openImportWizard() {
+    importState = { type: 'customers', headers: [], rows: [], mapping: {}, plan: null };
+    document.getElementById('importFile').value = '';
+    document.getElementById('importType').value = 'customers';
+    showImportStep(1);
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal')).show();
+  }
+
+  /**
+   * Shows one step of the import wizard and the buttons that belong to it.
+   * @param {number} step - 1 (file), 2 (column mapping) or 3 (validation report).
+   */
+  function showImportStep(step) {
+    [1, 2, 3].forEach((n) => {
+      document.getElementById(`importStep${n}`).classList.toggle('d-none', n !== step);
+    });
+    document.getElementById('importBackBtn').classList.toggle('d-none', step === 1);
+    document.getElementById('importValidateBtn').classList.toggle('d-none', step !== 2);
+    document.getElementById('importCommitBtn').classList.toggle('d-none', step !== 3);
+  }
+
+  /**
+   * Goes back one step in the import wizard.
+   */
+  function importBack() {
+    showImportStep(document.getElementById('importStep3').classList.contains('d-none') ? 1 : 2);
+  }
+
+  /**
+   * Reads the chosen CSV or Excel file in the browser and moves on to column mapping.
+   * @param {Event} event - The change event of the file input.
+   */
+  function loadImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    importState.type = document.getElementById('importType').value;
+    const isExcel = /\.xlsx?$/i.test(file.name);
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      let rows;
+      try {
+        if (isExcel) {
+          if (typeof XLSX === 'undefined') {
+            showLiveAlert('Excel support could not be loaded. Save the sheet as CSV and try again.', 'danger');
+            return;
+          }
+          const workbook = XLSX.read(new Uint8Array(reader.result), { type: 'array', cellDates: true });
+          const sheet = workbook.Sheets[workbook.SheetNames[0]];
+          rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' });
+        } else {
+          rows = parseCSV(String(reader.result).replace(/^﻿/, '')); // Drop the BOM Excel adds to CSV files
+        }
+      } catch (error) {
+        console.error(error);
+        showLiveAlert('The file could not be read.', 'danger');
+        return;
+      }
+
+      rows = rows.filter((row) => row.some((cell) => String(cell).trim() !== ''));
+      if (rows.length < 2) {
+        showLiveAlert('The file needs a header row and at least one data row.', 'danger');
+        return;
+      }
+      importState.headers = rows[0].map((header) => String(header).trim());
+      importState.rows = rows.slice(1).map((row) => importState.headers.map((header, i) => String(row[i] ?? '').trim()));
+      renderImportMapping();
+      showImportStep(2);
+    };
+    reader.onerror = () => showLiveAlert('The file could not be read.', 'danger');
+    if (isExcel) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  }
+
+  /**
+   * Renders one column dropdown per importable field, pre-selecting columns whose header matches the field.
+   */
+  function renderImportMapping() {
+    const fields = IMPORT_FIELDS[importState.type];
+    const normalizedHeaders = importState.headers.map(normalizeHeader);
+    document.getElementById('importMapping').innerHTML = `
+        <p class="text-muted">${importState.rows.length} data row(s) found. Match each field to a column in your file.</p>
+        ${fields.map((field) => {
+          const candidates = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+          const guess = normalizedHeaders.findIndex((header) => candidates.includes(header));
+          return `
+            <div class="row mb-2 align-items-center">
+                <label class="col-md-5 col-form-label" for="importMap-${field.key}">
+                    ${field.label}${field.required ? ' <span class="text-danger">*</span>' : ''}
+                </label>
+                <div class="col-md-7">
+                    <select class="form-select form-select-sm import-map-select" id="importMap-${field.key}" data-field="${field.key}">
+                        <option value="">Not mapped</option>
+                        ${importState.headers.map((header, i) => `<option value="${i}" ${i === guess ? 'selected' : ''}>${escapeHtml(header || `Column ${i + 1}`)}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+          `;
+        }).join('')}
+    `;
+  }
+
+  /**
+   * Reads the chosen column mapping and the value of every mapped field for one data row.
+   * @param {string[]} row - The data row.
+   * @returns {Object} Field values keyed by field key ('' for unmapped fields).
+   */
+  function readImportRow(row) {
+    const values = {};
+    IMPORT_FIELDS[importState.type].forEach((field) => {
+      const column = importState.mapping[field.key];
+      values[field.key] = column === undefined ? '' : row[column];
+    });
+    return values;
+  }
+
+  /**
+   * Finds a customer by normalised phone number.
+   * @param {string} phone - The phone number.
+   * @returns {Object|undefined} The matching customer.
+   */
+  function findCustomerByPhone(phone) {
+    const normalized = normalizePhone(phone);
+    return normalized ? customers.find((customer) => normalizePhone(customer.phone) === normalized) : undefined;
+  }
+
+  /**
+   * Converts a state name or code from a file to a GST state code.
+   * @param {string} value - The state name or code.
+   * @returns {string} The state code, or '' if not recognised.
+   */
+  function resolveStateCode(value) {
+    const text = String(value || '').trim().toLowerCase();
+    const state = INDIAN_STATES.find((s) => s.code === text.padStart(2, '0') || s.name.toLowerCase() === text);
+    return state ? state.code : '';
+  }
+
+  /**
+   * Checks every customer row and decides what would be imported.
+   * @returns {Object} The plan: { report[], customers[] } where each report entry is { row, status, messages[] }.
+   */
+  function planCustomerImport() {
+    const plan = { report: [], customers: [], orders: [] };
+    const seenPhones = new Set();
+    importState.rows.forEach((row, index) => {
+      const values = readImportRow(row);
+      const entry = { row: index + 2, status: 'ok', messages: [] }; // +2: header row and 1-based numbering
+      const gstin = values.gstin.toUpperCase();
+
+      if (!values.name || !values.phone) {
+        entry.messages.push('Name and phone are required.');
+      }
+      if (gstin && !isValidGstin(gstin)) {
+        entry.messages.push(`Invalid GSTIN "${values.gstin}".`);
+      }
+      if (values.state && !resolveStateCode(values.state)) {
+        entry.messages.push(`Unknown state "${values.state}".`);
+      }
+      if (entry.messages.length > 0) {
+        entry.status = 'error';
+      } else if (findCustomerByPhone(values.phone)) {
+        entry.status = 'skip';
+        entry.messages.push(`Already exists as ${findCustomerByPhone(values.phone).name} (same phone). Skipped.`);
+      } else if (seenPhones.has(normalizePhone(values.phone))) {
+        entry.status = 'skip';
+        entry.messages.push('Same phone as an earlier row in this file. Skipped.');
+      } else {
+        seenPhones.add(normalizePhone(values.phone));
+        plan.customers.push({
+          id: generateUniqueId('CUST'),
+          name: values.name,
+          phone: values.phone,
+          contactPerson: values.contactPerson,
+          gstin,
+          stateCode: resolveStateCode(values.state) || (gstin ? gstin.slice(0, 2) : ''),
+          address: values.address,
+          notes: values.notes,
+        });
+        entry.messages.push('New customer.');
+      }
+      plan.report.push(entry);
+    });
+    return plan;
+  }
+
+  /**
+   * Checks every order row with the same rules as the order form and groups rows into orders.
+   * Rows sharing an order ref become one order; an order with any bad row is not imported.
+   * @returns {Object} The plan: { report[], customers[], orders[] }.
+   */
+  function planOrderImport() {
+    const plan = { report: [], customers: [], orders: [] };
+    const groups = new Map(); // order key -> { entries[], values[] }
+
+    importState.rows.forEach((row, index) => {
+      const values = readImportRow(row);
+      const entry = { row: index + 2, status: 'ok', messages: [] };
+      plan.report.push(entry);
+      const key = values.orderRef ? `ref:${values.orderRef}` : `row:${index}`;
+      if (!groups.has(key)) {
+        groups.set(key, { entries: [], values: [] });
+      }
+      groups.get(key).entries.push(entry);
+      groups.get(key).values.push(values);
+    });
+
+    const newCustomersByKey = new Map(); // phone or name -> customer created by this import
+    groups.forEach((group) => {
+      const first = group.values[0];
+      const orderDate = normalizeImportDate(first.date);
+      const status = ORDER_STATUSES.find((s) => s.toLowerCase() === (first.status || 'Pending').toLowerCase());
+      const gstText = (first.gst || 'yes').toLowerCase();
+      const gstApply = ['yes', 'y', 'true', '1', '18%'].includes(gstText) ? 'yes' : ['no', 'n', 'false', '0'].includes(gstText) ? 'no' : null;
+
+      // Resolve the customer by phone first, then by exact name; unknown customers are created
+      let customer = findCustomerByPhone(first.customerPhone) ||
+        customers.find((c) => first.customerName && c.name.toLowerCase() === first.customerName.toLowerCase());
+      const customerKey = normalizePhone(first.customerPhone) || first.customerName.toLowerCase();
+      let isNewCustomer = false;
+      if (!customer && customerKey) {
+        customer = newCustomersByKey.get(customerKey);
+        if (!customer && first.customerName) {
+          customer = { id: generateUniqueId('CUST'), name: first.customerName, phone: first.customerPhone, contactPerson: '', gstin: '', stateCode: '', address: '', notes: '' };
+          isNewCustomer = true;
+        }
+      }
+
+      const orderErrors = [];
+      if (!customer) {
+        orderErrors.push('Customer name or phone is required.');
+      }
+      if (!orderDate) {
+        orderErrors.push(`Invalid date "${first.date}". Use YYYY-MM-DD or DD-MM-YYYY.`);
+      }
+      if (!status) {
+        orderErrors.push(`Unknown status "${first.status}".`);
+      }
+      if (!gstApply) {
+        orderErrors.push(`GST must be yes or no, not "${first.gst}".`);
+      }
+
+      const items = [];
+      group.values.forEach((values, i) => {
+        const entry = group.entries[i];
+        entry.messages.push(...orderErrors);
+        const platingTypes = values.platingTypes.split(/[,;/|]/).map((t) => t.trim()).filter(Boolean)
+          .map((type) => PLATING_TYPES.find((p) => p.toLowerCase() === type.toLowerCase()) || type);
+        const material = MATERIALS.find((m) => m.toLowerCase() === values.material.toLowerCase()) || values.material;
+        const unknownTypes = platingTypes.filter((type) => !PLATING_TYPES.includes(type));
+        if (values.material && !MATERIALS.includes(material)) {
+          entry.messages.push(`Unknown material "${values.material}".`);
+        }
+        if (unknownTypes.length > 0) {
+          entry.messages.push(`Unknown plating type(s): ${unknownTypes.join(', ')}.`);
+        }
+
+        const unit = parseBillingUnit(values.unit);
+        if (!unit) {
+          entry.messages.push(`Unknown billing unit "${values.unit}".`);
+        }
+
+        const taxText = values.taxRate.replace('%', '').trim().toLowerCase();
+        const taxRate = !taxText ? settings.defaultTaxRate : taxText === 'exempt' ? 0 : parseFloat(taxText);
+        if (!settings.taxRates.includes(taxRate)) {
+          entry.messages.push(`GST rate "${values.taxRate}" is not one of the rates in Settings.`);
+        }
+
+        // Blank prices are taken from the rate card, just like picking the item in the form (per kg only)
+        let platingPricesInput = values.platingPrices.split(/[;/|]/).join(',').replace(/\s/g, '');
+        if (!platingPricesInput && unit && unit !== 'kg') {
+          entry.messages.push(`Prices are required for items billed per ${getUnitLabel(unit)}.`);
+        } else if (!platingPricesInput && material && platingTypes.length > 0) {
+          const { entries, missing } = getRateCardPrices(material, platingTypes, customer ? customer.id : '', orderDate);
+          if (missing.length === 0) {
+            platingPricesInput = entries.map((rate) => rate.pricePerKg).join(',');
+          } else {
+            entry.messages.push(`No prices given and no rate card price for ${missing.join(', ')}.`);
+          }
+        }
+
+        const result = buildOrderItem(
+          {
+            itemName: values.itemName,
+            material,
+            platingTypes,
+            platingPricesInput,
+            unit: unit || 'kg',
+            quantity: parseFloat(values.quantity),
+            weightKg: parseFloat(values.weightKg),
+            taxRate,
+            discountInput: values.discount,
+          },
+          customer ? customer.id : '',
+          orderDate
+        );
+        if (result.error) {
+          if (entry.messages.length === 0) {
+            entry.messages.push(`${result.error}.`); // Otherwise the more specific messages above already explain it
+          }
+        } else {
+          items.push(result.item);
+        }
+      });
+
+      const groupHasErrors = group.entries.some((entry) => entry.messages.length > 0);
+      if (groupHasErrors) {
+        group.entries.forEach((entry) => {
+          entry.status = 'error';
+          if (entry.messages.length === 0) {
+            entry.messages.push('Another row of this order has errors.');
+          }
+        });
+        return;
+      }
+
+      if (isNewCustomer) {
+        newCustomersByKey.set(customerKey, customer);
+        plan.customers.push(customer);
+      }
+      const taxBasis = getDefaultTaxBasis();
+      const charges = { discount: null, surcharges: [], minimumCharges: { ...settings.minimumCharges } };
+      const totals = calculateOrderTotals(items, gstApply, taxBasis, charges);
+      plan.orders.push({ customer, status, gstApply, taxBasis, createdAt: orderDate, items, ...charges, ...totals });
+      group.entries.forEach((entry, i) => {
+        entry.messages.push(
+          i === 0 ? `Order for ${customer.name} with ${items.length} item(s), ₹${totals.orderTotal.toFixed(2)}.` : 'Item of the order above.'
+        );
+        if (i === 0 && isNewCustomer) {
+          entry.messages.push('New customer will be created.');
+        }
+      });
+    });
+    return plan;
+  }
+
+  /**
+   * Validates all rows with the chosen mapping and shows the row-by-row report.
+   */
+  function validateImport() {
+    importState.mapping = {};
+    document.querySelectorAll('.import-map-select').forEach((select) => {
+      if (select.value !== '') {
+        importState.mapping[select.dataset.field] = Number(select.value);
+      }
+    });
+    const missing = IMPORT_FIELDS[importState.type].filter((field) => field.required && importState.mapping[field.key] === undefined);
+    if (missing.length > 0) {
+      showLiveAlert(`Please map the required field(s): ${missing.map((field) => field.label).join(', ')}.`, 'danger');
+      return;
+    }
+    if (importState.type === 'orders' && importState.mapping.customerName === undefined && importState.mapping.customerPhone === undefined) {
+      showLiveAlert('Please map the customer name or phone column.', 'danger');
+      return;
+    }
+
+    importState.plan = importState.type === 'customers' ? planCustomerImport() : planOrderImport();
+    const { report } = importState.plan;
+    const counts = { ok: 0, skip: 0, error: 0 };
+    report.forEach((entry) => counts[entry.status]++);
+    const badge = { ok: 'bg-success', skip: 'bg-secondary', error: 'bg-danger' };
+    const label = { ok: 'OK', skip: 'Skipped', error: 'Error' };
+
+    document.getElementById('importReport').innerHTML = `
+        <p>
+            <span class="badge bg-success">${counts.ok} OK</span>
+            <span class="badge bg-secondary">${counts.skip} skipped</span>
+            <span class="badge bg-danger">${counts.error} with errors</span>
+            &nbsp;Only rows marked OK will be imported.
+        </p>
+        <div class="table-responsive scroll-table">
+            <table class="table table-sm table-bordered">
+                <thead class="table-dark"><tr><th>Row</th><th>Result</th><th>Details</th></tr></thead>
+                <tbody>
+                    ${report.map((entry) => `
+                        <tr class="${entry.status === 'error' ? 'table-danger' : ''}">
+                            <td>${entry.row}</td>
+                            <td><span class="badge ${badge[entry.status]}">${label[entry.status]}</span></td>
+                            <td>${entry.messages.map(escapeHtml).join('<br>')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    const importCount = importState.type === 'customers' ? importState.plan.customers.length : importState.plan.orders.length;
+    const commitBtn = document.getElementById('importCommitBtn');
+    commitBtn.disabled = importCount === 0;
+    commitBtn.textContent = `Import ${importCount} ${importState.type === 'customers' ? 'customer(s)' : 'order(s)'}`;
+    showImportStep(3);
+  }
+
+  /**
+   * Saves the validated customers and orders from the import plan.
+   * Imported orders are records of work done elsewhere, so imported Completed or Delivered orders are not charged
+   * against stock and need no QC inspection; like orders completed before norms were set, they are only charged
+   * and inspected if they are later reopened and completed again.
+   */
+  function commitImport() {
+    const plan = importState.plan;
+    if (!plan) {
+      return;
+    }
+    customers.push(...plan.customers);
+    plan.orders
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt)) // Number imported orders in date order
+      .forEach((order) => {
+        orders.push({
+          id: generateOrderId(order.createdAt),
+          customer: { id: order.customer.id, name: order.customer.name },
+          status: order.status,
+          gstApply: order.gstApply,
+          taxBasis: order.taxBasis,
+          createdAt: order.createdAt,
+          items: order.items,
+          discount: order.discount,
+          surcharges: order.surcharges,
+          minimumCharges: order.minimumCharges,
+          subtotal: order.subtotal,
+          adjustments: order.adjustments,
+          taxableValue: order.taxableValue,
+          taxTotal: order.taxTotal,
+          taxBreakup: order.taxBreakup,
+          roundOff: order.roundOff,
+          orderTotal: order.orderTotal,
+          rateCardVersion: rateCard.version,
+          history: [],
+        });
+        recordOrderHistory(orders[orders.length - 1], 'imported', [
+          { field: 'Status', from: '', to: order.status },
+          { field: 'Total', from: '', to: order.orderTotal },
+        ]);
+        recordItemMasterUse(orders[orders.length - 1]);
+      });
+    saveData();
+    refreshAllViews();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal')).hide();
+    showLiveAlert(
+      importState.type === 'customers'
+        ? `${plan.customers.length} customer(s) imported successfully!`
+        : `${plan.orders.length} order(s) and ${plan.customers.length} new customer(s) imported successfully!`
+    );
+    importState.plan = null;
+  }
+
+  /**
+   * Generates a monthly bill as a PDF for a selected customer and month.
+   */
+  function generateMonthlyBill() {
+    const customerId = document.getElementById('billingCustomer').value;
+    const billingMonth = document.getElementById('billingMonth').value; //
+    if (!customerId || !billingMonth) {
+      showLiveAlert('Please select both customer and month for billing.', 'danger');
+      return;
+    }
+
+    const customer = customers.find((c) => c.id === customerId);
+    if (!customer) {
+      showLiveAlert('Customer not found for billing.', 'danger');
+      return;
+    }
+
+    // Filter orders for the selected customer and month
+    const filteredOrders = orders.filter(
+      (order) =>
+        order.customer.id === customerId && order.createdAt.startsWith(billingMonth)
+    );
+
+    if (filteredOrders.length === 0) {
+      showLiveAlert('No orders found for the selected customer and month.', 'info');
+      return;
+    }
+
+    if (printBill(customer, filteredOrders, billingMonth)) {
+      showLiveAlert('Monthly bill generated successfully!');
+    }
+  }
+
+  /**
+   * Builds and downloads a bill PDF listing a customer's orders.
+   * @param {Object} customer - The customer being billed.
+   * @param {Object[]} billOrders - The orders to bill.
+   * @param {string} period - The billing period shown on the bill and in the file name (a month or a date range).
+   * @returns {boolean} True if the PDF was generated.
+   */
+  function printBill(customer, billOrders, period) {
+    // Initialize jsPDF
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+
+    // Debugging: Check if autoTable is available
+    if (typeof doc.autoTable === 'undefined') {
+        console.error("doc.autoTable is not a function. jsPDF-AutoTable plugin might not be loaded correctly.");
+        showLiveAlert("PDF generation failed: AutoTable plugin not found.", "danger");
+        return false;
+    }
+
+    let yPos = 20;
+
+    // Title
+    doc.setFontSize(18);
+    doc.text('Monthly Bill', 105, yPos, null, null, 'center');
+    yPos += 10;
+
+    // Customer and Month Info
+    doc.setFontSize(12);
+    doc.text(`Customer: ${customer.name}`, 20, yPos);
+    yPos += 7;
+    doc.text(`Phone: ${customer.phone}`, 20, yPos);
+    yPos += 7;
+    doc.text(`Billing Period: ${period}`, 20, yPos);
+    yPos += 15;
+
+    // Table headers for the PDF
+    const tableColumn = [
+      'Order ID',
+      'Item Name',
+      'Material',
+      'Plating Types',
+      'Qty',
+      'Rate',
+      'Item Total',
+      'Order Date',
+    ];
+    const tableRows = [];
+
+    // Populate table rows with order data, flattening items
+    billOrders.forEach((order) => {
+      order.items.forEach((item, itemIndex) => {
+        tableRows.push([
+          itemIndex === 0 ? order.id : '', // Only show Order ID for the first item of an order
+          item.itemName,
+          item.material,
+          item.platingTypes.join(', '),
+          `${item.quantity} ${getUnitLabel(item.unit)}`,
+          `${item.itemRate.toFixed(2)}/${getUnitLabel(item.unit)}`,
+          // A discounted item shows its amount before the discount, which follows on its own line
+          (item.discount ? multiplyMoney(item.itemRate, item.quantity) : item.itemTotal).toFixed(2),
+          itemIndex === 0 ? order.createdAt : '', // Only show Order Date for the first item
+        ]);
+        if (item.discount) {
+          tableRows.push(['', `${formatAdjustmentLabel('Discount', item.discount)} on ${item.itemName}`, '', '', '', '', `-${item.discountAmount.toFixed(2)}`, '']);
+        }
+      });
+      // Discounts and surcharges on the whole order follow its items
+      order.adjustments.forEach((adjustment) => {
+        tableRows.push(['', adjustment.label, '', '', '', '', adjustment.amount.toFixed(2), '']);
+      });
+      if (order.roundOff) {
+        tableRows.push(['', 'Round off', '', '', '', '', order.roundOff.toFixed(2), '']);
+      }
+    });
+    const taxableTotal = sumMoney(billOrders.map((order) => order.taxableValue));
+    const taxTotal = sumMoney(billOrders.map((order) => order.taxTotal));
+    const grandTotal = sumMoney(billOrders.map((order) => order.orderTotal));
+
+    // Add table to PDF using autoTable plugin
+    doc.autoTable({
+      startY: yPos,
+      head: [tableColumn],
+      body: tableRows,
+      theme: 'striped',
+      headStyles: { fillColor: [67, 97, 238] }, // Primary color for header
+      margin: { horizontal: 15 },
+      didDrawPage: function (data) {
+        // Add header and footer to each page
+        doc.setFontSize(10);
+        doc.setTextColor(40);
+        doc.text(
+          'Electroplating Order Management System',
+          data.settings.margin.left,
+          10
+        );
+        let str = 'Page ' + doc.internal.getNumberOfPages();
+        doc.text(
+          str,
+          data.settings.margin.left,
+          doc.internal.pageSize.height - 10
+        );
+      },
+    });
+
+    // Add taxable value, GST and Grand Total
+    yPos = doc.autoTable.previous.finalY + 10; // Position below the table
+    doc.setFontSize(11);
+    doc.text(`Taxable Value: ₹${taxableTotal.toFixed(2)}`, 180, yPos, null, null, 'right');
+    yPos += 7;
+    doc.text(`GST: ₹${taxTotal.toFixed(2)}`, 180, yPos, null, null, 'right');
+    yPos += 9;
+    doc.setFontSize(14);
+    doc.text(`Grand Total: ₹${grandTotal.toFixed(2)}`, 180, yPos, null, null, 'right');
+
+    // Save the PDF
+    doc.save(`Bill_${customer.name}_${period.replace(/ /g, '_')}.pdf`);
+    return true;
+  }
+
+  /**
+   * Converts a rupee amount to words using the Indian numbering system (lakh, crore).
+   * @param {number} amount - The amount in rupees.
+   * @returns {string} The amount in words, e.g. 'Rupees One Lakh Twenty Thousand and Fifty Paise Only'.
+   */
+  function amountInWords(amount) {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+      'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+    // Words for a number below 1000
+    const belowThousand = (n) => {
+      const parts = [];
+      if (n >= 100) {
+        parts.push(`${ones[Math.floor(n / 100)]} Hundred`);
+        n %= 100;
+      }
+      if (n >= 20) {
+        parts.push(tens[Math.floor(n / 10)] + (n % 10 ? ` ${ones[n % 10]}` : ''));
+      } else if (n > 0) {
+        parts.push(ones[n]);
+      }
+      return parts.join(' ');
+    };
+
+    // Words for a whole number, grouped as crore, lakh, thousand and the rest
+    const wholeNumber = (n) => {
+      if (n === 0) {
+        return 'Zero';
+      }
+      const parts = [];
+      [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']].forEach(([size, label]) => {
+        if (n >= size) {
+          parts.push(`${wholeNumber(Math.floor(n / size))} ${label}`);
+          n %= size;
+        }
+      });
+      if (n > 0) {
+        parts.push(belowThousand(n));
+      }
+      return parts.join(' ');
+    };
+
+    const totalPaise = Math.abs(toPaise(amount));
+    const rupees = Math.floor(totalPaise / 100);
+    const paise = totalPaise % 100;
+    let words = `Rupees ${wholeNumber(rupees)}`;
+    if (paise > 0) {
+      words += ` and ${wholeNumber(paise)} Paise`;
+    }
+    return `${words} Only`;
+  }
+
+  /**
+   * Generates, stores and prints a GST tax invoice for a customer's GST orders in the selected billing month.
+   * Orders that are already invoiced or billed without GST are left out.
+   */
+  function generateTaxInvoice() {
+    const customerId = document.getElementById('billingCustomer').value;
+    const billingMonth = document.getElementById('billingMonth').value;
+    if (!customerId || !billingMonth) {
+      showLiveAlert('Please select both customer and month for billing.', 'danger');
+      return;
+    }
+
+    const customer = customers.find((c) => c.id === customerId);
+    if (!customer) {
+      showLiveAlert('Customer not found for billing.', 'danger');
+      return;
+    }
+
+    const business = settings.business;
+    if (!business.name || !business.gstin || !business.stateCode) {
+      showLiveAlert('Please fill in your business name, GSTIN and state in Settings first.', 'danger');
+      return;
+    }
+
+    const customerStateCode = getCustomerStateCode(customer);
+    if (!customerStateCode) {
+      showLiveAlert(`Please set the state of ${customer.name} to determine the place of supply.`, 'danger');
+      return;
+    }
+
+    const monthOrders = orders.filter(
+      (order) => order.customer.id === customerId && order.createdAt.startsWith(billingMonth)
+    );
+    const invoiceOrders = monthOrders.filter((order) => order.gstApply === 'yes' && !order.invoiceId);
+    if (invoiceOrders.length === 0) {
+      const alreadyInvoiced = monthOrders.some((order) => order.invoiceId);
+      showLiveAlert(
+        alreadyInvoiced
+          ? 'All GST orders for this month are already invoiced. Reprint them from the invoice list.'
+          : 'No GST orders found for the selected customer and month.',
+        'info'
+      );
+      return;
+    }
+
+    // Lines carry each item's taxable value and GST rate; GST is worked out once per rate on the invoice
+    const lines = [];
+    invoiceOrders
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach((order) => {
+        order.items.forEach((item) => {
+          lines.push({
+            orderId: order.id,
+            orderDate: order.createdAt,
+            description: `${item.itemName} - ${item.material}, ${item.platingTypes.join('/')} plating`,
+            quantity: item.quantity,
+            unit: item.unit,
+            rate: parseFloat((item.taxableValue / item.quantity).toFixed(2)),
+            taxRate: item.taxRate,
+            taxableValue: item.taxableValue,
+          });
+        });
+        // Order discounts, surcharges and minimum charge top-ups have no quantity; one line per GST rate they fall under
+        order.adjustments.forEach((adjustment) => {
+          adjustment.allocations.forEach((allocation) => {
+            lines.push({
+              orderId: order.id,
+              orderDate: order.createdAt,
+              description: adjustment.label,
+              quantity: null,
+              unit: null,
+              rate: null,
+              taxRate: allocation.rate,
+              taxableValue: allocation.taxableValue,
+            });
+          });
+        });
+      });
+
+    const supplyType = customerStateCode === business.stateCode ? 'intra' : 'inter';
+    // GST per rate is the GST already charged on the orders, so the invoice bills exactly what the orders add up to
+    // and their payments settle it; CGST takes the odd paisa
+    const taxBreakup = [...new Set(lines.map((line) => line.taxRate))]
+      .sort((a, b) => a - b)
+      .map((rate) => {
+        const rateTaxable = lines
+          .filter((line) => line.taxRate === rate)
+          .reduce((sum, line) => sum + toPaise(line.taxableValue), 0);
+        const rateTax = invoiceOrders.reduce(
+          (sum, order) => sum + order.taxBreakup
+            .filter((group) => group.rate === rate)
+            .reduce((orderSum, group) => orderSum + toPaise(group.tax), 0),
+          0
+        );
+        const rateCgst = supplyType === 'intra' ? roundPaise(rateTax / 2) : 0;
+        return {
+          rate,
+          taxableValue: toRupees(rateTaxable),
+          cgst: toRupees(rateCgst),
+          sgst: supplyType === 'intra' ? toRupees(rateTax - rateCgst) : 0,
+          igst: supplyType === 'inter' ? toRupees(rateTax) : 0,
+        };
+      });
+    const sumOf = (key) => sumMoney(taxBreakup.map((group) => group[key]));
+    const taxableValue = sumOf('taxableValue');
+    const cgst = sumOf('cgst');
+    const sgst = sumOf('sgst');
+    const igst = sumOf('igst');
+    const totalTax = sumMoney([cgst, sgst, igst]);
+    // The orders' own round offs, plus any paisa their inclusive rates leave between line and rate totals
+    const grandTotal = sumMoney(invoiceOrders.map((order) => order.orderTotal));
+    const roundOff = toPaise(grandTotal) - toPaise(taxableValue) - toPaise(totalTax);
+
+    const invoiceDate = new Date().toISOString().split('T')[0];
+    const financialYear = getFinancialYear(invoiceDate);
+    const sequence = nextSequence('invoice', financialYear);
+    const placeOfSupply = getStateByCode(customerStateCode);
+    const sellerState = getStateByCode(business.stateCode);
+
+    const invoice = {
+      id: generateUniqueId('INV'),
+      number: `${settings.invoicePrefix}/${financialYear}/${String(sequence).padStart(4, '0')}`,
+      financialYear,
+      date: invoiceDate,
+      billingMonth,
+      customerId,
+      orderIds: invoiceOrders.map((order) => order.id),
+      seller: { ...business, stateName: sellerState ? sellerState.name : '' },
+      buyer: {
+        name: customer.name,
+        address: customer.address || '',
+        phone: customer.phone,
+        gstin: customer.gstin || '',
+        stateCode: customerStateCode,
+        stateName: placeOfSupply.name,
+      },
+      placeOfSupply: { code: placeOfSupply.code, name: placeOfSupply.name },
+      sacCode: settings.sacCode,
+      supplyType,
+      lines,
+      taxableValue,
+      taxBreakup,
+      cgst,
+      sgst,
+      igst,
+      totalTax,
+      roundOff: toRupees(roundOff),
+      grandTotal,
+      amountInWords: amountInWords(grandTotal),
+      createdAt: new Date().toISOString(),
+    };
+
+    invoices.push(invoice);
+    invoiceOrders.forEach((order) => {
+      order.invoiceId = invoice.id;
+    });
+    saveData('invoices', 'orders', 'counters');
+    renderInvoices();
+
+    if (printTaxInvoice(invoice.id)) {
+      const skipped = monthOrders.filter((order) => order.gstApply !== 'yes').length;
+      showLiveAlert(
+        skipped > 0
+          ? `Tax invoice ${invoice.number} generated. ${skipped} order(s) without GST were left out.`
+          : `Tax invoice ${invoice.number} generated successfully!`
+      );
+    }
+  }
+
+  /**
+   * Prints a stored tax invoice to PDF exactly as it was issued.
+   * @param {string} id - The ID of the stored invoice.
+   * @returns {boolean} True if the PDF was generated.
+   */
+  function printTaxInvoice(id) {
+    const invoice = invoices.find((inv) => inv.id === id);
+    if (!invoice) {
+      showLiveAlert('Invoice not found.', 'danger');
+      return false;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    if (typeof doc.autoTable === 'undefined') {
+      console.error("doc.autoTable is not a function. jsPDF-AutoTable plugin might not be loaded correctly.");
+      showLiveAlert("PDF generation failed: AutoTable plugin not found.", "danger");
+      return false;
+    }
+
+    // Amounts use 'Rs.' because the built-in PDF fonts have no rupee sign
+    const money = (value) => `Rs. ${value.toFixed(2)}`;
+    let yPos = 15;
+
+    doc.setFontSize(16);
+    doc.text('TAX INVOICE', 105, yPos, null, null, 'center');
+    yPos += 10;
+
+    // Seller details on the left, invoice number and date on the right
+    doc.setFontSize(12);
+    doc.text(invoice.seller.name, 15, yPos);
+    doc.setFontSize(10);
+    doc.text(`Invoice No: ${invoice.number}`, 195, yPos, null, null, 'right');
+    yPos += 5;
+    doc.text(`Date: ${invoice.date}`, 195, yPos, null, null, 'right');
+    const sellerLines = [
+      ...doc.splitTextToSize(invoice.seller.address || '', 110),
+      invoice.seller.phone ? `Phone: ${invoice.seller.phone}` : '',
+      `GSTIN: ${invoice.seller.gstin}`,
+      `State: ${invoice.seller.stateName} (${invoice.seller.stateCode})`,
+    ].filter(Boolean);
+    doc.text(sellerLines, 15, yPos);
+    doc.text(`Billing Month: ${invoice.billingMonth}`, 195, yPos + 5, null, null, 'right');
+    yPos += sellerLines.length * 5 + 5;
+
+    // Buyer details and place of supply
+    doc.setFontSize(11);
+    doc.text('Bill To:', 15, yPos);
+    yPos += 5;
+    doc.setFontSize(10);
+    const buyerLines = [
+      invoice.buyer.name,
+      ...doc.splitTextToSize(invoice.buyer.address || '', 110),
+      `Phone: ${invoice.buyer.phone}`,
+      `GSTIN: ${invoice.buyer.gstin || 'Unregistered'}`,
+      `State: ${invoice.buyer.stateName} (${invoice.buyer.stateCode})`,
+    ].filter(Boolean);
+    doc.text(buyerLines, 15, yPos);
+    doc.text(`Place of Supply: ${invoice.placeOfSupply.name} (${invoice.placeOfSupply.code})`, 195, yPos, null, null, 'right');
+    doc.text(`SAC: ${invoice.sacCode}`, 195, yPos + 5, null, null, 'right');
+    yPos += buyerLines.length * 5 + 5;
+
+    // Invoices issued before per-item GST rates were added have one rate for the whole invoice
+    const taxBreakup = invoice.taxBreakup || [
+      { rate: invoice.taxRate, taxableValue: invoice.taxableValue, cgst: invoice.cgst, sgst: invoice.sgst, igst: invoice.igst },
+    ];
+    doc.autoTable({
+      startY: yPos,
+      head: [['#', 'Order ID', 'Description', 'SAC', 'Qty', 'Rate', 'GST', 'Taxable Value']],
+      // Invoices issued before billing units were added have no unit on their lines; they were all per kg
+      body: invoice.lines.map((line, index) => [
+        index + 1,
+        line.orderId,
+        line.description,
+        invoice.sacCode,
+        line.quantity === null ? '' : `${line.quantity} ${getUnitLabel(line.unit || 'kg')}`,
+        line.rate === null ? '' : `${line.rate.toFixed(2)}/${getUnitLabel(line.unit || 'kg')}`,
+        getTaxRateLabel(line.taxRate ?? invoice.taxRate),
+        line.taxableValue.toFixed(2),
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [67, 97, 238] },
+      margin: { horizontal: 15 },
+      didDrawPage: function (data) {
+        doc.setFontSize(8);
+        doc.text(
+          'Page ' + doc.internal.getNumberOfPages(),
+          data.settings.margin.left,
+          doc.internal.pageSize.height - 10
+        );
+      },
+    });
+
+    // Tax summary: taxable value and tax shown separately
+    const taxRows = [['Taxable Value', money(invoice.taxableValue)]];
+    taxBreakup.forEach((group) => {
+      if (group.rate === 0) {
+        taxRows.push(['Exempt supplies', money(group.taxableValue)]);
+      } else if (invoice.supplyType === 'intra') {
+        taxRows.push([`CGST @ ${group.rate / 2}% on ${group.taxableValue.toFixed(2)}`, money(group.cgst)]);
+        taxRows.push([`SGST @ ${group.rate / 2}% on ${group.taxableValue.toFixed(2)}`, money(group.sgst)]);
+      } else {
+        taxRows.push([`IGST @ ${group.rate}% on ${group.taxableValue.toFixed(2)}`, money(group.igst)]);
+      }
+    });
+    taxRows.push(['Total Tax', money(invoice.totalTax)]);
+    if (invoice.roundOff) {
+      taxRows.push(['Round off', money(invoice.roundOff)]);
+    }
+    taxRows.push(['Grand Total', money(invoice.grandTotal)]);
+    doc.autoTable({
+      startY: doc.autoTable.previous.finalY + 5,
+      body: taxRows,
+      theme: 'plain',
+      margin: { left: 115, right: 15 },
+      columnStyles: { 1: { halign: 'right' } },
+      didParseCell: function (data) {
+        if (data.row.index === taxRows.length - 1) {
+          data.cell.styles.fontStyle = 'bold';
+        }
+      },
+    });
+
+    yPos = doc.autoTable.previous.finalY + 8;
+    doc.setFontSize(10);
+    doc.text(doc.splitTextToSize(`Amount in words: ${invoice.amountInWords}`, 180), 15, yPos);
+    yPos += 20;
+    doc.text(`For ${invoice.seller.name}`, 195, yPos, null, null, 'right');
+    yPos += 15;
+    doc.text('Authorised Signatory', 195, yPos, null, null, 'right');
+
+    doc.save(`Invoice_${invoice.number.replace(/\//g, '-')}.pdf`);
+    return true;
+  }
+
+  /**
+   * Renders the list of issued tax invoices, newest first.
+   */
+  function renderInvoices() {
+    const tableBody = document.getElementById('invoicesTableBody');
+    const sortedInvoices = [...invoices].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    tableBody.innerHTML = sortedInvoices.length
+      ? sortedInvoices.map((invoice) => `
+            <tr>
+                <td>${invoice.number}</td>
+                <td>${invoice.date}</td>
+                <td>${escapeHtml(invoice.buyer.name)}</td>
+                <td>${invoice.billingMonth}</td>
+                <td>₹${invoice.taxableValue.toFixed(2)}</td>
+                <td>₹${invoice.totalTax.toFixed(2)}</td>
+                <td>₹${invoice.grandTotal.toFixed(2)}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-outline-secondary" onclick="printTaxInvoice('${invoice.id}')" title="Reprint"><i class="fas fa-print"></i></button>
+                </td>
+            </tr>
+        `).join('')
+      : '<tr><td colspan="8" class="text-center text-muted">No invoices generated yet.</td></tr>';
+  }
+
+  /**
+   * Opens the settings modal with the current business details.
+   */
+  function openSettings() {
+    document.getElementById('settingsBusinessName').value = settings.business.name;
+    document.getElementById('settingsBusinessAddress').value = settings.business.address;
+    document.getElementById('settingsBusinessPhone').value = settings.business.phone;
+    document.getElementById('settingsBusinessGstin').value = settings.business.gstin;
+    document.getElementById('settingsBusinessState').value = settings.business.stateCode;
+    document.getElementById('settingsSacCode').value = settings.sacCode;
+    document.getElementById('settingsInvoicePrefix').value = settings.invoicePrefix;
+    document.getElementById('settingsOrderNumberFormat').value = settings.orderNumberFormat;
+    document.getElementById('settingsStaffName').value = settings.staffName;
+    document.getElementById('settingsTaxRates').value = settings.taxRates.join(', ');
+    document.getElementById('settingsDefaultTaxRate').value = settings.defaultTaxRate;
+    document.getElementById('settingsPricesIncludeTax').value = settings.pricesIncludeTax ? 'yes' : 'no';
+    document.getElementById('settingsTaxRounding').value = settings.taxRounding;
+    document.getElementById('settingsRoundOffTotals').value = settings.roundOffTotals ? 'yes' : 'no';
+    document.getElementById('settingsMinimumCharges').innerHTML = PLATING_TYPES.map((type) => `
+        <div class="col-md-2 col-6">
+            <div class="input-group input-group-sm">
+                <span class="input-group-text">${type}</span>
+                <input type="number" class="form-control" min="0" step="0.01" data-plating-type="${type}" value="${settings.minimumCharges[type] ?? ''}">
+            </div>
+        </div>
+    `).join('');
+    document.getElementById('settingsInwardChallanPrefix').value = settings.inwardChallanPrefix;
+    document.getElementById('settingsDeliveryChallanPrefix').value = settings.deliveryChallanPrefix;
+    document.getElementById('settingsQuotationPrefix').value = settings.quotationPrefix;
+    document.getElementById('settingsQuotationValidityDays').value = settings.quotationValidityDays;
+    document.getElementById('settingsInspectionPrefix').value = settings.inspectionPrefix;
+    document.getElementById('settingsRequireInspection').value = settings.requireInspection ? 'yes' : 'no';
+    previewOrderNumberFormat();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('settingsModal')).show();
+  }
+
+  /**
+   * Shows what the next order number would look like with the format typed in settings.
+   */
+  function previewOrderNumberFormat() {
+    const format = document.getElementById('settingsOrderNumberFormat').value.trim();
+    const financialYear = getFinancialYear();
+    const series = format.includes('{FY}') ? financialYear : 'all';
+    const nextNumber = (counters[`order:${series}`] || 0) + 1;
+    document.getElementById('orderNumberPreview').textContent = format
+      ? `Next order: ${formatDocumentNumber(format, financialYear, nextNumber)}`
+      : '';
+  }
+
+  /**
+   * Validates and saves the settings form.
+   */
+  function saveSettings() {
+    const gstin = document.getElementById('settingsBusinessGstin').value.trim().toUpperCase();
+    if (gstin && !isValidGstin(gstin)) {
+      showLiveAlert('Please enter a valid 15-character GSTIN.', 'danger');
+      return;
+    }
+    const invoicePrefix = document.getElementById('settingsInvoicePrefix').value.trim();
+    const sacCode = document.getElementById('settingsSacCode').value.trim();
+    const inwardChallanPrefix = document.getElementById('settingsInwardChallanPrefix').value.trim();
+    const deliveryChallanPrefix = document.getElementById('settingsDeliveryChallanPrefix').value.trim();
+    const quotationPrefix = document.getElementById('settingsQuotationPrefix').value.trim();
+    const inspectionPrefix = document.getElementById('settingsInspectionPrefix').value.trim();
+    if (!invoicePrefix || !sacCode || !inwardChallanPrefix || !deliveryChallanPrefix || !quotationPrefix || !inspectionPrefix) {
+      showLiveAlert('Invoice, challan, quotation and inspection prefixes and SAC code are required.', 'danger');
+      return;
+    }
+    const quotationValidityDays = parseInt(document.getElementById('settingsQuotationValidityDays').value, 10);
+    if (!(quotationValidityDays > 0)) {
+      showLiveAlert('Quotation validity must be at least one day.', 'danger');
+      return;
+    }
+    const orderNumberFormat = document.getElementById('settingsOrderNumberFormat').value.trim();
+    if (!/\{SEQ(:\d+)?\}/.test(orderNumberFormat)) {
+      showLiveAlert('The order number format must contain {SEQ} or {SEQ:n}.', 'danger');
+      return;
+    }
+    const taxRatesInput = document.getElementById('settingsTaxRates').value.split(',').map((rate) => rate.trim()).filter(Boolean);
+    const taxRates = [...new Set(taxRatesInput.map(Number))].sort((a, b) => a - b);
+    if (taxRates.length === 0 || taxRates.some((rate) => isNaN(rate) || rate < 0 || rate > 100)) {
+      showLiveAlert('GST rates must be a comma-separated list of percentages.', 'danger');
+      return;
+    }
+    const defaultTaxRate = parseFloat(document.getElementById('settingsDefaultTaxRate').value);
+    if (!taxRates.includes(defaultTaxRate)) {
+      showLiveAlert('The default GST rate must be one of the GST rates.', 'danger');
+      return;
+    }
+    const minimumCharges = {};
+    document.querySelectorAll('#settingsMinimumCharges input').forEach((input) => {
+      const minimum = parseFloat(input.value);
+      if (minimum > 0) {
+        minimumCharges[input.dataset.platingType] = minimum;
+      }
+    });
+
+    settings.business = {
+      name: document.getElementById('settingsBusinessName').value.trim(),
+      address: document.getElementById('settingsBusinessAddress').value.trim(),
+      phone: document.getElementById('settingsBusinessPhone').value.trim(),
+      gstin,
+      stateCode: document.getElementById('settingsBusinessState').value || (gstin ? gstin.slice(0, 2) : ''),
+    };
+    settings.sacCode = sacCode;
+    settings.invoicePrefix = invoicePrefix;
+    settings.orderNumberFormat = orderNumberFormat;
+    settings.inwardChallanPrefix = inwardChallanPrefix;
+    settings.deliveryChallanPrefix = deliveryChallanPrefix;
+    settings.quotationPrefix = quotationPrefix;
+    settings.quotationValidityDays = quotationValidityDays;
+    settings.inspectionPrefix = inspectionPrefix;
+    settings.requireInspection = document.getElementById('settingsRequireInspection').value === 'yes';
+    settings.staffName = document.getElementById('settingsStaffName').value.trim();
+    settings.taxRates = taxRates;
+    settings.defaultTaxRate = defaultTaxRate;
+    settings.pricesIncludeTax = document.getElementById('settingsPricesIncludeTax').value === 'yes';
+    settings.minimumCharges = minimumCharges;
+    settings.taxRounding = document.getElementById('settingsTaxRounding').value;
+    settings.roundOffTotals = document.getElementById('settingsRoundOffTotals').value === 'yes';
+    saveData('settings');
+    if (!orderToEdit) {
+      updateTaxBasisNote(getDefaultTaxBasis());
+    }
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('settingsModal')).hide();
+    showLiveAlert('Settings saved successfully!');
+  }
+
+  /**
+   * Works an existing order's item and order totals out again with the money rules and the current rounding settings.
+   * @param {Object} order - The order; it is not changed.
+   * @returns {Object} A recalculated copy of the order.
+   */
+  function recalculateOrder(order) {
+    const copy = JSON.parse(JSON.stringify(order));
+    copy.items.forEach((item) => {
+      item.itemRate = sumMoney(item.platingPrices);
+      const amount = multiplyMoney(item.itemRate, item.quantity);
+      item.discountAmount = item.discount ? Math.min(getAdjustmentAmount(item.discount, amount), amount) : 0;
+      item.itemTotal = subtractMoney(amount, item.discountAmount);
+    });
+    return Object.assign(copy, calculateOrderTotals(copy.items, copy.gstApply, copy.taxBasis, copy));
+  }
+
+  /**
+   * Finds the orders whose totals change when recalculated. Invoiced orders are left as they were billed.
+   * @returns {{order: Object, updated: Object}[]} Each changed order with its recalculated copy.
+   */
+  function getRecalculatedOrders() {
+    return orders
+      .filter((order) => !order.invoiceId)
+      .map((order) => ({ order, updated: recalculateOrder(order) }))
+      .filter(({ order, updated }) =>
+        updated.orderTotal !== order.orderTotal ||
+        updated.items.some((item, i) => item.itemTotal !== order.items[i].itemTotal || item.taxableValue !== order.items[i].taxableValue)
+      );
+  }
+
+  /**
+   * Opens the recalculation tool with a preview of the orders whose totals would change.
+   */
+  function openRecalculateTotals() {
+    const changed = getRecalculatedOrders();
+    const invoicedCount = orders.filter((order) => order.invoiceId).length;
+    document.getElementById('recalculateSummary').textContent = changed.length
+      ? `${changed.length} order(s) will change.`
+      : 'All order totals are already up to date.';
+    document.getElementById('recalculateInvoicedNote').textContent = invoicedCount
+      ? `${invoicedCount} invoiced order(s) are left as they were billed.`
+      : '';
+    document.getElementById('recalculateTableBody').innerHTML = changed.map(({ order, updated }) => `
+        <tr>
+            <td>${order.id}</td>
+            <td>${escapeHtml(order.customer.name)}</td>
+            <td class="text-end">₹${order.orderTotal.toFixed(2)}</td>
+            <td class="text-end">₹${updated.orderTotal.toFixed(2)}</td>
+            <td class="text-end">${subtractMoney(updated.orderTotal, order.orderTotal).toFixed(2)}</td>
+        </tr>
+    `).join('');
+    document.getElementById('applyRecalculationBtn').disabled = changed.length === 0;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('settingsModal')).hide();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('recalculateModal')).show();
+  }
+
+  /**
+   * Recalculates the totals of every changed order, after taking a snapshot so it can be undone.
+   */
+  function applyRecalculation() {
+    const changed = getRecalculatedOrders();
+    if (changed.length === 0) {
+      return;
+    }
+    takeSnapshot('Before recalculating order totals');
+    changed.forEach(({ order, updated }) => {
+      const changes = diffOrders(order, updated);
+      Object.assign(order, updated, { history: order.history });
+      recordOrderHistory(order, 'recalculated', changes);
+    });
+    saveData('orders', 'snapshots');
+    refreshAllViews();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('recalculateModal')).hide();
+    showLiveAlert(`Recalculated ${changed.length} order(s). A snapshot was taken first and can be restored from the Recycle Bin.`);
+  }
+
+  /**
+   * Works out how much has been paid against each order.
+   * Payments made against an invoice or specific orders are applied to those orders first;
+   * anything left over, and payments on account, settle the customer's oldest unpaid orders.
+   * @returns {Map<string, number>} Paid amount per order ID.
+   */
+  function computeOrderPayments() {
+    const paidByOrder = new Map(); // order ID -> paise
+    const outstanding = (order) => toPaise(order.orderTotal) - (paidByOrder.get(order.id) || 0);
+    const applyTo = (targetOrders, paise) => {
+      let remaining = paise;
+      targetOrders.forEach((order) => {
+        const share = Math.min(remaining, Math.max(outstanding(order), 0));
+        if (share > 0) {
+          paidByOrder.set(order.id, (paidByOrder.get(order.id) || 0) + share);
+          remaining -= share;
+        }
+      });
+      return remaining;
+    };
+
+    const sortedPayments = [...payments].sort((a, b) => a.date.localeCompare(b.date));
+    const unallocated = new Map(); // customerId -> amount paid on account
+
+    sortedPayments.forEach((payment) => {
+      let targetIds = payment.orderIds || [];
+      if (payment.invoiceId) {
+        const invoice = invoices.find((inv) => inv.id === payment.invoiceId);
+        targetIds = invoice ? invoice.orderIds : [];
+      }
+      const targetOrders = orders
+        .filter((order) => targetIds.includes(order.id))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      const remaining = applyTo(targetOrders, toPaise(payment.amount));
+      unallocated.set(payment.customerId, (unallocated.get(payment.customerId) || 0) + remaining);
+    });
+
+    unallocated.forEach((paise, customerId) => {
+      const customerOrders = getCustomerOrders(customerId).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      applyTo(customerOrders, paise);
+    });
+    return new Map([...paidByOrder].map(([orderId, paise]) => [orderId, toRupees(paise)]));
+  }
+
+  /**
+   * Returns the payment status of an order.
+   * @param {Object} order - The order.
+   * @param {Map<string, number>} paidByOrder - Paid amounts from computeOrderPayments().
+   * @returns {string} 'Paid', 'Partial' or 'Unpaid'.
+   */
+  function getPaymentStatus(order, paidByOrder) {
+    const paid = paidByOrder.get(order.id) || 0;
+    if (toPaise(paid) >= toPaise(order.orderTotal)) {
+      return 'Paid';
+    }
+    return paid > 0 ? 'Partial' : 'Unpaid';
+  }
+
+  /**
+   * Returns the appropriate Bootstrap badge class for a payment status.
+   * @param {string} status - 'Paid', 'Partial' or 'Unpaid'.
+   * @returns {string} The CSS class string for the badge.
+   */
+  function getPaymentBadgeClass(status) {
+    switch (status) {
+      case 'Paid':
+        return 'bg-success';
+      case 'Partial':
+        return 'bg-warning text-dark';
+      default:
+        return 'bg-danger';
+    }
+  }
+
+  /**
+   * Fills the invoice and order dropdowns of the payment form for the selected customer.
+   * Only invoices and orders that still have something outstanding are offered.
+   */
+  function renderPaymentTargets() {
+    const customerId = document.getElementById('paymentCustomer').value;
+    const invoiceSelect = document.getElementById('paymentInvoice');
+    const orderSelect = document.getElementById('paymentOrders');
+    while (invoiceSelect.options.length > 1) {
+      invoiceSelect.remove(1);
+    }
+    orderSelect.innerHTML = '';
+
+    if (customerId) {
+      const paidByOrder = computeOrderPayments();
+      const unpaidOrders = getCustomerOrders(customerId)
+        .filter((order) => getPaymentStatus(order, paidByOrder) !== 'Paid')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      invoices
+        .filter((invoice) => invoice.customerId === customerId && invoice.orderIds.some((id) => unpaidOrders.some((o) => o.id === id)))
+        .forEach((invoice) => invoiceSelect.add(new Option(`${invoice.number} (₹${invoice.grandTotal.toFixed(2)})`, invoice.id)));
+      unpaidOrders.forEach((order) => {
+        const balance = subtractMoney(order.orderTotal, paidByOrder.get(order.id) || 0);
+        orderSelect.add(new Option(`${order.id} - ${order.createdAt} (due ₹${balance.toFixed(2)})`, order.id));
+      });
+    }
+    $('#paymentInvoice').trigger('change');
+    $('#paymentOrders').trigger('change');
+  }
+
+  /**
+   * Records a payment from the payment form.
+   * A payment can be against an invoice, against specific orders, or on account.
+   */
+  function addPayment() {
+    const customerId = document.getElementById('paymentCustomer').value;
+    const date = document.getElementById('paymentDate').value;
+    const amount = parseFloat(document.getElementById('paymentAmount').value);
+    const mode = document.getElementById('paymentMode').value;
+    const reference = document.getElementById('paymentReference').value.trim();
+    const invoiceId = document.getElementById('paymentInvoice').value || null;
+    const orderIds = invoiceId ? [] : $('#paymentOrders').val() || [];
+
+    if (!customerId || !date || isNaN(amount) || amount <= 0 || !mode) {
+      showLiveAlert('Please select a customer and enter date, amount and mode.', 'danger');
+      return;
+    }
+    if (mode !== 'Cash' && !reference) {
+      showLiveAlert(`Please enter the ${mode} reference number.`, 'danger');
+      return;
+    }
+
+    payments.push({
+      id: generateUniqueId('PAY'),
+      customerId,
+      date,
+      amount: toRupees(toPaise(amount)),
+      mode,
+      reference,
+      invoiceId,
+      orderIds,
+      notes: document.getElementById('paymentNotes').value.trim(),
+      createdAt: new Date().toISOString(),
+    });
+    saveData('payments');
+    renderPayments();
+    renderOrders();
+    document.getElementById('paymentAmount').value = '';
+    document.getElementById('paymentReference').value = '';
+    document.getElementById('paymentNotes').value = '';
+    renderPaymentTargets();
+    showLiveAlert('Payment recorded successfully!');
+  }
+
+  /**
+   * Deletes a payment after user confirmation.
+   * @param {string} id - The ID of the payment to delete.
+   */
+  function deletePayment(id) {
+    if (confirm('Are you sure you want to delete this payment?')) {
+      payments = payments.filter((payment) => payment.id !== id);
+      saveData('payments');
+      renderPayments();
+      renderOrders();
+      renderPaymentTargets();
+      showLiveAlert('Payment deleted successfully!', 'danger');
+    }
+  }
+
+  /**
+   * Describes what a payment was made against, for tables and the ledger.
+   * @param {Object} payment - The payment.
+   * @returns {string} E.g. 'Invoice INV/2026-27/0001', 'ORD-0001, ORD-0002' or 'On account'.
+   */
+  function describePaymentTarget(payment) {
+    if (payment.invoiceId) {
+      const invoice = invoices.find((inv) => inv.id === payment.invoiceId);
+      return `Invoice ${invoice ? invoice.number : '(deleted)'}`;
+    }
+    return payment.orderIds && payment.orderIds.length ? payment.orderIds.join(', ') : 'On account';
+  }
+
+  /**
+   * Renders the recent payments table, newest first.
+   */
+  function renderPayments() {
+    const tableBody = document.getElementById('paymentsTableBody');
+    const sortedPayments = [...payments].sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
+    tableBody.innerHTML = sortedPayments.length
+      ? sortedPayments.map((payment) => {
+          const customer = customers.find((c) => c.id === payment.customerId);
+          return `
+            <tr>
+                <td>${payment.date}</td>
+                <td>${escapeHtml(customer ? customer.name : 'Unknown customer')}</td>
+                <td>₹${payment.amount.toFixed(2)}</td>
+                <td>${payment.mode}</td>
+                <td>${escapeHtml(payment.reference || '-')}</td>
+                <td>${describePaymentTarget(payment)}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-danger" onclick="deletePayment('${payment.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>
+          `;
+        }).join('')
+      : '<tr><td colspan="7" class="text-center text-muted">No payments recorded yet.</td></tr>';
+  }
+
+  /**
+   * Builds a customer's running ledger: orders are billed (debit), payments are received (credit).
+   * @param {string} customerId - The ID of the customer.
+   * @returns {{entries: Object[], billed: number, received: number, outstanding: number}} The ledger and its totals.
+   */
+  function getCustomerLedger(customerId) {
+    const entries = [
+      ...getCustomerOrders(customerId).map((order) => ({
+        date: order.createdAt,
+        description: `Order ${order.id}`,
+        billed: order.orderTotal,
+        received: 0,
+      })),
+      ...payments
+        .filter((payment) => payment.customerId === customerId)
+        .map((payment) => ({
+          date: payment.date,
+          description: `Payment (${payment.mode}${payment.reference ? ' ' + payment.reference : ''}) - ${describePaymentTarget(payment)}`,
+          billed: 0,
+          received: payment.amount,
+        })),
+    ].sort((a, b) => a.date.localeCompare(b.date) || b.billed - a.billed); // Bills before payments on the same day
+
+    let balance = 0; // paise
+    entries.forEach((entry) => {
+      balance += toPaise(entry.billed) - toPaise(entry.received);
+      entry.balance = toRupees(balance);
+    });
+    const billed = sumMoney(entries.map((entry) => entry.billed));
+    const received = sumMoney(entries.map((entry) => entry.received));
+    return { entries, billed, received, outstanding: subtractMoney(billed, received) };
+  }
+
+  /**
+   * Displays a customer's running ledger in a modal.
+   * @param {string} customerId - The ID of the customer.
+   */
+  function viewCustomerLedger(customerId) {
+    const customer = customers.find((c) => c.id === customerId);
+    if (!customer) {
+      showLiveAlert('Customer not found.', 'danger');
+      return;
+    }
+
+    const ledger = getCustomerLedger(customerId);
+    document.getElementById('customerLedgerContent').innerHTML = `
+        <h6>${escapeHtml(customer.name)}</h6>
+        <div class="row text-center my-3">
+            <div class="col-4">
+                <h6 class="text-muted mb-1">Billed</h6>
+                <h5>₹${ledger.billed.toFixed(2)}</h5>
+            </div>
+            <div class="col-4">
+                <h6 class="text-muted mb-1">Received</h6>
+                <h5>₹${ledger.received.toFixed(2)}</h5>
+            </div>
+            <div class="col-4">
+                <h6 class="text-muted mb-1">${ledger.outstanding < 0 ? 'Advance' : 'Outstanding'}</h6>
+                <h5 class="${ledger.outstanding > 0 ? 'text-danger' : 'text-success'}">₹${Math.abs(ledger.outstanding).toFixed(2)}</h5>
+            </div>
+        </div>
+        <div class="table-responsive">
+            <table class="table table-striped table-sm">
+                <thead class="table-dark">
+                    <tr><th>Date</th><th>Particulars</th><th class="text-end">Billed</th><th class="text-end">Received</th><th class="text-end">Balance</th></tr>
+                </thead>
+                <tbody>
+                    ${ledger.entries.length ? ledger.entries.map((entry) => `
+                        <tr>
+                            <td>${entry.date}</td>
+                            <td>${escapeHtml(entry.description)}</td>
+                            <td class="text-end">${entry.billed ? '₹' + entry.billed.toFixed(2) : ''}</td>
+                            <td class="text-end">${entry.received ? '₹' + entry.received.toFixed(2) : ''}</td>
+                            <td class="text-end">₹${entry.balance.toFixed(2)}</td>
+                        </tr>
+                    `).join('') : '<tr><td colspan="5" class="text-center text-muted">No transactions yet.</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    `;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerDetailsModal')).hide();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerLedgerModal')).show();
+  }
+
+  // Challan types, with their labels and the settings key of their number prefix
+  const CHALLAN_TYPES = {
+    inward: { label: 'Inward', title: 'INWARD CHALLAN', prefixSetting: 'inwardChallanPrefix', quantityLabel: 'Received' },
+    outward: { label: 'Delivery', title: 'DELIVERY CHALLAN', prefixSetting: 'deliveryChallanPrefix', quantityLabel: 'Delivered' },
+  };
+
+  /**
+   * Totals the quantities received and delivered on challans, per order item.
+   * @param {Object} order - The order.
+   * @returns {Map<string, Object>} Item ID -> { received, delivered, receivedPieces, deliveredPieces }.
+   */
+  function getItemMovements(order) {
+    const movements = new Map(order.items.map((item) => [item.id, { received: 0, delivered: 0, receivedPieces: 0, deliveredPieces: 0 }]));
+    challans
+      .filter((challan) => challan.orderId === order.id)
+      .forEach((challan) => {
+        challan.lines.forEach((line) => {
+          const movement = movements.get(line.itemId);
+          if (!movement) {
+            return; // The item was removed from the order after the challan
+          }
+          if (challan.type === 'inward') {
+            movement.received += line.quantity;
+            movement.receivedPieces += line.pieces || 0;
+          } else {
+            movement.delivered += line.quantity;
+            movement.deliveredPieces += line.pieces || 0;
+          }
+        });
+      });
+    return movements;
+  }
+
+  /**
+   * Returns the weight of an item still to be delivered.
+   * @param {Object} item - The order item.
+   * @param {Map<string, Object>} movements - Totals from getItemMovements().
+   * @returns {number} The balance in kg, never below zero.
+   */
+  function getItemBalance(item, movements) {
+    return Math.max(parseFloat((item.weightKg - movements.get(item.id).delivered).toFixed(3)), 0);
+  }
+
+  /**
+   * Tells whether an order still has quantity to deliver. Deliveries are recorded with delivery challans,
+   * so an order only becomes Delivered when its last delivery challan is issued.
+   * @param {Object} order - The order.
+   * @returns {boolean} True if no delivery challan has been issued yet or some quantity is still pending.
+   */
+  function hasPendingDelivery(order) {
+    if (!challans.some((challan) => challan.orderId === order.id && challan.type === 'outward')) {
+      return true;
+    }
+    const movements = getItemMovements(order);
+    return order.items.some((item) => getItemBalance(item, movements) > 0);
+  }
+
+  /**
+   * Fills the order dropdown of the challan form with the selected customer's open orders.
+   */
+  function renderChallanOrders() {
+    const customerId = document.getElementById('challanCustomer').value;
+    const type = document.getElementById('challanType').value;
+    const orderSelect = document.getElementById('challanOrder');
+    while (orderSelect.options.length > 1) {
+      orderSelect.remove(1);
+    }
+    document.getElementById('challanReferenceLabel').textContent =
+      type === 'inward' ? 'Customer Challan No.' : 'Vehicle / Reference';
+
+    if (customerId) {
+      getCustomerOrders(customerId)
+        .filter((order) => order.status !== 'Delivered')
+        .filter((order) => type === 'inward' || order.items.some((item) => getItemBalance(item, getItemMovements(order)) > 0))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .forEach((order) => orderSelect.add(new Option(`${order.id} - ${order.createdAt}`, order.id)));
+    }
+    renderChallanLines();
+  }
+
+  /**
+   * Shows the items of the selected order with their quantities so far and an input for this challan.
+   * Inputs default to the quantity not yet received (inward) or not yet delivered (outward).
+   */
+  function renderChallanLines() {
+    const container = document.getElementById('challanLines');
+    const type = document.getElementById('challanType').value;
+    const order = orders.find((o) => o.id === document.getElementById('challanOrder').value);
+    if (!order) {
+      container.innerHTML = '<p class="text-muted mb-0">Select a customer and an order to list its items.</p>';
+      return;
+    }
+
+    const movements = getItemMovements(order);
+    container.innerHTML = `
+        <table class="table table-sm align-middle">
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Ordered (kg)</th>
+                    <th>Received (kg)</th>
+                    <th>Delivered (kg)</th>
+                    <th>Balance (kg)</th>
+                    <th>${CHALLAN_TYPES[type].quantityLabel} now (kg)</th>
+                    <th>Pieces</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${order.items.map((item) => {
+                  const movement = movements.get(item.id);
+                  const balance = getItemBalance(item, movements);
+                  const suggested = type === 'inward' ? Math.max(item.weightKg - movement.received, 0) : balance;
+                  return `
+                    <tr data-item-id="${item.id}">
+                        <td>${escapeHtml(item.itemName)} <small class="text-muted">(${item.material}, ${item.platingTypes.join('/')})</small></td>
+                        <td>${item.weightKg}</td>
+                        <td>${movement.received}</td>
+                        <td>${movement.delivered}</td>
+                        <td>${balance}</td>
+                        <td><input type="number" class="form-control form-control-sm challan-quantity-input" step="0.001" min="0" value="${parseFloat(suggested.toFixed(3))}"></td>
+                        <td><input type="number" class="form-control form-control-sm challan-pieces-input" step="1" min="0" placeholder="Optional"></td>
+                    </tr>
+                  `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+  }
+
+  /**
+   * Issues a challan from the challan form.
+   * A delivery challan cannot send out more than an item's balance; once nothing is left the order becomes Delivered.
+   */
+  function addChallan() {
+    const type = document.getElementById('challanType').value;
+    const customerId = document.getElementById('challanCustomer').value;
+    const order = orders.find((o) => o.id === document.getElementById('challanOrder').value);
+    const date = document.getElementById('challanDate').value;
+    const reference = document.getElementById('challanReference').value.trim();
+    if (!customerId || !order || !date) {
+      showLiveAlert('Please select a customer, an order and the challan date.', 'danger');
+      return;
+    }
+    if (type === 'inward' && !reference) {
+      showLiveAlert("Please enter the customer's challan number.", 'danger');
+      return;
+    }
+    if (type === 'outward' && needsInspection(order, 'Delivered')) {
+      showLiveAlert(`Order ${order.id} needs a QC inspection before it can be delivered.`, 'danger', {
+        label: 'Inspect',
+        handler: () => openInspection(order.id),
+      });
+      return;
+    }
+
+    const movements = getItemMovements(order);
+    const lines = [];
+    const errors = [];
+    document.querySelectorAll('#challanLines tr[data-item-id]').forEach((row) => {
+      const item = order.items.find((i) => i.id === row.dataset.itemId);
+      const quantity = parseFloat(row.querySelector('.challan-quantity-input').value) || 0;
+      const pieces = parseInt(row.querySelector('.challan-pieces-input').value, 10) || 0;
+      if (quantity < 0 || pieces < 0) {
+        errors.push(`Quantities for ${item.itemName} cannot be negative.`);
+        return;
+      }
+      if (quantity === 0 && pieces === 0) {
+        return; // Item not on this challan
+      }
+      const balance = getItemBalance(item, movements);
+      if (type === 'outward' && quantity > balance + 0.0005) {
+        errors.push(`Only ${balance} kg of ${item.itemName} is left to deliver.`);
+        return;
+      }
+      lines.push({
+        itemId: item.id,
+        itemName: item.itemName,
+        material: item.material,
+        platingTypes: item.platingTypes,
+        quantity,
+        pieces,
+        balanceAfter: type === 'outward' ? Math.max(parseFloat((balance - quantity).toFixed(3)), 0) : null,
+      });
+    });
+    if (errors.length > 0) {
+      showLiveAlert(errors[0], 'danger');
+      return;
+    }
+    if (lines.length === 0) {
+      showLiveAlert('Enter a quantity for at least one item.', 'danger');
+      return;
+    }
+
+    const financialYear = getFinancialYear(date);
+    const sequence = nextSequence(`${type}Challan`, financialYear);
+    const challan = {
+      id: generateUniqueId('CHL'),
+      type,
+      number: `${settings[CHALLAN_TYPES[type].prefixSetting]}/${financialYear}/${String(sequence).padStart(4, '0')}`,
+      financialYear,
+      date,
+      customerId,
+      orderId: order.id,
+      reference,
+      notes: document.getElementById('challanNotes').value.trim(),
+      lines,
+      createdAt: new Date().toISOString(),
+    };
+    challans.push(challan);
+
+    recordOrderHistory(order, type, lines.map((line) => {
+      const movement = movements.get(line.itemId);
+      const before = type === 'inward' ? movement.received : movement.delivered;
+      return {
+        field: `${line.itemName} ${CHALLAN_TYPES[type].quantityLabel.toLowerCase()} (kg)`,
+        from: before,
+        to: parseFloat((before + line.quantity).toFixed(3)),
+      };
+    }));
+    if (type === 'outward' && !hasPendingDelivery(order)) {
+      recordOrderHistory(order, 'status', [
+        { field: 'Status', from: order.status, to: 'Delivered' },
+        { field: 'Challan', from: '', to: challan.number },
+      ]);
+      const previousStatus = order.status;
+      order.status = 'Delivered';
+      updateOrderConsumption(order, previousStatus);
+    }
+
+    saveData('challans', 'orders', 'counters', 'stockMovements');
+    renderChallans();
+    renderOrders();
+    document.getElementById('challanReference').value = '';
+    document.getElementById('challanNotes').value = '';
+    renderChallanOrders();
+    showLiveAlert(
+      order.status === 'Delivered' && type === 'outward'
+        ? `Challan ${challan.number} issued. Order ${order.id} is fully delivered.`
+        : `Challan ${challan.number} issued successfully!`
+    );
+  }
+
+  /**
+   * Deletes a challan after confirmation. If a delivered order has quantity pending again, it goes back to Completed.
+   * @param {string} id - The ID of the challan.
+   */
+  function deleteChallan(id) {
+    const challan = challans.find((c) => c.id === id);
+    if (!challan || !confirm(`Delete challan ${challan.number}? Its number will not be reused.`)) {
+      return;
+    }
+    challans = challans.filter((c) => c.id !== id);
+    const order = orders.find((o) => o.id === challan.orderId);
+    if (order) {
+      recordOrderHistory(order, 'edited', [{ field: 'Challan', from: challan.number, to: '(deleted)' }]);
+      if (challan.type === 'outward' && order.status === 'Delivered' && hasPendingDelivery(order)) {
+        recordOrderHistory(order, 'status', [{ field: 'Status', from: 'Delivered', to: 'Completed' }]);
+        order.status = 'Completed';
+      }
+    }
+    saveData('challans', 'orders');
+    renderChallans();
+    renderOrders();
+    renderChallanOrders();
+    showLiveAlert(`Challan ${challan.number} deleted.`, 'danger');
+  }
+
+  /**
+   * Renders the list of challans, newest first.
+   */
+  function renderChallans() {
+    const tableBody = document.getElementById('challansTableBody');
+    const sortedChallans = [...challans].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    tableBody.innerHTML = sortedChallans.length
+      ? sortedChallans.map((challan) => {
+          const customer = customers.find((c) => c.id === challan.customerId);
+          const totalKg = challan.lines.reduce((sum, line) => sum + line.quantity, 0);
+          return `
+            <tr>
+                <td>${challan.number}</td>
+                <td><span class="badge ${challan.type === 'inward' ? 'bg-secondary' : 'bg-primary'}">${CHALLAN_TYPES[challan.type].label}</span></td>
+                <td>${challan.date}</td>
+                <td>${customer ? escapeHtml(customer.name) : 'Unknown'}</td>
+                <td>${escapeHtml(challan.orderId)}</td>
+                <td>${escapeHtml(challan.reference)}</td>
+                <td>${parseFloat(totalKg.toFixed(3))}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-info text-white" onclick="printChallan('${challan.id}')" title="Download PDF">
+                        <i class="fas fa-file-pdf"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteChallan('${challan.id}')" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+          `;
+        }).join('')
+      : '<tr><td colspan="8" class="text-center text-muted">No challans issued yet.</td></tr>';
+  }
+
+  /**
+   * Generates a PDF of an inward or delivery challan.
+   * @param {string} id - The ID of the challan.
+   * @returns {boolean} True if the PDF was generated.
+   */
+  function printChallan(id) {
+    const challan = challans.find((c) => c.id === id);
+    if (!challan) {
+      showLiveAlert('Challan not found.', 'danger');
+      return false;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    if (typeof doc.autoTable === 'undefined') {
+      console.error("doc.autoTable is not a function. jsPDF-AutoTable plugin might not be loaded correctly.");
+      showLiveAlert("PDF generation failed: AutoTable plugin not found.", "danger");
+      return false;
+    }
+
+    const business = settings.business;
+    const customer = customers.find((c) => c.id === challan.customerId) || {};
+    const isOutward = challan.type === 'outward';
+    let yPos = 15;
+
+    doc.setFontSize(16);
+    doc.text(CHALLAN_TYPES[challan.type].title, 105, yPos, null, null, 'center');
+    yPos += 10;
+
+    // Our details on the left, challan number and date on the right
+    doc.setFontSize(12);
+    doc.text(business.name, 15, yPos);
+    doc.setFontSize(10);
+    doc.text(`Challan No: ${challan.number}`, 195, yPos, null, null, 'right');
+    yPos += 5;
+    doc.text(`Date: ${challan.date}`, 195, yPos, null, null, 'right');
+    const businessLines = [
+      ...doc.splitTextToSize(business.address || '', 110),
+      business.phone ? `Phone: ${business.phone}` : '',
+      business.gstin ? `GSTIN: ${business.gstin}` : '',
+    ].filter(Boolean);
+    doc.text(businessLines, 15, yPos);
+    doc.text(`Order: ${challan.orderId}`, 195, yPos + 5, null, null, 'right');
+    yPos += Math.max(businessLines.length, 2) * 5 + 5;
+
+    doc.setFontSize(11);
+    doc.text(isOutward ? 'Deliver To:' : 'Received From:', 15, yPos);
+    yPos += 5;
+    doc.setFontSize(10);
+    const customerLines = [
+      customer.name || '',
+      ...doc.splitTextToSize(customer.address || '', 110),
+      customer.phone ? `Phone: ${customer.phone}` : '',
+      customer.gstin ? `GSTIN: ${customer.gstin}` : '',
+    ].filter(Boolean);
+    doc.text(customerLines, 15, yPos);
+    if (challan.reference) {
+      doc.text(`${isOutward ? 'Vehicle / Ref' : 'Customer Challan No'}: ${challan.reference}`, 195, yPos, null, null, 'right');
+    }
+    yPos += customerLines.length * 5 + 5;
+
+    const head = ['#', 'Item', 'Material', 'Plating', 'Qty (kg)', 'Pieces'];
+    if (isOutward) {
+      head.push('Balance (kg)');
+    }
+    doc.autoTable({
+      startY: yPos,
+      head: [head],
+      body: challan.lines.map((line, index) => {
+        const row = [index + 1, line.itemName, line.material, line.platingTypes.join(', '), line.quantity, line.pieces || '-'];
+        if (isOutward) {
+          row.push(line.balanceAfter);
+        }
+        return row;
+      }),
+      theme: 'striped',
+      headStyles: { fillColor: [67, 97, 238] },
+      margin: { horizontal: 15 },
+    });
+
+    yPos = doc.autoTable.previous.finalY + 8;
+    doc.text(
+      isOutward ? 'Material returned after electroplating job work.' : 'Material received for electroplating job work.',
+      15,
+      yPos
+    );
+    if (challan.notes) {
+      yPos += 6;
+      doc.text(doc.splitTextToSize(`Notes: ${challan.notes}`, 180), 15, yPos);
+    }
+    yPos += 25;
+    doc.text(isOutward ? "Receiver's Signature" : "Customer's Signature", 15, yPos);
+    doc.text(`For ${business.name}`, 195, yPos - 15, null, null, 'right');
+    doc.text('Authorised Signatory', 195, yPos, null, null, 'right');
+
+    doc.save(`Challan_${challan.number.replace(/\//g, '-')}.pdf`);
+    return true;
+  }
+
+  const QUOTATION_STATUSES = ['Draft', 'Sent', 'Accepted', 'Rejected', 'Expired'];
+
+  let quotationToEdit = null;
+
+  /**
+   * Works out the default validity date of a quotation from its date and the validity set in settings.
+   * @param {string} date - The quotation date (YYYY-MM-DD).
+   * @returns {string} The last day the quotation is valid (YYYY-MM-DD).
+   */
+  function getQuotationValidUntil(date) {
+    const validUntil = new Date(`${date}T00:00:00Z`);
+    validUntil.setUTCDate(validUntil.getUTCDate() + settings.quotationValidityDays);
+    return validUntil.toISOString().split('T')[0];
+  }
+
+  /**
+   * Marks Draft and Sent quotations whose validity date has passed as Expired.
+   * @returns {number} The number of quotations that expired.
+   */
+  function expireQuotations() {
+    const today = new Date().toISOString().split('T')[0];
+    const expired = quotations.filter(
+      (quotation) => (quotation.status === 'Draft' || quotation.status === 'Sent') && quotation.validUntil < today
+    );
+    expired.forEach((quotation) => {
+      quotation.status = 'Expired';
+    });
+    return expired.length;
+  }
+
+  /**
+   * Clears the quotation form back to a new quotation with a single empty item row.
+   */
+  function clearQuotationForm() {
+    const today = new Date().toISOString().split('T')[0];
+    $('#quotationCustomer').val('').trigger('change');
+    document.getElementById('quotationDate').value = today;
+    document.getElementById('quotationValidUntil').value = getQuotationValidUntil(today);
+    document.getElementById('quotationGstApply').value = 'yes';
+    document.getElementById('quotationNotes').value = '';
+    const container = document.getElementById('quotationItemRows');
+    container.innerHTML = '';
+    addEmptyItemRow({}, container);
+
+    quotationToEdit = null;
+    document.getElementById('saveQuotationBtn').innerHTML = '<i class="fas fa-save me-1"></i> Save Quotation';
+    document.getElementById('cancelQuotationEditBtn').classList.add('d-none');
+  }
+
+  /**
+   * Saves the quotation form, as a new Draft quotation or over the quotation being edited.
+   * Items are checked and priced by the same rules as order items.
+   */
+  function saveQuotation() {
+    const customerId = document.getElementById('quotationCustomer').value;
+    const date = document.getElementById('quotationDate').value;
+    const validUntil = document.getElementById('quotationValidUntil').value;
+    const gstApply = document.getElementById('quotationGstApply').value;
+
+    if (!customerId || !date || !validUntil) {
+      showLiveAlert('Please select a customer, the quotation date and the validity date.', 'danger');
+      return;
+    }
+    if (validUntil < date) {
+      showLiveAlert('The validity date cannot be before the quotation date.', 'danger');
+      return;
+    }
+    const customer = customers.find((cust) => cust.id === customerId);
+    if (!customer) {
+      showLiveAlert('Selected customer not found.', 'danger');
+      return;
+    }
+    const items = collectOrderItems(customerId, date, document.getElementById('quotationItemRows'));
+    if (!items) {
+      return;
+    }
+
+    // Edits keep the tax basis and minimum charges the quotation was made with
+    const taxBasis = quotationToEdit ? quotationToEdit.taxBasis : getDefaultTaxBasis();
+    const charges = { minimumCharges: quotationToEdit ? quotationToEdit.minimumCharges : { ...settings.minimumCharges } };
+    const fields = {
+      date,
+      validUntil,
+      customer: { id: customer.id, name: customer.name },
+      gstApply,
+      taxBasis,
+      items,
+      ...charges,
+      ...calculateOrderTotals(items, gstApply, taxBasis, charges),
+      rateCardVersion: rateCard.version,
+      notes: document.getElementById('quotationNotes').value.trim(),
+    };
+
+    let quotation;
+    if (quotationToEdit) {
+      quotation = Object.assign(quotationToEdit, fields);
+      if (quotation.status === 'Expired' && validUntil >= new Date().toISOString().split('T')[0]) {
+        quotation.status = 'Draft'; // A new validity date reopens the quotation
+      }
+    } else {
+      const financialYear = getFinancialYear(date);
+      const sequence = nextSequence('quotation', financialYear);
+      quotation = {
+        id: generateUniqueId('QTN'),
+        number: `${settings.quotationPrefix}/${financialYear}/${String(sequence).padStart(4, '0')}`,
+        financialYear,
+        status: 'Draft',
+        ...fields,
+        orderId: null,
+        createdAt: new Date().toISOString(),
+      };
+      quotations.push(quotation);
+    }
+
+    const edited = Boolean(quotationToEdit);
+    saveData('quotations', 'counters');
+    clearQuotationForm();
+    renderQuotations();
+    showLiveAlert(edited ? `Quotation ${quotation.number} updated.` : `Quotation ${quotation.number} saved.`, 'success', {
+      label: 'Download PDF',
+      handler: () => printQuotation(quotation.id),
+    });
+  }
+
+  /**
+   * Loads a quotation into the quotation form for editing.
+   * Only quotations that have not been accepted, rejected or converted can be edited.
+   * @param {string} id - The ID of the quotation.
+   */
+  function editQuotation(id) {
+    const quotation = quotations.find((q) => q.id === id);
+    if (!quotation) {
+      showLiveAlert('Quotation not found.', 'danger');
+      return;
+    }
+    if (quotation.orderId || quotation.status === 'Accepted' || quotation.status === 'Rejected') {
+      showLiveAlert(`Quotation ${quotation.number} is ${quotation.status.toLowerCase()} and can no longer be edited.`, 'danger');
+      return;
+    }
+
+    quotationToEdit = quotation;
+    $('#quotationCustomer').val(quotation.customer.id).trigger('change');
+    document.getElementById('quotationDate').value = quotation.date;
+    document.getElementById('quotationValidUntil').value = quotation.validUntil;
+    document.getElementById('quotationGstApply').value = quotation.gstApply;
+    document.getElementById('quotationNotes').value = quotation.notes;
+    const container = document.getElementById('quotationItemRows');
+    container.innerHTML = '';
+    quotation.items.forEach((item) => addEmptyItemRow(item, container));
+
+    document.getElementById('saveQuotationBtn').innerHTML = '<i class="fas fa-edit me-1"></i> Update Quotation';
+    document.getElementById('cancelQuotationEditBtn').classList.remove('d-none');
+    showLiveAlert(`Editing quotation ${quotation.number}`, 'info');
+  }
+
+  /**
+   * Changes the status of a quotation from the quotation list.
+   * @param {string} id - The ID of the quotation.
+   * @param {string} status - The new status, one of QUOTATION_STATUSES.
+   */
+  function changeQuotationStatus(id, status) {
+    const quotation = quotations.find((q) => q.id === id);
+    if (!quotation || quotation.status === status) {
+      return;
+    }
+    const today = new Date().toISOString().split('T')[0];
+    if ((status === 'Draft' || status === 'Sent') && quotation.validUntil < today) {
+      showLiveAlert(`Quotation ${quotation.number} has expired. Edit it to give it a new validity date first.`, 'danger');
+      renderQuotations();
+      return;
+    }
+    quotation.status = status;
+    saveData('quotations');
+    renderQuotations();
+    showLiveAlert(`Quotation ${quotation.number} marked ${status}.`);
+  }
+
+  /**
+   * Deletes a quotation after confirmation. Quotations converted into orders are kept with their order.
+   * @param {string} id - The ID of the quotation.
+   */
+  function deleteQuotation(id) {
+    const quotation = quotations.find((q) => q.id === id);
+    if (!quotation) {
+      return;
+    }
+    if (quotation.orderId) {
+      showLiveAlert(`Quotation ${quotation.number} was converted into order ${quotation.orderId} and cannot be deleted.`, 'danger');
+      return;
+    }
+    if (!confirm(`Delete quotation ${quotation.number}? Its number will not be reused.`)) {
+      return;
+    }
+    quotations = quotations.filter((q) => q.id !== id);
+    if (quotationToEdit && quotationToEdit.id === id) {
+      clearQuotationForm();
+    }
+    saveData('quotations');
+    renderQuotations();
+    showLiveAlert(`Quotation ${quotation.number} deleted.`, 'danger');
+  }
+
+  /**
+   * Creates an order from a quotation, with the quotation's customer, items and prices, dated today.
+   * The quotation is marked Accepted and the two records are linked to each other.
+   * @param {string} id - The ID of the quotation.
+   */
+  function convertQuotationToOrder(id) {
+    const quotation = quotations.find((q) => q.id === id);
+    if (!quotation) {
+      showLiveAlert('Quotation not found.', 'danger');
+      return;
+    }
+    if (quotation.orderId) {
+      showLiveAlert(`Quotation ${quotation.number} was already converted into order ${quotation.orderId}.`, 'info');
+      return;
+    }
+    if (quotation.status === 'Rejected' || quotation.status === 'Expired') {
+      showLiveAlert(`Quotation ${quotation.number} is ${quotation.status.toLowerCase()} and cannot be converted.`, 'danger');
+      return;
+    }
+    const customer = customers.find((cust) => cust.id === quotation.customer.id);
+    if (!customer) {
+      showLiveAlert('The customer of this quotation no longer exists.', 'danger');
+      return;
+    }
+
+    const orderDate = new Date().toISOString().split('T')[0];
+    // Items get new IDs so challans for the order never match a quotation item
+    const items = quotation.items.map((item) => ({ ...JSON.parse(JSON.stringify(item)), id: generateUniqueId('ITEM') }));
+    const charges = { discount: null, surcharges: [], minimumCharges: { ...quotation.minimumCharges } };
+    const newOrder = {
+      id: generateOrderId(orderDate),
+      customer: { id: customer.id, name: customer.name },
+      status: 'Pending',
+      gstApply: quotation.gstApply,
+      taxBasis: quotation.taxBasis,
+      createdAt: orderDate,
+      items,
+      ...charges,
+      ...calculateOrderTotals(items, quotation.gstApply, quotation.taxBasis, charges),
+      rateCardVersion: quotation.rateCardVersion,
+      quotationId: quotation.id,
+      history: [],
+    };
+    recordOrderHistory(newOrder, 'created', [
+      { field: 'Status', from: '', to: newOrder.status },
+      { field: 'Total', from: '', to: newOrder.orderTotal },
+      { field: 'Quotation', from: '', to: quotation.number },
+    ]);
+    orders.push(newOrder);
+    recordItemMasterUse(newOrder);
+    quotation.status = 'Accepted';
+    quotation.orderId = newOrder.id;
+
+    saveData('orders', 'quotations', 'counters', 'itemMaster');
+    renderOrders();
+    updateSummaryCards();
+    renderQuotations();
+    renderItemMaster();
+    highlightOrder(newOrder.id);
+    showLiveAlert(`Order ${newOrder.id} created from quotation ${quotation.number}.`, 'success', {
+      label: 'View Order',
+      handler: () => viewOrderDetails(newOrder.id),
+    });
+  }
+
+  /**
+   * Renders the list of quotations, newest first. Quotations past their validity are expired first.
+   */
+  function renderQuotations() {
+    if (expireQuotations() > 0) {
+      saveData('quotations');
+    }
+    const tableBody = document.getElementById('quotationsTableBody');
+    const sortedQuotations = [...quotations].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    tableBody.innerHTML = sortedQuotations.length
+      ? sortedQuotations.map((quotation) => {
+          const order = quotation.orderId ? orders.find((o) => o.id === quotation.orderId) : null;
+          const closed = Boolean(quotation.orderId) || quotation.status === 'Accepted' || quotation.status === 'Rejected';
+          let orderHtml = '-';
+          if (order) {
+            orderHtml = `<a href="#" onclick="viewOrderDetails('${order.id}'); return false;">${order.id}</a>`;
+          } else if (quotation.orderId) {
+            orderHtml = `${escapeHtml(quotation.orderId)} <span class="text-muted">(deleted)</span>`;
+          }
+          return `
+            <tr>
+                <td>${quotation.number}</td>
+                <td>${quotation.date}</td>
+                <td>${quotation.validUntil}</td>
+                <td>${escapeHtml(quotation.customer.name)}</td>
+                <td>₹${quotation.orderTotal.toFixed(2)}</td>
+                <td>
+                    <select class="form-select form-select-sm" onchange="changeQuotationStatus('${quotation.id}', this.value)" ${quotation.orderId ? 'disabled' : ''}>
+                        ${QUOTATION_STATUSES.map((status) => `<option value="${status}" ${quotation.status === status ? 'selected' : ''}>${status}</option>`).join('')}
+                    </select>
+                </td>
+                <td>${orderHtml}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-info text-white" onclick="printQuotation('${quotation.id}')" title="Download PDF">
+                        <i class="fas fa-file-pdf"></i>
+                    </button>
+                    <button class="btn btn-sm btn-success" onclick="convertQuotationToOrder('${quotation.id}')" title="Convert to Order"
+                        ${quotation.orderId || quotation.status === 'Rejected' || quotation.status === 'Expired' ? 'disabled' : ''}>
+                        <i class="fas fa-exchange-alt"></i>
+                    </button>
+                    <button class="btn btn-sm btn-warning" onclick="editQuotation('${quotation.id}')" title="Edit" ${closed ? 'disabled' : ''}>
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteQuotation('${quotation.id}')" title="Delete" ${quotation.orderId ? 'disabled' : ''}>
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+          `;
+        }).join('')
+      : '<tr><td colspan="8" class="text-center text-muted">No quotations yet.</td></tr>';
+  }
+
+  /**
+   * Generates a PDF of a quotation with its items, charges and totals.
+   * @param {string} id - The ID of the quotation.
+   * @returns {boolean} True if the PDF was generated.
+   */
+  function printQuotation(id) {
+    const quotation = quotations.find((q) => q.id === id);
+    if (!quotation) {
+      showLiveAlert('Quotation not found.', 'danger');
+      return false;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    if (typeof doc.autoTable === 'undefined') {
+      console.error("doc.autoTable is not a function. jsPDF-AutoTable plugin might not be loaded correctly.");
+      showLiveAlert("PDF generation failed: AutoTable plugin not found.", "danger");
+      return false;
+    }
+
+    const business = settings.business;
+    const customer = customers.find((c) => c.id === quotation.customer.id) || { name: quotation.customer.name };
+    const withGst = quotation.gstApply === 'yes';
+    let yPos = 15;
+
+    doc.setFontSize(16);
+    doc.text('Quotation', 105, yPos, null, null, 'center');
+    yPos += 10;
+
+    // Our details on the left, quotation number and dates on the right
+    doc.setFontSize(12);
+    doc.text(business.name, 15, yPos);
+    doc.setFontSize(10);
+    doc.text(`Quotation No: ${quotation.number}`, 195, yPos, null, null, 'right');
+    yPos += 5;
+    doc.text(`Date: ${quotation.date}`, 195, yPos, null, null, 'right');
+    doc.text(`Valid Until: ${quotation.validUntil}`, 195, yPos + 5, null, null, 'right');
+    const businessLines = [
+      ...doc.splitTextToSize(business.address || '', 110),
+      business.phone ? `Phone: ${business.phone}` : '',
+      business.gstin ? `GSTIN: ${business.gstin}` : '',
+    ].filter(Boolean);
+    doc.text(businessLines, 15, yPos);
+    yPos += Math.max(businessLines.length, 2) * 5 + 5;
+
+    doc.setFontSize(11);
+    doc.text('Quoted To:', 15, yPos);
+    yPos += 5;
+    doc.setFontSize(10);
+    const customerLines = [
+      customer.name || '',
+      ...doc.splitTextToSize(customer.address || '', 110),
+      customer.phone ? `Phone: ${customer.phone}` : '',
+      customer.gstin ? `GSTIN: ${customer.gstin}` : '',
+    ].filter(Boolean);
+    doc.text(customerLines, 15, yPos);
+    yPos += customerLines.length * 5 + 5;
+
+    const head = ['#', 'Item', 'Material', 'Plating', 'Qty', 'Rate', 'Amount'];
+    if (withGst) {
+      head.splice(6, 0, 'GST');
+    }
+    const body = [];
+    quotation.items.forEach((item, index) => {
+      const row = [
+        index + 1,
+        item.itemName,
+        item.material,
+        item.platingTypes.join(', '),
+        `${item.quantity} ${getUnitLabel(item.unit)}`,
+        `${item.itemRate.toFixed(2)}/${getUnitLabel(item.unit)}`,
+        multiplyMoney(item.itemRate, item.quantity).toFixed(2),
+      ];
+      if (withGst) {
+        row.splice(6, 0, getTaxRateLabel(item.taxRate));
+      }
+      body.push(row);
+      if (item.discount) {
+        body.push(['', `${formatAdjustmentLabel('Discount', item.discount)} on ${item.itemName}`, '', '', '', '', ...(withGst ? [''] : []), `-${item.discountAmount.toFixed(2)}`]);
+      }
+    });
+    doc.autoTable({
+      startY: yPos,
+      head: [head],
+      body,
+      theme: 'striped',
+      headStyles: { fillColor: [67, 97, 238] },
+      margin: { horizontal: 15 },
+    });
+
+    // Totals, right-aligned below the table
+    yPos = doc.autoTable.previous.finalY + 8;
+    const totalLines = [];
+    if (quotation.adjustments.length > 0) {
+      totalLines.push(['Items Subtotal', quotation.subtotal]);
+      quotation.adjustments.forEach((adjustment) => totalLines.push([adjustment.label, adjustment.amount]));
+    }
+    if (withGst) {
+      totalLines.push(['Taxable Value', quotation.taxableValue]);
+      quotation.taxBreakup
+        .filter((group) => group.rate > 0)
+        .forEach((group) => totalLines.push([`GST @ ${group.rate}%`, group.tax]));
+    }
+    if (quotation.roundOff) {
+      totalLines.push(['Round off', quotation.roundOff]);
+    }
+    totalLines.forEach(([label, amount]) => {
+      doc.text(`${label}: ${amount < 0 ? '-' : ''}₹${Math.abs(amount).toFixed(2)}`, 195, yPos, null, null, 'right');
+      yPos += 6;
+    });
+    doc.setFontSize(12);
+    doc.text(`Total: ₹${quotation.orderTotal.toFixed(2)}`, 195, yPos + 2, null, null, 'right');
+    yPos += 10;
+
+    doc.setFontSize(10);
+    if (withGst && quotation.taxBasis === 'inclusive') {
+      doc.text('Rates are inclusive of GST.', 15, yPos);
+      yPos += 6;
+    }
+    doc.text(`This quotation is valid until ${quotation.validUntil}.`, 15, yPos);
+    if (quotation.notes) {
+      yPos += 6;
+      doc.text(doc.splitTextToSize(`Notes: ${quotation.notes}`, 180), 15, yPos);
+    }
+    yPos += 25;
+    doc.text(`For ${business.name}`, 195, yPos - 15, null, null, 'right');
+    doc.text('Authorised Signatory', 195, yPos, null, null, 'right');
+
+    doc.save(`Quotation_${quotation.number.replace(/\//g, '-')}.pdf`);
+    return true;
+  }
+
+  const STOCK_UNITS = ['kg', 'g', 'L', 'mL', 'pc'];
+  // Orders in these statuses have been plated: their chemicals have been used up and they have been through QC
+  const CONSUMING_STATUSES = ['Completed', 'Delivered'];
+  const STOCK_MOVEMENT_TYPES = {
+    in: 'Stock in',
+    adjustment: 'Adjustment',
+    consumption: 'Consumption',
+  };
+
+  let stockItemToEdit = null;
+
+  /**
+   * Works out a stock item's balance from its movements.
+   * @param {string} stockItemId - The ID of the stock item.
+   * @returns {number} The quantity in stock, in the item's unit.
+   */
+  function getStockBalance(stockItemId) {
+    const balance = stockMovements
+      .filter((movement) => movement.stockItemId === stockItemId)
+      .reduce((sum, movement) => sum + movement.quantity, 0);
+    return parseFloat(balance.toFixed(3));
+  }
+
+  /**
+   * Lists the stock items at or below their reorder level.
+   * @returns {{item: Object, balance: number}[]} The low items with their balance.
+   */
+  function getLowStockItems() {
+    return stockItems
+      .filter((item) => item.reorderLevel > 0)
+      .map((item) => ({ item, balance: getStockBalance(item.id) }))
+      .filter(({ item, balance }) => balance <= item.reorderLevel);
+  }
+
+  /**
+   * Estimates the chemicals an order uses up, from the kg plated with each plating type and the consumption norms.
+   * @param {Object} order - The order.
+   * @returns {{stockItemId: string, quantity: number}[]} The quantity of each stock item used, in its unit.
+   */
+  function getOrderConsumption(order) {
+    const platedKg = {};
+    order.items.forEach((item) => {
+      item.platingTypes.forEach((type) => {
+        platedKg[type] = (platedKg[type] || 0) + item.weightKg;
+      });
+    });
+    return stockItems
+      .map((stockItem) => {
+        const quantity = Object.entries(stockItem.norms).reduce((sum, [type, norm]) => sum + (platedKg[type] || 0) * norm, 0);
+        return { stockItemId: stockItem.id, quantity: parseFloat(quantity.toFixed(3)) };
+      })
+      .filter((consumption) => consumption.quantity > 0);
+  }
+
+  /**
+   * Keeps an order's stock consumption in step with its status. Moving into Completed or Delivered deducts the
+   * estimated consumption; moving back to Pending or In Progress puts it back. Orders that were already completed
+   * when norms were set are not charged afterwards.
+   * @param {Object} order - The order, with its new status.
+   * @param {string} previousStatus - The status before the change ('' for a new order).
+   * @param {boolean} [itemsChanged] - True when the items or weights changed; recorded consumption is then worked out again.
+   */
+  function updateOrderConsumption(order, previousStatus, itemsChanged = false) {
+    const wasDone = CONSUMING_STATUSES.includes(previousStatus);
+    const isDone = CONSUMING_STATUSES.includes(order.status);
+    const recorded = stockMovements.filter((movement) => movement.orderId === order.id);
+    if (wasDone === isDone && !(isDone && itemsChanged && recorded.length > 0)) {
+      return;
+    }
+    stockMovements = stockMovements.filter((movement) => movement.orderId !== order.id);
+    if (!isDone) {
+      return;
+    }
+    const date = recorded.length > 0 ? recorded[0].date : new Date().toISOString().split('T')[0];
+    getOrderConsumption(order).forEach(({ stockItemId, quantity }) => {
+      stockMovements.push({
+        id: generateUniqueId('STK'),
+        stockItemId,
+        type: 'consumption',
+        date,
+        quantity: -quantity,
+        rate: null,
+        reference: `Order ${order.id}`,
+        orderId: order.id,
+        createdAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * Describes a stock item's consumption norms, e.g. 'Nickel 0.05 kg/kg'.
+   * @param {Object} stockItem - The stock item.
+   * @returns {string} The norms, or '' if none are set.
+   */
+  function formatStockNorms(stockItem) {
+    return Object.entries(stockItem.norms)
+      .map(([type, norm]) => `${type} ${norm} ${stockItem.unit}/kg`)
+      .join(', ');
+  }
+
+  /**
+   * Clears the stock item form back to a new item.
+   */
+  function clearStockItemForm() {
+    document.getElementById('stockItemName').value = '';
+    document.getElementById('stockItemUnit').value = 'kg';
+    document.getElementById('stockItemReorderLevel').value = '';
+    document.querySelectorAll('#stockNormInputs input').forEach((input) => {
+      input.value = '';
+    });
+    stockItemToEdit = null;
+    document.getElementById('cancelStockItemEditBtn').classList.add('d-none');
+  }
+
+  /**
+   * Saves the stock item form as a new item or over the item being edited.
+   */
+  function saveStockItem() {
+    const name = document.getElementById('stockItemName').value.trim();
+    const unit = document.getElementById('stockItemUnit').value;
+    const reorderInput = document.getElementById('stockItemReorderLevel').value;
+    const reorderLevel = reorderInput === '' ? 0 : parseFloat(reorderInput);
+    if (!name) {
+      showLiveAlert('Please enter the name of the stock item.', 'danger');
+      return;
+    }
+    if (isNaN(reorderLevel) || reorderLevel < 0) {
+      showLiveAlert('The reorder level cannot be negative.', 'danger');
+      return;
+    }
+    const duplicate = stockItems.find((item) => item.name.toLowerCase() === name.toLowerCase() && item !== stockItemToEdit);
+    if (duplicate) {
+      showLiveAlert(`A stock item named ${duplicate.name} already exists.`, 'danger');
+      return;
+    }
+    const norms = {};
+    for (const input of document.querySelectorAll('#stockNormInputs input')) {
+      if (input.value === '') {
+        continue;
+      }
+      const norm = parseFloat(input.value);
+      if (isNaN(norm) || norm < 0) {
+        showLiveAlert(`The ${input.dataset.platingType} consumption cannot be negative.`, 'danger');
+        return;
+      }
+      if (norm > 0) {
+        norms[input.dataset.platingType] = norm;
+      }
+    }
+
+    const edited = Boolean(stockItemToEdit);
+    if (stockItemToEdit) {
+      Object.assign(stockItemToEdit, { name, unit, reorderLevel, norms });
+    } else {
+      stockItems.push({ id: generateUniqueId('STKITEM'), name, unit, reorderLevel, norms, createdAt: new Date().toISOString() });
+    }
+    saveData('stockItems');
+    clearStockItemForm();
+    renderInventory();
+    showLiveAlert(edited ? 'Stock item updated successfully!' : 'Stock item added successfully!');
+  }
+
+  /**
+   * Loads a stock item into the stock item form for editing.
+   * New norms apply to orders completed from then on; recorded consumption is kept.
+   * @param {string} id - The ID of the stock item.
+   */
+  function editStockItem(id) {
+    const stockItem = stockItems.find((item) => item.id === id);
+    if (!stockItem) {
+      showLiveAlert('Stock item not found.', 'danger');
+      return;
+    }
+    stockItemToEdit = stockItem;
+    document.getElementById('stockItemName').value = stockItem.name;
+    document.getElementById('stockItemUnit').value = stockItem.unit;
+    document.getElementById('stockItemReorderLevel').value = stockItem.reorderLevel || '';
+    document.querySelectorAll('#stockNormInputs input').forEach((input) => {
+      input.value = stockItem.norms[input.dataset.platingType] ?? '';
+    });
+    document.getElementById('cancelStockItemEditBtn').classList.remove('d-none');
+  }
+
+  /**
+   * Deletes a stock item and its ledger after user confirmation.
+   * @param {string} id - The ID of the stock item.
+   */
+  function deleteStockItem(id) {
+    const stockItem = stockItems.find((item) => item.id === id);
+    if (!stockItem || !confirm(`Delete ${stockItem.name} and its stock ledger?`)) {
+      return;
+    }
+    stockItems = stockItems.filter((item) => item.id !== id);
+    stockMovements = stockMovements.filter((movement) => movement.stockItemId !== id);
+    if (stockItemToEdit && stockItemToEdit.id === id) {
+      clearStockItemForm();
+    }
+    saveData('stockItems', 'stockMovements');
+    renderInventory();
+    showLiveAlert(`${stockItem.name} deleted.`, 'danger');
+  }
+
+  /**
+   * Updates the stock movement form for its type: a stock in takes a rate, an adjustment a signed quantity.
+   */
+  function updateStockMovementFields() {
+    const isStockIn = document.getElementById('stockMovementType').value === 'in';
+    document.getElementById('stockMovementRate').disabled = !isStockIn;
+    if (!isStockIn) {
+      document.getElementById('stockMovementRate').value = '';
+    }
+    document.getElementById('stockMovementHint').textContent = isStockIn
+      ? "Quantity received, in the item's unit."
+      : 'Add or remove stock after a physical count or spillage: enter -2 to remove 2.';
+  }
+
+  /**
+   * Fills the stock movement form for an item, e.g. from a low stock alert, and scrolls to it.
+   * @param {string} stockItemId - The ID of the stock item.
+   * @param {string} type - 'in' or 'adjustment'.
+   */
+  function prefillStockMovement(stockItemId, type) {
+    document.getElementById('stockMovementItem').value = stockItemId;
+    document.getElementById('stockMovementType').value = type;
+    updateStockMovementFields();
+    document.getElementById('inventorySection').scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('stockMovementQuantity').focus();
+  }
+
+  /**
+   * Records a stock in or a manual adjustment from the stock movement form.
+   */
+  function addStockMovement() {
+    const stockItem = stockItems.find((item) => item.id === document.getElementById('stockMovementItem').value);
+    const type = document.getElementById('stockMovementType').value;
+    const date = document.getElementById('stockMovementDate').value;
+    const quantity = parseFloat(document.getElementById('stockMovementQuantity').value);
+    const rateInput = document.getElementById('stockMovementRate').value;
+    const rate = type === 'in' && rateInput !== '' ? parseFloat(rateInput) : null;
+    const reference = document.getElementById('stockMovementReference').value.trim();
+
+    if (!stockItem || !date || isNaN(quantity) || quantity === 0) {
+      showLiveAlert('Please select an item, the date and a quantity.', 'danger');
+      return;
+    }
+    if (type === 'in' && quantity < 0) {
+      showLiveAlert('Stock in must be a positive quantity. Use an adjustment to remove stock.', 'danger');
+      return;
+    }
+    if (rate !== null && (isNaN(rate) || rate < 0)) {
+      showLiveAlert('The rate cannot be negative.', 'danger');
+      return;
+    }
+    if (type === 'adjustment' && !reference) {
+      showLiveAlert('Please enter the reason for the adjustment.', 'danger');
+      return;
+    }
+
+    stockMovements.push({
+      id: generateUniqueId('STK'),
+      stockItemId: stockItem.id,
+      type,
+      date,
+      quantity: parseFloat(quantity.toFixed(3)),
+      rate,
+      reference,
+      orderId: null,
+      createdAt: new Date().toISOString(),
+    });
+    saveData('stockMovements');
+    renderInventory();
+    document.getElementById('stockMovementQuantity').value = '';
+    document.getElementById('stockMovementRate').value = '';
+    document.getElementById('stockMovementReference').value = '';
+    showLiveAlert(`${STOCK_MOVEMENT_TYPES[type]} recorded. ${stockItem.name}: ${getStockBalance(stockItem.id)} ${stockItem.unit} in stock.`);
+  }
+
+  /**
+   * Deletes a stock in or adjustment after user confirmation. Consumption follows its order's status instead.
+   * @param {string} id - The ID of the stock movement.
+   */
+  function deleteStockMovement(id) {
+    const movement = stockMovements.find((m) => m.id === id);
+    if (!movement || movement.type === 'consumption' || !confirm('Delete this stock entry?')) {
+      return;
+    }
+    stockMovements = stockMovements.filter((m) => m.id !== id);
+    saveData('stockMovements');
+    renderInventory();
+    viewStockLedger(movement.stockItemId);
+  }
+
+  /**
+   * Renders the stock items with their balances, the item choices of the stock movement form and the low stock alerts.
+   */
+  function renderInventory() {
+    const movementItem = document.getElementById('stockMovementItem');
+    const selectedItem = movementItem.value;
+    movementItem.innerHTML = '<option value="">Select Item</option>' +
+      stockItems.map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join('');
+    movementItem.value = stockItems.some((item) => item.id === selectedItem) ? selectedItem : '';
+
+    const tableBody = document.getElementById('stockItemsTableBody');
+    const sortedItems = [...stockItems].sort((a, b) => a.name.localeCompare(b.name));
+    tableBody.innerHTML = sortedItems.length
+      ? sortedItems.map((item) => {
+          const balance = getStockBalance(item.id);
+          const lastMovement = stockMovements
+            .filter((movement) => movement.stockItemId === item.id)
+            .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt))[0];
+          const low = item.reorderLevel > 0 && balance <= item.reorderLevel;
+          return `
+            <tr class="${low ? 'table-warning' : ''}">
+                <td>${escapeHtml(item.name)}</td>
+                <td>${balance} ${item.unit}${low ? ' <span class="badge bg-warning text-dark">Low</span>' : ''}</td>
+                <td>${item.reorderLevel ? `${item.reorderLevel} ${item.unit}` : '-'}</td>
+                <td>${formatStockNorms(item) || '<span class="text-muted">None</span>'}</td>
+                <td>${lastMovement ? `${lastMovement.date} (${STOCK_MOVEMENT_TYPES[lastMovement.type].toLowerCase()})` : '-'}</td>
+                <td class="action-buttons">
+                    <button class="btn btn-sm btn-success" onclick="prefillStockMovement('${item.id}', 'in')" title="Stock In"><i class="fas fa-plus"></i></button>
+                    <button class="btn btn-sm btn-info text-white" onclick="viewStockLedger('${item.id}')" title="Stock Ledger"><i class="fas fa-book"></i></button>
+                    <button class="btn btn-sm btn-warning" onclick="editStockItem('${item.id}')" title="Edit"><i class="fas fa-edit"></i></button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteStockItem('${item.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>
+          `;
+        }).join('')
+      : '<tr><td colspan="6" class="text-center text-muted">No stock items added yet.</td></tr>';
+    renderLowStockAlerts();
+  }
+
+  /**
+   * Shows an alert on the dashboard, below the summary cards, for every stock item at or below its reorder level.
+   */
+  function renderLowStockAlerts() {
+    const lowItems = getLowStockItems();
+    document.getElementById('lowStockAlerts').innerHTML = lowItems.length
+      ? `
+        <div class="alert alert-warning d-flex flex-wrap align-items-center gap-2 mb-4" role="alert">
+            <i class="fas fa-exclamation-triangle"></i>
+            <strong>Low stock:</strong>
+            ${lowItems.map(({ item, balance }) => `
+                <span class="badge bg-light text-dark border" role="button" onclick="prefillStockMovement('${item.id}', 'in')"
+                    title="Record stock in">${escapeHtml(item.name)}: ${balance} ${item.unit} left (reorder at ${item.reorderLevel})</span>
+            `).join('')}
+        </div>
+      `
+      : '';
+  }
+
+  /**
+   * Shows the stock ledger of an item: every stock in, adjustment and consumption with the running balance.
+   * @param {string} stockItemId - The ID of the stock item.
+   */
+  function viewStockLedger(stockItemId) {
+    const stockItem = stockItems.find((item) => item.id === stockItemId);
+    if (!stockItem) {
+      showLiveAlert('Stock item not found.', 'danger');
+      return;
+    }
+    const movements = stockMovements
+      .filter((movement) => movement.stockItemId === stockItemId)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+    const totalOf = (type) => parseFloat(
+      movements.filter((movement) => movement.type === type).reduce((sum, movement) => sum + movement.quantity, 0).toFixed(3)
+    );
+    let balance = 0;
+    const rows = movements.map((movement) => {
+      balance = parseFloat((balance + movement.quantity).toFixed(3));
+      return `
+        <tr>
+            <td>${movement.date}</td>
+            <td>${STOCK_MOVEMENT_TYPES[movement.type]}</td>
+            <td>${escapeHtml(movement.reference)}${movement.rate !== null ? ` <span class="text-muted">@ ₹${movement.rate.toFixed(2)}</span>` : ''}</td>
+            <td class="text-end">${movement.quantity > 0 ? movement.quantity : ''}</td>
+            <td class="text-end">${movement.quantity < 0 ? -movement.quantity : ''}</td>
+            <td class="text-end">${balance}</td>
+            <td class="text-end">${movement.type === 'consumption' ? '' : `
+                <button class="btn btn-sm btn-outline-danger" onclick="deleteStockMovement('${movement.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+            `}</td>
+        </tr>
+      `;
+    });
+    document.getElementById('stockLedgerContent').innerHTML = `
+        <h6>${escapeHtml(stockItem.name)} <span class="text-muted">(${stockItem.unit})</span></h6>
+        <div class="row text-center my-3">
+            <div class="col-3">
+                <h6 class="text-muted mb-1">Stock In</h6>
+                <h5>${totalOf('in')}</h5>
+            </div>
+            <div class="col-3">
+                <h6 class="text-muted mb-1">Consumed</h6>
+                <h5>${-totalOf('consumption')}</h5>
+            </div>
+            <div class="col-3">
+                <h6 class="text-muted mb-1">Adjustments</h6>
+                <h5>${totalOf('adjustment')}</h5>
+            </div>
+            <div class="col-3">
+                <h6 class="text-muted mb-1">In Stock</h6>
+                <h5 class="${stockItem.reorderLevel > 0 && balance <= stockItem.reorderLevel ? 'text-danger' : 'text-success'}">${balance}</h5>
+            </div>
+        </div>
+        <div class="table-responsive">
+            <table class="table table-striped table-sm">
+                <thead class="table-dark">
+                    <tr><th>Date</th><th>Type</th><th>Particulars</th><th class="text-end">In</th><th class="text-end">Out</th><th class="text-end">Balance</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${rows.length ? rows.join('') : '<tr><td colspan="7" class="text-center text-muted">No stock movements yet.</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    `;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('stockLedgerModal')).show();
+  }
+
+  // Order being inspected in the inspection modal, and the status to move it to once inspected ('' to leave it)
+  let orderToInspect = null;
+  let statusAfterInspection = '';
+
+  /**
+   * Describes an item's process specification, e.g. '8 µm, Bright, Yellow passivation, Tank Zn-1'.
+   * @param {Object|null} spec - The item's processSpec.
+   * @returns {string} The specification, or '' if none is set.
+   */
+  function formatProcessSpec(spec) {
+    if (!spec) {
+      return '';
+    }
+    return [
+      spec.thicknessMicrons !== null ? `${spec.thicknessMicrons} µm` : '',
+      spec.finish,
+      spec.passivation ? `${spec.passivation} passivation` : '',
+      spec.tank ? `Tank ${spec.tank}` : '',
+      spec.saltSprayResult ? `Salt spray: ${spec.saltSprayResult}` : '',
+    ].filter(Boolean).join(', ');
   }
 
   /**
-   * Deletes an order after user confirmation.
-   * @param {string} id - The ID of the order to delete.
+   * Reads the process specification fields of an item row.
+   * @param {HTMLElement} row - The item row element.
+   * @returns {Object|null} The process spec, or null if every field is blank.
    */
-  function deleteOrder(id) {
-    // Using native confirm for simplicity, but a custom modal is recommended for better UX
-    if (confirm('Are you sure you want to delete this order?')) {
-      orders = orders.filter((order) => order.id !== id); // Remove order from array
-      saveData(); // Persist changes
-      renderOrders(); // Re-render table
-      updateSummaryCards(); // Update summary
-      showLiveAlert('Order deleted successfully!', 'danger');
-    }
+  function readProcessSpec(row) {
+    const thicknessInput = row.querySelector('.item-thickness-input').value;
+    const spec = {
+      thicknessMicrons: thicknessInput === '' ? null : parseFloat(thicknessInput),
+      finish: row.querySelector('.item-finish-select').value,
+      passivation: row.querySelector('.item-passivation-select').value,
+      tank: row.querySelector('.item-tank-input').value.trim(),
+      saltSprayResult: row.querySelector('.item-salt-spray-input').value.trim(),
+    };
+    const isBlank = spec.thicknessMicrons === null && !spec.finish && !spec.passivation && !spec.tank && !spec.saltSprayResult;
+    return isBlank ? null : spec;
   }
 
   /**
-   * Opens the confirmation modal for clearing all data.
+   * Checks whether an order has to be inspected before it moves to a status. An order whose inspection rejected
+   * every item, or no longer matches its items, has to be inspected again.
+   * Orders already Completed or Delivered before inspections were required are not held back, and neither are
+   * orders imported as Completed or Delivered (see commitImport): they record work that was checked elsewhere.
+   * @param {Object} order - The order, with its current status.
+   * @param {string} status - The status it is moving to.
+   * @returns {boolean} True if a QC inspection must be recorded first.
    */
-  function confirmClearData() {
-    const clearDataModal = new bootstrap.Modal(
-      document.getElementById('clearDataModal')
-    );
-    clearDataModal.show();
-    document.getElementById('deleteConfirmation').value = ''; // Clear input on modal open
-    document.getElementById('confirmDeleteBtn').disabled = true; // Disable button
+  function needsInspection(order, status) {
+    return settings.requireInspection &&
+      CONSUMING_STATUSES.includes(status) &&
+      !CONSUMING_STATUSES.includes(order.status) &&
+      (!inspectionCoversItems(order) || order.inspection.result === 'Rejected');
   }
 
   /**
-   * Clears all customer and order data from localStorage and the application.
-   * Requires user to type "DELETE" for confirmation.
+   * Checks whether an order's inspection covers its current items: a line for every item, with the accepted,
+   * rejected and rework quantities adding up to the item's quantity.
+   * @param {Object} order - The order.
+   * @returns {boolean} True if the order has an inspection that matches its items.
    */
-  function clearAllData() {
-    const confirmationInput = document.getElementById('deleteConfirmation').value;
-    if (confirmationInput === 'DELETE') {
-      localStorage.removeItem('electroplatingCustomers');
-      localStorage.removeItem('electroplatingOrders');
-      customers = []; // Clear in-memory arrays
-      orders = [];
-      renderCustomers(); // Update UI
-      renderOrders();
-      updateSummaryCards();
-      const clearDataModal = bootstrap.Modal.getInstance(
-        document.getElementById('clearDataModal')
-      );
-      clearDataModal.hide(); // Hide modal
-      showLiveAlert('All data has been cleared!', 'danger');
-    } else {
-      showLiveAlert('Type "DELETE" to confirm data deletion.', 'danger');
+  function inspectionCoversItems(order) {
+    if (!order.inspection) {
+      return false;
     }
+    return order.items.every((item) => {
+      const line = order.inspection.lines.find((l) => l.itemId === item.id);
+      return line && Math.abs(line.accepted + line.rejected + line.rework - item.quantity) <= 0.0005;
+    });
   }
 
   /**
-   * Adds a temporary highlight animation to an order row in the table.
-   * @param {string} orderId - The ID of the order row to highlight.
+   * Works out the outcome of an inspection from its quantities.
+   * @param {Object[]} lines - The inspection lines.
+   * @returns {string} 'Accepted', 'Partly accepted' when any quantity was rejected or sent for rework, or 'Rejected'.
    */
-  function highlightOrder(orderId) {
-    const row = document.querySelector(`[data-order-id="${orderId}"]`);
-    if (row) {
-      row.classList.add('order-highlight');
-      setTimeout(() => {
-        row.classList.remove('order-highlight');
-      }, 2000); // Remove highlight after 2 seconds
+  function getInspectionResult(lines) {
+    const total = (field) => lines.reduce((sum, line) => sum + line[field], 0);
+    if (total('accepted') === 0) {
+      return 'Rejected';
     }
+    return total('rejected') > 0 || total('rework') > 0 ? 'Partly accepted' : 'Accepted';
   }
 
   /**
-   * Exports all order data to a CSV file.
+   * Lists the items of an inspected order whose measured thickness is below the specified thickness.
+   * @param {Object} order - The order.
+   * @returns {string[]} The names of the items below specification.
    */
-  function exportToCSV() {
-    let csvContent = 'data:text/csv;charset=utf-8,';
-    csvContent +=
-      'Order ID,Customer,Items (Name, Material, Plating, Qty, Rate/kg, Item Total),Total,Status,Date\n';
-
-    orders.forEach((order) => {
-      // Flatten items into a single string for CSV
-      const itemsDetails = order.items.map(item =>
-        `${item.itemName} (${item.material}, ${item.platingTypes.join('/')}, ${item.quantity}kg, ₹${item.itemRatePerKg.toFixed(2)}/kg, ₹${item.itemTotal.toFixed(2)})`
-      ).join('; '); // Use semicolon to separate multiple items
-
-      const row = [
-        order.id,
-        order.customer.name,
-        `"${itemsDetails}"`, // Enclose with quotes for commas/semicolons within cell
-        order.orderTotal.toFixed(2),
-        order.status,
-        order.createdAt,
-      ].join(',');
-      csvContent += row + '\n';
-    });
-
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement('a');
-    link.setAttribute('href', encodedUri);
-    link.setAttribute('download', 'electroplating_orders.csv');
-    document.body.appendChild(link); // Required for Firefox
-    link.click();
-    document.body.removeChild(link); // Clean up
-    showLiveAlert('Orders exported to CSV!');
+  function getItemsBelowSpec(order) {
+    if (!order.inspection) {
+      return [];
+    }
+    return order.items
+      .filter((item) => {
+        const line = order.inspection.lines.find((l) => l.itemId === item.id);
+        return line && line.measuredThicknessMicrons !== null && item.processSpec && item.processSpec.thicknessMicrons !== null &&
+          line.measuredThicknessMicrons < item.processSpec.thicknessMicrons;
+      })
+      .map((item) => item.itemName);
   }
 
   /**
-   * Generates a monthly bill as a PDF for a selected customer and month.
+   * Opens the inspection modal for an order, filled with its last inspection or with every item accepted.
+   * @param {string} id - The ID of the order.
+   * @param {string} [nextStatus] - The status to move the order to once the inspection is saved.
    */
-  function generateMonthlyBill() {
-    const customerId = document.getElementById('billingCustomer').value;
-    const billingMonth = document.getElementById('billingMonth').value; //
-    if (!customerId || !billingMonth) {
-      showLiveAlert('Please select both customer and month for billing.', 'danger');
+  function openInspection(id, nextStatus = '') {
+    const order = orders.find((o) => o.id === id);
+    if (!order) {
+      showLiveAlert('Order not found.', 'danger');
       return;
     }
+    orderToInspect = order;
+    statusAfterInspection = nextStatus;
+    const inspection = order.inspection;
+    document.getElementById('inspectionOrderId').textContent = order.id;
+    document.getElementById('inspectionDate').value = inspection ? inspection.date : new Date().toISOString().split('T')[0];
+    document.getElementById('inspectionInspector').value = inspection ? inspection.inspector : settings.staffName;
+    document.getElementById('inspectionRemarks').value = inspection ? inspection.remarks : '';
+    document.getElementById('inspectionLines').innerHTML = order.items.map((item) => {
+      const line = inspection ? inspection.lines.find((l) => l.itemId === item.id) : null;
+      const spec = formatProcessSpec(item.processSpec);
+      return `
+        <tr data-item-id="${item.id}">
+            <td>
+                ${escapeHtml(item.itemName)}
+                <div class="small text-muted">${item.platingTypes.join(', ')}${spec ? `; ${escapeHtml(spec)}` : ''}</div>
+            </td>
+            <td>${item.quantity} ${getUnitLabel(item.unit)}</td>
+            <td><input type="number" class="form-control form-control-sm inspection-thickness-input" min="0" step="0.1"
+                placeholder="${item.processSpec && item.processSpec.thicknessMicrons !== null ? `Spec ${item.processSpec.thicknessMicrons}` : 'µm'}"
+                value="${line && line.measuredThicknessMicrons !== null ? line.measuredThicknessMicrons : ''}"></td>
+            <td><input type="number" class="form-control form-control-sm inspection-accepted-input" min="0" step="0.01" value="${line ? line.accepted : item.quantity}"></td>
+            <td><input type="number" class="form-control form-control-sm inspection-rejected-input" min="0" step="0.01" value="${line ? line.rejected : 0}"></td>
+            <td><input type="number" class="form-control form-control-sm inspection-rework-input" min="0" step="0.01" value="${line ? line.rework : 0}"></td>
+        </tr>
+      `;
+    }).join('');
+    const detailsModal = bootstrap.Modal.getInstance(document.getElementById('orderDetailsModal'));
+    if (detailsModal) {
+      detailsModal.hide();
+    }
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('inspectionModal')).show();
+  }
 
-    const customer = customers.find((c) => c.id === customerId);
-    if (!customer) {
-      showLiveAlert('Customer not found for billing.', 'danger');
+  /**
+   * Validates and saves the inspection modal onto its order. Re-inspecting an order keeps its certificate number.
+   * The accepted, rejected and rework quantities of each item must add up to the item's quantity. The order then
+   * moves on to the status it was inspected for, unless nothing was accepted.
+   */
+  function saveInspection() {
+    const order = orderToInspect;
+    if (!order || !orders.includes(order)) {
+      showLiveAlert('Order not found.', 'danger');
+      return;
+    }
+    const date = document.getElementById('inspectionDate').value;
+    const inspector = document.getElementById('inspectionInspector').value.trim();
+    if (!date || !inspector) {
+      showLiveAlert('Please enter the inspection date and the inspector.', 'danger');
       return;
     }
 
-    // Filter orders for the selected customer and month
-    const filteredOrders = orders.filter(
-      (order) =>
-        order.customer.id === customerId && order.createdAt.startsWith(billingMonth)
-    );
+    const lines = [];
+    for (const row of document.querySelectorAll('#inspectionLines tr[data-item-id]')) {
+      const item = order.items.find((i) => i.id === row.dataset.itemId);
+      const thicknessInput = row.querySelector('.inspection-thickness-input').value;
+      const measuredThicknessMicrons = thicknessInput === '' ? null : parseFloat(thicknessInput);
+      const [accepted, rejected, rework] = ['accepted', 'rejected', 'rework']
+        .map((field) => parseFloat(row.querySelector(`.inspection-${field}-input`).value) || 0);
+      if (measuredThicknessMicrons !== null && (isNaN(measuredThicknessMicrons) || measuredThicknessMicrons < 0)) {
+        showLiveAlert(`The measured thickness of ${item.itemName} must be a number of microns.`, 'danger');
+        return;
+      }
+      if (accepted < 0 || rejected < 0 || rework < 0) {
+        showLiveAlert(`Quantities for ${item.itemName} cannot be negative.`, 'danger');
+        return;
+      }
+      if (Math.abs(accepted + rejected + rework - item.quantity) > 0.0005) {
+        showLiveAlert(`Accepted, rejected and rework for ${item.itemName} must add up to ${item.quantity} ${getUnitLabel(item.unit)}.`, 'danger');
+        return;
+      }
+      lines.push({ itemId: item.id, measuredThicknessMicrons, accepted, rejected, rework });
+    }
 
-    if (filteredOrders.length === 0) {
-      showLiveAlert('No orders found for the selected customer and month.', 'info');
-      return;
+    const previous = order.inspection;
+    let number = previous ? previous.number : '';
+    if (!number) {
+      const financialYear = getFinancialYear(date);
+      number = `${settings.inspectionPrefix}/${financialYear}/${String(nextSequence('inspection', financialYear)).padStart(4, '0')}`;
+    }
+    const result = getInspectionResult(lines);
+    order.inspection = {
+      number,
+      date,
+      inspector,
+      remarks: document.getElementById('inspectionRemarks').value.trim(),
+      result,
+      lines,
+      inspectedAt: new Date().toISOString(),
+    };
+    recordOrderHistory(order, 'inspected', [
+      { field: 'QC result', from: previous ? previous.result : '', to: result },
+      ...(previous ? [] : [{ field: 'Certificate', from: '', to: number }]),
+    ]);
+    saveData('orders', 'counters');
+    renderOrders();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('inspectionModal')).hide();
+    orderToInspect = null;
+
+    const belowSpec = getItemsBelowSpec(order);
+    // A rejected order stays where it is until it is reworked and inspected again
+    if (statusAfterInspection && result !== 'Rejected') {
+      changeOrderStatus(order.id, statusAfterInspection);
+    } else {
+      showLiveAlert(
+        `Inspection ${number} saved: ${result}.` +
+          (belowSpec.length ? ` Thickness below specification on ${belowSpec.join(', ')}.` : '') +
+          (statusAfterInspection ? ` The order stays ${order.status}.` : ''),
+        belowSpec.length || result !== 'Accepted' ? 'warning' : 'success',
+        { label: 'Certificate', handler: () => printInspectionCertificate(order.id) }
+      );
+    }
+    statusAfterInspection = '';
+  }
+
+  /**
+   * Generates the inspection certificate PDF of an order: its process specification, the measured thickness
+   * and the quantities accepted, rejected and sent for rework for each item.
+   * @param {string} id - The ID of the order.
+   * @returns {boolean} True if the PDF was generated.
+   */
+  function printInspectionCertificate(id) {
+    const order = orders.find((o) => o.id === id);
+    if (!order) {
+      showLiveAlert('Order not found.', 'danger');
+      return false;
+    }
+    const inspection = order.inspection;
+    if (!inspection) {
+      showLiveAlert(`Order ${id} has not been inspected yet.`, 'danger');
+      return false;
     }
 
-    // Initialize jsPDF
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF();
-
-    // Debugging: Check if autoTable is available
     if (typeof doc.autoTable === 'undefined') {
-        console.error("doc.autoTable is not a function. jsPDF-AutoTable plugin might not be loaded correctly.");
-        showLiveAlert("PDF generation failed: AutoTable plugin not found.", "danger");
-        return;
+      console.error("doc.autoTable is not a function. jsPDF-AutoTable plugin might not be loaded correctly.");
+      showLiveAlert("PDF generation failed: AutoTable plugin not found.", "danger");
+      return false;
     }
 
-    let yPos = 20;
+    const business = settings.business;
+    const customer = customers.find((c) => c.id === order.customer.id) || { name: order.customer.name };
+    let yPos = 15;
 
-    // Title
-    doc.setFontSize(18);
-    doc.text('Monthly Bill', 105, yPos, null, null, 'center');
+    doc.setFontSize(16);
+    doc.text('Inspection Certificate', 105, yPos, null, null, 'center');
     yPos += 10;
 
-    // Customer and Month Info
+    // Our details on the left, certificate number, date and order on the right
     doc.setFontSize(12);
-    doc.text(`Customer: ${customer.name}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Phone: ${customer.phone}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Billing Month: ${billingMonth}`, 20, yPos);
-    yPos += 15;
+    doc.text(business.name, 15, yPos);
+    doc.setFontSize(10);
+    doc.text(`Certificate No: ${inspection.number}`, 195, yPos, null, null, 'right');
+    yPos += 5;
+    doc.text(`Date: ${inspection.date}`, 195, yPos, null, null, 'right');
+    doc.text(`Order: ${order.id} (${order.createdAt})`, 195, yPos + 5, null, null, 'right');
+    const businessLines = [
+      ...doc.splitTextToSize(business.address || '', 110),
+      business.phone ? `Phone: ${business.phone}` : '',
+      business.gstin ? `GSTIN: ${business.gstin}` : '',
+    ].filter(Boolean);
+    doc.text(businessLines, 15, yPos);
+    yPos += Math.max(businessLines.length, 2) * 5 + 5;
 
-    // Table headers for the PDF
-    const tableColumn = [
-      'Order ID',
-      'Item Name',
-      'Material',
-      'Plating Types',
-      'Qty (kg)',
-      'Rate/kg',
-      'Item Total',
-      'Order Date',
-    ];
-    const tableRows = [];
-    let grandTotal = 0;
+    doc.setFontSize(11);
+    doc.text('Customer:', 15, yPos);
+    yPos += 5;
+    doc.setFontSize(10);
+    const customerLines = [customer.name || '', ...doc.splitTextToSize(customer.address || '', 110)].filter(Boolean);
+    doc.text(customerLines, 15, yPos);
+    yPos += customerLines.length * 5 + 5;
 
-    // Populate table rows with order data, flattening items
-    filteredOrders.forEach((order) => {
-      order.items.forEach((item, itemIndex) => {
-        tableRows.push([
-          itemIndex === 0 ? order.id : '', // Only show Order ID for the first item of an order
-          item.itemName,
-          item.material,
-          item.platingTypes.join(', '),
-          item.quantity,
-          item.itemRatePerKg.toFixed(2),
-          item.itemTotal.toFixed(2),
-          itemIndex === 0 ? order.createdAt : '', // Only show Order Date for the first item
-        ]);
-      });
-      grandTotal += order.orderTotal;
+    const body = order.items.map((item, index) => {
+      const line = inspection.lines.find((l) => l.itemId === item.id);
+      const unit = getUnitLabel(item.unit);
+      const specThickness = item.processSpec ? item.processSpec.thicknessMicrons : null;
+      let measured = line && line.measuredThicknessMicrons !== null ? `${line.measuredThicknessMicrons}` : '-';
+      if (line && line.measuredThicknessMicrons !== null && specThickness !== null && line.measuredThicknessMicrons < specThickness) {
+        measured += ' (below spec)';
+      }
+      return [
+        index + 1,
+        item.itemName,
+        `${item.material}, ${item.platingTypes.join(', ')}`,
+        formatProcessSpec(item.processSpec) || '-',
+        measured,
+        `${item.quantity} ${unit}`,
+        line ? `${line.accepted}` : 'Not inspected',
+        line ? `${line.rejected}` : '',
+        line ? `${line.rework}` : '',
+      ];
     });
-
-    // Add table to PDF using autoTable plugin
     doc.autoTable({
       startY: yPos,
-      head: [tableColumn],
-      body: tableRows,
+      head: [['#', 'Item', 'Material / Plating', 'Specification', 'Measured (µm)', 'Qty', 'Accepted', 'Rejected', 'Rework']],
+      body,
       theme: 'striped',
-      headStyles: { fillColor: [67, 97, 238] }, // Primary color for header
+      headStyles: { fillColor: [67, 97, 238] },
+      styles: { fontSize: 8 },
       margin: { horizontal: 15 },
-      didDrawPage: function (data) {
-        // Add header and footer to each page
-        doc.setFontSize(10);
-        doc.setTextColor(40);
-        doc.text(
-          'Electroplating Order Management System',
-          data.settings.margin.left,
-          10
-        );
-        let str = 'Page ' + doc.internal.getNumberOfPages();
-        doc.text(
-          str,
-          data.settings.margin.left,
-          doc.internal.pageSize.height - 10
-        );
-      },
     });
 
-    // Add Grand Total
-    yPos = doc.autoTable.previous.finalY + 10; // Position below the table
-    doc.setFontSize(14);
-    doc.text(`Grand Total: ₹${grandTotal.toFixed(2)}`, 180, yPos, null, null, 'right');
+    yPos = doc.autoTable.previous.finalY + 8;
+    doc.setFontSize(12);
+    doc.text(`Result: ${inspection.result}`, 15, yPos);
+    yPos += 7;
+    doc.setFontSize(10);
+    if (inspection.remarks) {
+      const remarkLines = doc.splitTextToSize(`Remarks: ${inspection.remarks}`, 180);
+      doc.text(remarkLines, 15, yPos);
+      yPos += remarkLines.length * 5;
+    }
+    yPos += 25;
+    doc.text(`Inspected by: ${inspection.inspector}`, 15, yPos);
+    doc.text(`For ${business.name}`, 195, yPos - 15, null, null, 'right');
+    doc.text('Quality Inspector', 195, yPos, null, null, 'right');
 
-    // Save the PDF
-    doc.save(`Bill_${customer.name}_${billingMonth}.pdf`);
-    showLiveAlert('Monthly bill generated successfully!');
+    doc.save(`Inspection_${inspection.number.replace(/\//g, '-')}.pdf`);
+    return true;
   }
 
   /**
@@ -1023,56 +8544,362 @@ function showLiveAlert(message, type = 'success') {
     printWindow.print(); // Trigger print dialog
   }
 
-  // Autocomplete for Item Name input field
-  const itemNames = [
-    'Brackets',
-    'Pipes',
-    'Valves',
-    'Fittings',
-    'Sheets',
-    'Rods',
-    'Springs',
-    'Gears',
-    'Bolts',
-    'Nuts',
-    'Washers',
-    'Plates',
-    'Housings',
-    'Connectors',
-    'Shafts',
-    'Bushings',
-  ]; // Example item names for autocomplete
+  /**
+   * Builds an SVG QR code for the given text using the bundled qrcode-generator library.
+   * @param {string} text - The text to encode.
+   * @returns {string} The SVG markup.
+   */
+  function getQrCodeSvg(text) {
+    const qr = qrcode(0, 'M'); // Type 0 picks the smallest size that fits
+    qr.addData(text);
+    qr.make();
+    return qr.createSvgTag({ cellSize: 4, margin: 2, alt: text });
+  }
+
+  /**
+   * Opens a print window with job cards for one or more orders: one card for each order,
+   * or one card per item. Each card carries a QR code of the order ID (and item ID)
+   * so the shop floor can scan it back into the app.
+   * @param {string|string[]} orderIds - The ID of the order, or several IDs.
+   * @param {boolean} [perItem=false] - Print one card per item instead of one per order.
+   */
+  function printJobCards(orderIds, perItem = false) {
+    const cardOrders = [].concat(orderIds).map((id) => orders.find((o) => o.id === id)).filter(Boolean);
+    if (cardOrders.length === 0) {
+      showLiveAlert('Order not found.', 'danger');
+      return;
+    }
+
+    const itemRows = (items) => items.map((item, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(item.itemName)}</td>
+            <td>${escapeHtml(item.material)}</td>
+            <td>${item.platingTypes.map(escapeHtml).join(', ')}${item.processSpec ? `<div class="spec">${escapeHtml(formatProcessSpec(item.processSpec))}</div>` : ''}</td>
+            <td class="num">${item.quantity} ${getUnitLabel(item.unit)}</td>
+            <td class="num">${item.weightKg}</td>
+        </tr>
+    `).join('');
+    const card = (order, items, qrText, subtitle) => `
+        <div class="job-card">
+            <div class="head">
+                <div>
+                    <div class="business">${escapeHtml(settings.business.name)}</div>
+                    <h2>JOB CARD</h2>
+                    <div class="order-id">${escapeHtml(order.id)}</div>
+                    ${subtitle ? `<div>${subtitle}</div>` : ''}
+                </div>
+                <div class="qr">${getQrCodeSvg(qrText)}</div>
+            </div>
+            <p>
+                <strong>Customer:</strong> ${escapeHtml(order.customer.name)}<br>
+                <strong>Order Date:</strong> ${order.createdAt} &nbsp; <strong>Status:</strong> ${order.status}
+            </p>
+            <table>
+                <thead><tr><th>#</th><th>Item</th><th>Material</th><th>Plating</th><th class="num">Qty</th><th class="num">Weight (kg)</th></tr></thead>
+                <tbody>${itemRows(items)}</tbody>
+            </table>
+            <p class="num"><strong>Total:</strong> ${items.reduce((sum, item) => sum + item.weightKg, 0).toFixed(2)} kg</p>
+            <div class="fill">
+                <span>Tank: ____________</span>
+                <span>Operator: ____________</span>
+                <span>Start: ____________</span>
+                <span>End: ____________</span>
+            </div>
+        </div>
+    `;
+    const cards = cardOrders.flatMap((order) => (perItem
+      ? order.items.map((item, index) => card(order, [item], `${order.id}|${item.id}`, `Item ${index + 1} of ${order.items.length}`))
+      : [card(order, order.items, order.id)]));
+
+    const printWindow = window.open('', '', 'height=600,width=800');
+    printWindow.document.write(`<html><head><title>${cardOrders.length === 1 ? `Job Card ${escapeHtml(cardOrders[0].id)}` : 'Job Cards'}</title>`);
+    // Plain styles only, so job cards print without a network connection
+    printWindow.document.write(`<style>
+        body { font-family: 'Inter', sans-serif; padding: 10px; }
+        .job-card { border: 2px solid #000; border-radius: 6px; padding: 15px; margin-bottom: 20px; page-break-inside: avoid; }
+        .job-card .head { display: flex; justify-content: space-between; align-items: flex-start; }
+        .job-card h2 { margin: 5px 0; letter-spacing: 2px; }
+        .job-card .business { font-weight: 600; }
+        .job-card .order-id { font-size: 1.4em; font-weight: 700; }
+        .job-card table { width: 100%; border-collapse: collapse; }
+        .job-card th, .job-card td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+        .job-card .num { text-align: right; }
+        .job-card .spec { font-size: 0.85em; }
+        .job-card .fill { display: flex; flex-wrap: wrap; gap: 10px 30px; margin-top: 15px; }
+    </style></head><body>`);
+    printWindow.document.write(cards.join(''));
+    printWindow.document.write('</body></html>');
+    printWindow.document.close();
+    printWindow.print();
+  }
+
+  /**
+   * Handles a code from a job card, typed or read by a barcode scanner or the camera.
+   * Codes are an order ID, optionally followed by "|" and an item ID.
+   * @param {string} code - The scanned text.
+   */
+  function handleScannedCode(code) {
+    const orderId = code.trim().split('|')[0];
+    if (!orderId) {
+      return;
+    }
+    const order = orders.find((o) => o.id.toLowerCase() === orderId.toLowerCase());
+    if (!order) {
+      showLiveAlert(`No order found for "${orderId}".`, 'danger');
+      return;
+    }
+
+    if (document.getElementById('scanAction').value === 'advance') {
+      const statusIndex = ORDER_STATUSES.indexOf(order.status);
+      if (statusIndex === ORDER_STATUSES.length - 1) {
+        showLiveAlert(`Order ${order.id} is already ${order.status}.`, 'info');
+        return;
+      }
+      changeOrderStatus(order.id, ORDER_STATUSES[statusIndex + 1]);
+      highlightOrder(order.id);
+    } else {
+      viewOrderDetails(order.id);
+    }
+  }
+
+  // Camera scanner state: the open stream, the pending animation frame and whether the modal is open
+  let scannerStream = null;
+  let scannerFrame = null;
+  let scannerOpen = false;
+
+  /**
+   * Opens the camera scanner and decodes job card QR codes from the video with jsQR.
+   */
+  async function openCameraScanner() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      showLiveAlert('Camera access is not available. Open the app over https or localhost, or use a barcode scanner.', 'danger');
+      return;
+    }
+    const modalElement = document.getElementById('cameraScanModal');
+    const video = document.getElementById('scanVideo');
+    const status = document.getElementById('scanStatus');
+    status.textContent = 'Starting camera...';
+    scannerOpen = true;
+    bootstrap.Modal.getOrCreateInstance(modalElement).show();
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      if (!scannerOpen) {
+        // The modal was closed while the camera was starting
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      scannerStream = stream;
+      video.srcObject = scannerStream;
+      await video.play();
+    } catch (error) {
+      console.error('Camera error:', error);
+      bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+      if (scannerOpen) {
+        showLiveAlert(`Could not open the camera: ${error.message}`, 'danger');
+      }
+      return;
+    }
+    status.textContent = 'Point the camera at a job card QR code.';
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    const scanFrame = () => {
+      if (!scannerStream) {
+        return;
+      }
+      if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const result = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        if (result && result.data) {
+          bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+          handleScannedCode(result.data);
+          return;
+        }
+      }
+      scannerFrame = requestAnimationFrame(scanFrame);
+    };
+    scannerFrame = requestAnimationFrame(scanFrame);
+  }
+
+  /**
+   * Stops the camera and the decode loop. Called when the scanner modal closes.
+   */
+  function stopCameraScanner() {
+    scannerOpen = false;
+    if (scannerFrame) {
+      cancelAnimationFrame(scannerFrame);
+      scannerFrame = null;
+    }
+    if (scannerStream) {
+      scannerStream.getTracks().forEach((track) => track.stop());
+      scannerStream = null;
+    }
+    document.getElementById('scanVideo').srcObject = null;
+  }
 
   /**
    * Initializes event listeners once the DOM is fully loaded.
    */
-  document.addEventListener('DOMContentLoaded', () => {
+  document.addEventListener('DOMContentLoaded', async () => {
     // Initial setup
+    await loadData();
+    renderStateOptions();
     clearOrderForm(); // Start with one empty item row
     renderCustomers();
     renderOrders();
     updateSummaryCards();
+    renderRateCard();
+    renderInvoices();
+    renderPayments();
+    renderChallans();
+    renderChallanOrders();
+    renderQuotations();
+    renderRecycleBin();
+
+    initOrderBoard();
+
+    // Billing units for the item master form
+    document.getElementById('itemMasterUnit').innerHTML = Object.entries(BILLING_UNITS)
+      .map(([key, unit]) => `<option value="${key}">${unit.name}</option>`)
+      .join('');
+    renderItemMaster();
+
+    // Stock units and one consumption norm per plating type for the stock item form
+    document.getElementById('stockItemUnit').innerHTML = STOCK_UNITS.map((unit) => `<option value="${unit}">${unit}</option>`).join('');
+    document.getElementById('stockNormInputs').innerHTML = PLATING_TYPES.map((type) => `
+        <div class="col-md-4 col-6">
+            <div class="input-group input-group-sm">
+                <span class="input-group-text">${type}</span>
+                <input type="number" class="form-control" min="0" step="0.001" data-plating-type="${type}">
+            </div>
+        </div>
+    `).join('');
+    renderInventory();
 
     // Initialize Select2 for main dropdowns
     $('#customerSelect').select2({ placeholder: 'Select Customer', allowClear: true });
-    $('#customerFilter').select2({ placeholder: 'All Customers', allowClear: true });
+    $('#statusFilter').select2({ placeholder: 'All Statuses' });
+    $('#customerFilter').select2({ placeholder: 'All Customers' });
     $('#billingCustomer').select2({ placeholder: 'Select Customer', allowClear: true });
+    $('#rateCardCustomer').select2({ placeholder: 'All Customers (default rate)', allowClear: true });
+    $('#paymentCustomer').select2({ placeholder: 'Select Customer', allowClear: true });
+    $('#challanCustomer').select2({ placeholder: 'Select Customer', allowClear: true });
+    $('#quotationCustomer').select2({ placeholder: 'Select Customer', allowClear: true });
+    $('#itemMasterCustomer').select2({ placeholder: 'All Customers', allowClear: true });
+    $('#itemMasterPlatingTypes').select2({ placeholder: 'Select Plating Type(s)' });
+    $('#paymentOrders').select2({ placeholder: 'Specific orders (optional)' });
 
     // Set default dates
     const today = new Date().toISOString().split('T')[0];
     document.getElementById('orderDate').value = today;
     document.getElementById('billingMonth').value = new Date().toISOString().slice(0, 7);
+    document.getElementById('rateCardEffectiveFrom').value = today;
+    document.getElementById('paymentDate').value = today;
+    document.getElementById('challanDate').value = today;
+    clearQuotationForm();
+    document.getElementById('stockMovementDate').value = today;
+    updateStockMovementFields();
 
     // Attach event listeners
     document.getElementById('addCustomerBtn').addEventListener('click', addCustomer);
-    document.getElementById('addOrderBtn').addEventListener('click', addOrder);
+    document.getElementById('addOrderBtn').onclick = addOrder; // Swapped for updateOrder while editing
     document.getElementById('addItemBtn').addEventListener('click', () => addEmptyItemRow());
+    document.getElementById('addRateBtn').addEventListener('click', addRateCardEntry);
+    document.getElementById('updateCustomerBtn').addEventListener('click', updateCustomer);
+    document.getElementById('saveSettingsBtn').addEventListener('click', saveSettings);
+    document.getElementById('settingsOrderNumberFormat').addEventListener('input', previewOrderNumberFormat);
+    document.getElementById('addPaymentBtn').addEventListener('click', addPayment);
+    document.getElementById('restoreFile').addEventListener('change', loadRestoreFile);
+    document.getElementById('importFile').addEventListener('change', loadImportFile);
+    document.getElementById('importType').addEventListener('change', () => {
+      document.getElementById('importFile').value = ''; // The file has to be read again for the other field set
+    });
+    document.getElementById('importBackBtn').addEventListener('click', importBack);
+    document.getElementById('importValidateBtn').addEventListener('click', validateImport);
+    document.getElementById('importCommitBtn').addEventListener('click', commitImport);
+    document.getElementById('confirmRestoreBtn').addEventListener('click', confirmRestore);
+    document.querySelectorAll('input[name="restoreMode"]').forEach((radio) => radio.addEventListener('change', renderRestorePreview));
+    $('#paymentCustomer').on('change', renderPaymentTargets);
+    $('#challanCustomer').on('change', renderChallanOrders);
+    document.getElementById('challanType').addEventListener('change', renderChallanOrders);
+    document.getElementById('challanOrder').addEventListener('change', renderChallanLines);
+    document.getElementById('addChallanBtn').addEventListener('click', addChallan);
+    document.getElementById('addQuotationItemBtn').addEventListener('click', () => addEmptyItemRow({}, document.getElementById('quotationItemRows')));
+    document.getElementById('saveQuotationBtn').addEventListener('click', saveQuotation);
+    document.getElementById('saveItemMasterBtn').addEventListener('click', saveItemMasterEntry);
+    document.getElementById('itemMasterSearch').addEventListener('input', debounce(renderItemMaster, 300));
+    document.getElementById('saveStockItemBtn').addEventListener('click', saveStockItem);
+    document.getElementById('addStockMovementBtn').addEventListener('click', addStockMovement);
+    document.getElementById('stockMovementType').addEventListener('change', updateStockMovementFields);
+    document.getElementById('confirmDeleteCustomerBtn').addEventListener('click', confirmDeleteCustomer);
+    document.getElementById('customerSearch').addEventListener('input', debounce(renderCustomerList, 300));
+    ['activityFrom', 'activityTo', 'activityCustomer'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', renderActivityLog);
+    });
+
+    // Deleting a customer with orders needs a reassignment target
+    document.getElementById('reassignCustomer').addEventListener('change', function () {
+      document.getElementById('confirmDeleteCustomerBtn').disabled = !this.value;
+    });
+
+    // A different customer or date can select different rate card prices
+    $('#customerSelect').on('change', () => refreshRateCardPrices());
+    document.getElementById('orderDate').addEventListener('change', () => refreshRateCardPrices());
+    $('#quotationCustomer').on('change', () => refreshRateCardPrices(document.getElementById('quotationItemRows')));
+    document.getElementById('quotationDate').addEventListener('change', (event) => {
+      if (event.target.value) {
+        document.getElementById('quotationValidUntil').value = getQuotationValidUntil(event.target.value);
+      }
+      refreshRateCardPrices(document.getElementById('quotationItemRows'));
+    });
 
     // Debounce filter event listeners
     document.getElementById('orderSearch').addEventListener('input', debounce(filterOrders, 300));
-    document.getElementById('statusFilter').addEventListener('change', debounce(filterOrders, 100));
-    $('#customerFilter').on('change', debounce(filterOrders, 100)); // Select2 change event
-    document.getElementById('dateFilter').addEventListener('change', debounce(filterOrders, 100));
+    document.getElementById('orderSearch').addEventListener('input', updateOrderSearchSuggestions);
+    document.getElementById('orderSearch').addEventListener('blur', () => {
+      document.getElementById('orderSearchSuggestions').style.display = 'none';
+    });
+    // Barcode scanners type the code and press Enter, so the scan box acts on Enter
+    document.getElementById('scanInput').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        handleScannedCode(event.target.value);
+        event.target.value = '';
+      }
+    });
+    document.getElementById('cameraScanModal').addEventListener('hidden.bs.modal', stopCameraScanner);
+    document.getElementById('analyticsPreset').addEventListener('change', (event) => {
+      if (event.target.value !== 'custom') {
+        setAnalyticsRange(event.target.value);
+        renderAnalytics();
+      }
+    });
+    ['analyticsFrom', 'analyticsTo'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', () => {
+        document.getElementById('analyticsPreset').value = 'custom';
+        renderAnalytics();
+      });
+    });
+    $('#statusFilter').on('change', debounce(filterOrders, 100)); // Select2 change event
+    $('#customerFilter').on('change', debounce(filterOrders, 100));
+    ['dateFromFilter', 'dateToFilter', 'gstFilter'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', debounce(filterOrders, 100));
+    });
+    ['minTotalFilter', 'maxTotalFilter'].forEach((id) => {
+      document.getElementById(id).addEventListener('input', debounce(filterOrders, 300));
+    });
+
+    // Open the view bookmarked in the URL, and follow hash changes (back/forward, pasted links)
+    renderSavedViews();
+    if (location.hash.length > 1) {
+      applyOrdersViewState(decodeOrdersViewState(location.hash));
+    }
+    window.addEventListener('hashchange', () => applyOrdersViewState(decodeOrdersViewState(location.hash)));
 
     // Enable/disable delete button based on confirmation input
     document